@@ -2,13 +2,21 @@
 const { Sequelize } = require('sequelize');
 require('dotenv').config();
 
+// MySQL by default, DB_DIALECT=sqlite runs on a file or in memory (e.g. for tests)
+const dialect = process.env.DB_DIALECT || 'mysql';
+const connection = dialect === 'sqlite'
+  ? { storage: process.env.DB_STORAGE || ':memory:' }
+  : {
+    host: process.env.DB_HOST || 'localhost',
+    username: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'email_server'
+  };
+
 // Create Sequelize instance
 const sequelize = new Sequelize({
-  dialect: 'mysql',
-  host: process.env.DB_HOST || 'localhost',
-  username: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'email_server',
+  dialect,
+  ...connection,
   logging: process.env.NODE_ENV === 'development' ? console.log : false,
   pool: {
     max: 10,
@@ -41,17 +49,35 @@ async function initModels() {
   const Domain = require('../models/domain-model');
   const Email = require('../models/email-model');
   const Message = require('../models/message-model');
+  const MessageBody = require('../models/message-body-model');
   const DomainConfig = require('../models/domain-config-model');
   const EmailConfig = require('../models/email-config-model');
+  const RoleAssignment = require('../models/role-assignment-model');
+  const TlsCertificate = require('../models/tls-certificate-model');
+  const QueueItem = require('../models/queue-item-model');
+  const Suppression = require('../models/suppression-model');
+  const Attachment = require('../models/attachment-model');
+  const Folder = require('../models/folder-model');
+  const SearchTerm = require('../models/search-term-model');
+  const DmarcResult = require('../models/dmarc-result-model');
 
   // Associate models
-  Domain.associate({ Email, DomainConfig });
-  Email.associate({ Domain, Message });
-  Message.associate({ Email });
+  Domain.associate({ Email, DomainConfig, RoleAssignment, Suppression });
+  Email.associate({ Domain, Message, RoleAssignment, Folder });
+  Message.associate({ Email, MessageBody, QueueItem, Folder });
+  MessageBody.associate({ Message, Attachment });
   DomainConfig.associate({ Domain });
   EmailConfig.associate();
+  RoleAssignment.associate({ Email, Domain });
+  TlsCertificate.associate();
+  QueueItem.associate({ Message });
+  Suppression.associate({ Domain });
+  Attachment.associate({ MessageBody });
+  Folder.associate({ Email, Message });
+  SearchTerm.associate({ Message });
+  DmarcResult.associate();
 
-  return { Domain, Email, Message, DomainConfig, EmailConfig };
+  return { Domain, Email, Message, MessageBody, DomainConfig, EmailConfig, RoleAssignment, TlsCertificate, QueueItem, Suppression, Attachment, Folder, SearchTerm, DmarcResult };
 }
 
 // Initialize database and sync models
@@ -93,33 +119,7 @@ async function setupDefaultData(models) {
       // Create default email config
       await EmailConfig.create({
         configKey: 'default_config',
-        configValue: {
-          inbound: {
-            enabled: true,
-            port: 25,
-            hostname: 'localhost',
-            requireAuth: false
-          },
-          outbound: {
-            enabled: true,
-            useRelay: false,
-            relayHost: '',
-            relayPort: 587,
-            relayUsername: '',
-            relayPassword: ''
-          },
-          limits: {
-            maxMessageSize: 10 * 1024 * 1024, // 10MB
-            maxRecipients: 50,
-            rateLimit: 100 // per hour
-          },
-          security: {
-            useTLS: true,
-            requireTLS: false,
-            useDKIM: true,
-            useSPF: true
-          }
-        }
+        configValue: EmailConfig.DEFAULT_CONFIG
       });
       
       console.log('Default email configuration created');
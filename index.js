@@ -18,15 +18,27 @@ require('dotenv').config();
 // Database connection
 const { testConnection, initDatabase } = require('./config/database');
 
+// Middleware
+const { authenticate, authorizeMailbox } = require('./middleware/auth');
+
 // Services
 const smtpService = require('./services/smtp-service');
+const imapService = require('./services/imap-service');
+const pop3Service = require('./services/pop3-service');
+const tempInboxService = require('./services/temp-inbox-service');
 const emailService = require('./services/email-service');
+const searchService = require('./services/search-service');
+const tlsService = require('./services/tls-service');
 
 // Routes
 const domainRoutes = require('./routes/domain-routes');
 const emailRoutes = require('./routes/email-routes');
 const messageRoutes = require('./routes/message-routes');
 const configRoutes = require('./routes/config-routes');
+const roleRoutes = require('./routes/role-routes');
+const tempInboxRoutes = require('./routes/temp-inbox-routes');
+const certificateRoutes = require('./routes/certificate-routes');
+const queueRoutes = require('./routes/queue-routes');
 
 // Initialize Express app
 const app = express();
@@ -47,15 +59,26 @@ app.use(morgan(logFormat));
 // Serve static files if needed
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// API routes
-app.use('/api/domains', domainRoutes);
-app.use('/api/emails', emailRoutes);
+// Auth routes (public)
+app.post('/api/auth', emailRoutes.authenticate);
+app.post('/api/auth/refresh', emailRoutes.refreshToken);
+
+// Temporary inbox routes (creation is public, deletion requires a token)
+app.use('/api/temp-inboxes', tempInboxRoutes);
+
+// API routes (require a valid access token)
+app.use('/api/domains', authenticate, domainRoutes);
+app.use('/api/emails', authenticate, emailRoutes);
+app.use('/api/messages', authenticate);
+app.use('/api/messages/:email', authorizeMailbox);
 app.use('/api/messages', messageRoutes);
-app.use('/api/email-config', configRoutes);
+app.use('/api/email-config', authenticate, configRoutes);
+app.use('/api/roles', authenticate, roleRoutes);
+app.use('/api/certificates', authenticate, certificateRoutes);
+app.use('/api/queue', authenticate, queueRoutes);
 
-// Auth and email sending routes
-app.post('/api/auth', emailRoutes.authenticate);
-app.post('/api/send', messageRoutes.sendEmail);
+// Email sending route
+app.post('/api/send', authenticate, messageRoutes.sendEmail);
 
 // Root route
 app.get('/', (req, res) => {
@@ -99,8 +122,17 @@ async function startServer() {
     }
 
     // Initialize database and models
-    await initDatabase();
+    const { EmailConfig } = await initDatabase();
     console.log('Database and models initialized successfully');
+    const config = await EmailConfig.getConfig();
+
+    // Load TLS certificates (a self-signed one is generated on first boot)
+    await tlsService.init();
+
+    // Start purging expired temporary inboxes
+    await tempInboxService.startSweeper();
+    await emailService.startQueueWorker();
+    await searchService.startIndexer();
 
     // Get server IP for logging
     const os = require('os');
@@ -123,15 +155,87 @@ async function startServer() {
     const smtpServer = await smtpService.createSMTPServer();
     
     // Start SMTP server
+    smtpServer.on('error', err => console.error('SMTP server error:', err.message));
     smtpServer.listen(SMTP_PORT, () => {
       console.log(`✅ SMTP server running on ${serverIP}:${SMTP_PORT}`);
-      emailService.setupTransporter();
     });
 
+    const mailServers = [smtpServer];
+
+    // Setup SMTPS server (implicit TLS)
+    let smtpsServer = null;
+    if (config.security.useTLS) {
+      const SMTPS_PORT = process.env.SMTPS_PORT || 465;
+      smtpsServer = await smtpService.createSMTPServer({ secure: true });
+      smtpsServer.on('error', err => console.error('SMTPS server error:', err.message));
+      smtpsServer.listen(SMTPS_PORT, () => {
+        console.log(`✅ SMTPS server running on ${serverIP}:${SMTPS_PORT}`);
+      });
+      mailServers.push(smtpsServer);
+    }
+
+    // Setup submission server (AUTH and TLS required)
+    let submissionServer = null;
+    if (config.submission.enabled) {
+      const SUBMISSION_PORT = process.env.SUBMISSION_PORT || config.submission.port;
+      submissionServer = await smtpService.createSMTPServer({ submission: true });
+      submissionServer.on('error', err => console.error('Submission server error:', err.message));
+      submissionServer.listen(SUBMISSION_PORT, () => {
+        console.log(`✅ Submission server running on ${serverIP}:${SUBMISSION_PORT}`);
+      });
+      mailServers.push(submissionServer);
+    }
+
+    // Setup IMAP servers (STARTTLS and implicit TLS)
+    let imapServer = null;
+    let imapsServer = null;
+    if (config.imap.enabled) {
+      const IMAP_PORT = process.env.IMAP_PORT || config.imap.port;
+      imapServer = await imapService.createIMAPServer();
+      imapServer.on('error', err => console.error('IMAP server error:', err.message));
+      imapServer.listen(IMAP_PORT, () => {
+        console.log(`✅ IMAP server running on ${serverIP}:${IMAP_PORT}`);
+      });
+      mailServers.push(imapServer);
+
+      if (config.security.useTLS) {
+        const IMAPS_PORT = process.env.IMAPS_PORT || config.imap.securePort;
+        imapsServer = await imapService.createIMAPServer({ secure: true });
+        imapsServer.on('error', err => console.error('IMAPS server error:', err.message));
+        imapsServer.listen(IMAPS_PORT, () => {
+          console.log(`✅ IMAPS server running on ${serverIP}:${IMAPS_PORT}`);
+        });
+        mailServers.push(imapsServer);
+      }
+    }
+
+    // Setup POP3 servers (STLS and implicit TLS)
+    let pop3Server = null;
+    let pop3sServer = null;
+    if (config.pop3.enabled) {
+      const POP3_PORT = process.env.POP3_PORT || config.pop3.port;
+      pop3Server = await pop3Service.createPOP3Server();
+      pop3Server.on('error', err => console.error('POP3 server error:', err.message));
+      pop3Server.listen(POP3_PORT, () => {
+        console.log(`✅ POP3 server running on ${serverIP}:${POP3_PORT}`);
+      });
+      mailServers.push(pop3Server);
+
+      if (config.security.useTLS) {
+        const POP3S_PORT = process.env.POP3S_PORT || config.pop3.securePort;
+        pop3sServer = await pop3Service.createPOP3Server({ secure: true });
+        pop3sServer.on('error', err => console.error('POP3S server error:', err.message));
+        pop3sServer.listen(POP3S_PORT, () => {
+          console.log(`✅ POP3S server running on ${serverIP}:${POP3S_PORT}`);
+        });
+        mailServers.push(pop3sServer);
+      }
+    }
+
     // Graceful shutdown
-    setupGracefulShutdown(server, smtpServer);
+    setupGracefulShutdown(server, mailServers);
     
-    return { httpServer: server, smtpServer };
+    return { httpServer: server, smtpServer, smtpsServer, submissionServer, imapServer, imapsServer, pop3Server, pop3sServer };
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -141,19 +245,27 @@ async function startServer() {
 /**
  * Setup graceful shutdown handlers
  */
-function setupGracefulShutdown(httpServer, smtpServer) {
+function setupGracefulShutdown(httpServer, mailServers) {
   // Handle process termination gracefully
   const shutdown = async (signal) => {
     console.log(`${signal} received, shutting down gracefully`);
+
+    // Stop background jobs
+    tempInboxService.stopSweeper();
+    emailService.stopQueueWorker();
+    searchService.stopIndexer();
+    tlsService.stop();
     
     // Close HTTP server
     httpServer.close(() => {
       console.log('HTTP server closed');
     });
     
-    // Close SMTP server
-    smtpServer.close(() => {
-      console.log('SMTP server closed');
+    // Close mail servers
+    mailServers.forEach(mailServer => {
+      mailServer.close(() => {
+        console.log('Mail server closed');
+      });
     });
     
     // Close database connections
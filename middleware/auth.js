@@ -0,0 +1,150 @@
+// Authentication and authorization middleware for the REST API
+const { verifyAccessToken } = require('../services/auth-service');
+const RoleAssignment = require('../models/role-assignment-model');
+const Email = require('../models/email-model');
+
+const { ROLES } = RoleAssignment;
+
+/**
+ * Require a valid Bearer access token and attach the caller to req.user
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError'
+      ? 'Access token expired'
+      : 'Invalid access token';
+    return res.status(401).json({ error: message });
+  }
+
+  try {
+    // Tokens stop working as soon as the account is deleted, disabled or expires
+    const account = await Email.findByPk(decoded.sub, { attributes: ['id', 'active', 'expiresAt'] });
+    if (!account || !account.active || account.isExpired()) {
+      return res.status(401).json({ error: 'Account is no longer available' });
+    }
+
+    // Roles are loaded per request so changes apply without re-login
+    const access = await RoleAssignment.getAccessForEmail(decoded.sub);
+
+    req.user = {
+      id: decoded.sub,
+      address: decoded.address,
+      domainId: decoded.domainId,
+      role: access.role,
+      domains: access.domains
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Check whether a user is a global admin
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  return Boolean(user) && user.role === ROLES.ADMIN;
+}
+
+/**
+ * Check whether a user may manage a domain
+ * @param {Object} user - req.user
+ * @param {Object} domain - Domain reference ({ id } or { name })
+ * @returns {boolean}
+ */
+function canManageDomain(user, domain) {
+  if (!user || !domain) {
+    return false;
+  }
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  return user.domains.some(d =>
+    (domain.id && d.id === domain.id) ||
+    (domain.name && d.name.toLowerCase() === domain.name.toLowerCase())
+  );
+}
+
+/**
+ * Check whether a user may access a mailbox (own mailbox or managed domain)
+ * @param {Object} user - req.user
+ * @param {string} address - Mailbox address
+ * @returns {boolean}
+ */
+function canAccessMailbox(user, address) {
+  if (!user || !address) {
+    return false;
+  }
+  if (address.toLowerCase() === user.address.toLowerCase()) {
+    return true;
+  }
+
+  const domainName = address.split('@')[1];
+  return canManageDomain(user, { name: domainName });
+}
+
+/**
+ * Only allow global admins
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  next();
+}
+
+/**
+ * Only allow global admins and domain admins
+ */
+function requireDomainAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.user.role === ROLES.USER) {
+    return res.status(403).json({ error: 'Domain administrator access required' });
+  }
+  next();
+}
+
+/**
+ * Only allow access to /:email data the caller owns or administers
+ */
+function authorizeMailbox(req, res, next) {
+  const { email } = req.params;
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (!canAccessMailbox(req.user, email)) {
+    return res.status(403).json({ error: 'Access to this mailbox is not allowed' });
+  }
+
+  next();
+}
+
+module.exports = {
+  authenticate,
+  authorizeMailbox,
+  requireAdmin,
+  requireDomainAdmin,
+  isAdmin,
+  canManageDomain,
+  canAccessMailbox
+};
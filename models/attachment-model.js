@@ -0,0 +1,85 @@
+// Attachment model using Sequelize
+// Attachments belong to the shared body, their content lives in the blob store
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class Attachment extends Model {
+  // Define model associations
+  static associate(models) {
+    // Attachment belongs to a MessageBody
+    Attachment.belongsTo(models.MessageBody, {
+      foreignKey: 'bodyId',
+      as: 'body',
+      onDelete: 'CASCADE'
+    });
+  }
+
+  // Attachment details without storage internals
+  safeReturn() {
+    const { storageKey, bodyId, ...safeData } = this.toJSON();
+    return safeData;
+  }
+}
+
+// Initialize Attachment model
+Attachment.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  bodyId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'message_bodies',
+      key: 'id'
+    }
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  contentType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'application/octet-stream'
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the content'
+  },
+  contentId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Content-ID used by inline (cid:) references'
+  },
+  inline: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Blob store key'
+  }
+}, {
+  sequelize,
+  modelName: 'attachment',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_attachment_body_id',
+      fields: ['body_id']
+    }
+  ]
+});
+
+module.exports = Attachment;
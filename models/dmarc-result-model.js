@@ -0,0 +1,117 @@
+// DMARC result model using Sequelize
+// DMARC verdict of each received message, the source of aggregate reports to domain owners
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class DmarcResult extends Model {
+  // Define model associations
+  static associate() {
+    // This model doesn't have any associations
+  }
+}
+
+// Initialize DmarcResult model
+DmarcResult.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  policyDomain: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Domain whose DMARC record was applied'
+  },
+  headerFrom: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Domain of the From header'
+  },
+  envelopeFrom: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  sourceIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Message-ID header of the message'
+  },
+  result: {
+    type: DataTypes.ENUM('pass', 'fail'),
+    allowNull: false
+  },
+  policy: {
+    type: DataTypes.ENUM('none', 'quarantine', 'reject'),
+    allowNull: false,
+    comment: 'Published policy for the author domain (p= or sp=)'
+  },
+  disposition: {
+    type: DataTypes.ENUM('none', 'quarantine', 'reject'),
+    allowNull: false,
+    comment: 'Policy applied after pct= sampling'
+  },
+  published: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Parsed DMARC record (p, sp, adkim, aspf, pct, rua)'
+  },
+  spfResult: {
+    type: DataTypes.STRING(16),
+    allowNull: true
+  },
+  spfDomain: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  spfAligned: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  dkimAligned: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  dkimSignatures: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Result, domain and selector of each DKIM signature'
+  }
+}, {
+  sequelize,
+  modelName: 'dmarc_result',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_dmarc_result_policy_domain',
+      fields: ['policy_domain', 'created_at']
+    }
+  ]
+});
+
+// Static methods
+DmarcResult.getAggregate = async function(policyDomain, start, end) {
+  return this.findAll({
+    attributes: [
+      'sourceIp',
+      'headerFrom',
+      'disposition',
+      'spfAligned',
+      'dkimAligned',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where: {
+      policyDomain: policyDomain.toLowerCase(),
+      createdAt: { [Op.gte]: start, [Op.lt]: end }
+    },
+    group: ['sourceIp', 'headerFrom', 'disposition', 'spfAligned', 'dkimAligned'],
+    order: [[sequelize.literal('count'), 'DESC']],
+    raw: true
+  });
+};
+
+module.exports = DmarcResult;
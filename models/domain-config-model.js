@@ -3,6 +3,14 @@ const { DataTypes, Model } = require('sequelize');
 const { sequelize } = require('../config/database');
 const crypto = require('crypto');
 
+// How mail for unknown recipients on a domain is handled
+const CATCH_ALL_MODES = {
+  OFF: 'off',           // Accept and store, but don't expose it
+  REJECT: 'reject',     // Reject unknown recipients at RCPT TO
+  MAILBOX: 'mailbox',   // Route to a chosen mailbox on the domain
+  WILDCARD: 'wildcard'  // Capture into the domain's wildcard inbox
+};
+
 class DomainConfig extends Model {
   // Define model associations
   static associate(models) {
@@ -37,6 +45,23 @@ class DomainConfig extends Model {
       }
     };
   }
+
+  // Relay override settings without the password
+  getRelaySettings() {
+    return {
+      host: this.relayHost,
+      port: this.relayPort,
+      secure: this.relaySecure,
+      username: this.relayUsername,
+      hasPassword: Boolean(this.relayPassword)
+    };
+  }
+
+  // Never expose the relay password
+  toJSON() {
+    const { relayPassword, ...data } = super.toJSON();
+    return data;
+  }
 }
 
 // Initialize DomainConfig model
@@ -90,12 +115,58 @@ DomainConfig.init({
   mxVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
+  },
+  catchAllMode: {
+    type: DataTypes.ENUM(...Object.values(CATCH_ALL_MODES)),
+    defaultValue: CATCH_ALL_MODES.OFF
+  },
+  catchAllMailbox: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Mailbox receiving unknown recipients when catchAllMode is mailbox',
+    validate: {
+      isEmail: true
+    }
+  },
+  relayHost: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Smarthost for mail sent from this domain (overrides EmailConfig.outbound)'
+  },
+  relayPort: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  relaySecure: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Connect to the relay with implicit TLS instead of STARTTLS'
+  },
+  relayUsername: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  relayPassword: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  tempInboxes: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Anyone may create temporary inboxes on the domain'
   }
 }, {
   sequelize,
   modelName: 'domain_config',
   timestamps: true,
   underscored: true,
+  validate: {
+    catchAllMailboxRequired() {
+      if (this.catchAllMode === CATCH_ALL_MODES.MAILBOX && !this.catchAllMailbox) {
+        throw new Error('A catch-all mailbox is required when catch-all mode is mailbox');
+      }
+    }
+  },
   hooks: {
     // Generate DKIM keys and records before creation
     beforeCreate: async (config) => {
@@ -175,4 +246,6 @@ DomainConfig.createForDomain = async function(domainName) {
   }
 };
 
+DomainConfig.CATCH_ALL_MODES = CATCH_ALL_MODES;
+
 module.exports = DomainConfig;
\ No newline at end of file
@@ -19,6 +19,21 @@ class Domain extends Model {
       as: 'config',
       onDelete: 'CASCADE'
     });
+
+    // Domain has many domain admin assignments
+    Domain.hasMany(models.RoleAssignment, {
+      foreignKey: 'domainId',
+      as: 'roleAssignments',
+      onDelete: 'CASCADE'
+    });
+
+    // Domain has many suppressed recipients
+    Domain.hasMany(models.Suppression, {
+      foreignKey: 'domainName',
+      sourceKey: 'name',
+      as: 'suppressions',
+      onDelete: 'CASCADE'
+    });
   }
   
   // Custom instance methods
@@ -6,6 +6,81 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 
+// Default server configuration. Stored configs are merged on top of this so
+// sections added in newer versions are always present.
+const DEFAULT_CONFIG = {
+  inbound: {
+    enabled: true,
+    port: 25,
+    hostname: 'localhost',
+    requireAuth: false
+  },
+  submission: {
+    enabled: true,
+    port: 587
+  },
+  imap: {
+    enabled: true,
+    port: 143,
+    securePort: 993,
+    idleInterval: 10       // Seconds between checks for changes while a client is in IDLE
+  },
+  pop3: {
+    enabled: true,
+    port: 110,
+    securePort: 995,
+    leaveOnServer: false   // Keep messages deleted over POP3, they are only hidden from later POP3 sessions
+  },
+  outbound: {
+    enabled: true,
+    useRelay: false,
+    relayHost: '',
+    relayPort: 587,
+    relayUsername: '',
+    relayPassword: '',
+    relaySecure: false,
+    relayRejectUnauthorized: true
+  },
+  queue: {
+    workerInterval: 30,    // Seconds between queue runs
+    retryDelay: 300,       // Seconds before the first retry, doubled after each attempt
+    maxRetryDelay: 14400,
+    lifetime: 432000,      // Seconds before undelivered mail is given up on
+    batchSize: 20
+  },
+  bounces: {
+    enabled: true,
+    delayWarnings: [14400] // Seconds in the queue before the sender is told about a delay
+  },
+  limits: {
+    maxMessageSize: 10 * 1024 * 1024, // 10MB
+    maxRecipients: 50,
+    rateLimit: 100 // per hour
+  },
+  security: {
+    useTLS: true,
+    requireTLS: false,
+    useDKIM: true,
+    useSPF: true
+  },
+  spamProtection: {
+    spfCheck: true, // Evaluate SPF for mail from unauthenticated clients
+    rejectSpfFail: false, // Refuse mail whose SPF result is fail instead of only recording it
+    dkimCheck: true, // Verify the DKIM signatures of received mail
+    dmarcCheck: true, // Evaluate the author domain's DMARC policy
+    enforceDmarcPolicy: true // Reject or route to Spam as the policy asks instead of only recording it
+  },
+  tempInboxes: {
+    enabled: true,
+    defaultTtl: 60 * 60, // 1 hour
+    maxTtl: 7 * 24 * 60 * 60, // 7 days
+    sweepInterval: 60 // seconds
+  },
+  search: {
+    indexInterval: 30 // Seconds between runs of the background indexer
+  }
+};
+
 class EmailConfig extends Model {
   // Define model associations
   static associate() {
@@ -54,41 +129,13 @@ EmailConfig.getConfig = async function() {
     
     if (!config) {
       // Create default config if not exists
-      const defaultConfig = {
-        inbound: {
-          enabled: true,
-          port: 25,
-          hostname: 'localhost',
-          requireAuth: false
-        },
-        outbound: {
-          enabled: true,
-          useRelay: false,
-          relayHost: '',
-          relayPort: 587,
-          relayUsername: '',
-          relayPassword: ''
-        },
-        limits: {
-          maxMessageSize: 10 * 1024 * 1024, // 10MB
-          maxRecipients: 50,
-          rateLimit: 100 // per hour
-        },
-        security: {
-          useTLS: true,
-          requireTLS: false,
-          useDKIM: true,
-          useSPF: true
-        }
-      };
-      
       config = await this.create({
         configKey: 'default_config',
-        configValue: defaultConfig
+        configValue: DEFAULT_CONFIG
       });
     }
     
-    return config.getConfigValue();
+    return deepMerge(DEFAULT_CONFIG, config.getConfigValue());
   } catch (error) {
     console.error('Error getting email config:', error);
     throw error;
@@ -198,4 +245,6 @@ function isObject(item) {
   return (item && typeof item === 'object' && !Array.isArray(item));
 }
 
+EmailConfig.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
 module.exports = EmailConfig;
\ No newline at end of file
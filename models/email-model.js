@@ -21,7 +21,21 @@ class Email extends Model {
         sent: false
       }
     });
-    
+
+    // Email has many role assignments
+    Email.hasMany(models.RoleAssignment, {
+      foreignKey: 'emailId',
+      as: 'roleAssignments',
+      onDelete: 'CASCADE'
+    });
+
+    // Email has many IMAP folders
+    Email.hasMany(models.Folder, {
+      foreignKey: 'emailAddress',
+      sourceKey: 'address',
+      as: 'folders',
+      onDelete: 'CASCADE'
+    });
   }
   
   // Check if password matches
@@ -29,6 +43,11 @@ class Email extends Model {
     return bcrypt.compare(password, this.password);
   }
   
+  // Check if a temporary inbox has passed its expiry time
+  isExpired() {
+    return Boolean(this.expiresAt) && this.expiresAt.getTime() <= Date.now();
+  }
+  
   // Custom instance methods
   safeReturn() {
     const { password, ...safeData } = this.toJSON();
@@ -74,6 +93,15 @@ Email.init({
   lastLogin: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  temporary: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Disposable inbox that is purged when it expires'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   sequelize,
@@ -110,7 +138,7 @@ Email.init({
 Email.authenticate = async function(address, password) {
   const email = await this.findOne({ where: { address } });
   
-  if (!email) {
+  if (!email || email.isExpired()) {
     return null;
   }
   
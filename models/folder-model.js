@@ -0,0 +1,168 @@
+// Folder model using Sequelize
+// Mailbox folders as seen by IMAP clients and the API, messages get a UID when they are placed in one
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Special use of the folders every mailbox has
+// Values other than inbox match the RFC 6154 attributes (\Sent, \Drafts, ...)
+const SPECIAL_USE = {
+  INBOX: 'inbox',     // Received messages
+  SENT: 'sent',       // Copies of sent messages
+  DRAFTS: 'drafts',   // Messages being written
+  TRASH: 'trash',     // Deleted messages
+  JUNK: 'junk',       // Spam
+  ARCHIVE: 'archive'  // Messages kept out of the INBOX
+};
+
+// Folders created for every mailbox
+const SYSTEM_FOLDERS = [
+  { name: 'INBOX', specialUse: SPECIAL_USE.INBOX },
+  { name: 'Sent', specialUse: SPECIAL_USE.SENT },
+  { name: 'Drafts', specialUse: SPECIAL_USE.DRAFTS },
+  { name: 'Trash', specialUse: SPECIAL_USE.TRASH },
+  { name: 'Spam', specialUse: SPECIAL_USE.JUNK },
+  { name: 'Archive', specialUse: SPECIAL_USE.ARCHIVE }
+];
+
+// Hierarchy delimiter of folder names
+const DELIMITER = '/';
+
+class Folder extends Model {
+  // Define model associations
+  static associate(models) {
+    // Folder belongs to a mailbox
+    Folder.belongsTo(models.Email, {
+      foreignKey: 'emailAddress',
+      targetKey: 'address',
+      as: 'email'
+    });
+
+    // Messages placed in the folder
+    Folder.hasMany(models.Message, {
+      foreignKey: 'folderId',
+      as: 'messages',
+      constraints: false
+    });
+  }
+
+  // Check if this is one of the folders every mailbox has
+  isSystem() {
+    return Boolean(this.specialUse);
+  }
+}
+
+// Initialize Folder model
+Folder.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  emailAddress: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'emails',
+      key: 'address'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Full folder path, levels separated by "/"',
+    validate: {
+      notEmpty: true
+    }
+  },
+  specialUse: {
+    type: DataTypes.ENUM(...Object.values(SPECIAL_USE)),
+    allowNull: true
+  },
+  uidValidity: {
+    type: DataTypes.INTEGER.UNSIGNED,
+    allowNull: false,
+    defaultValue: () => Math.floor(Date.now() / 1000)
+  },
+  uidNext: {
+    type: DataTypes.INTEGER.UNSIGNED,
+    allowNull: false,
+    defaultValue: 1,
+    comment: 'UID the next message placed in the folder gets'
+  },
+  subscribed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  sequelize,
+  modelName: 'folder',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_folder_email_name',
+      unique: true,
+      fields: ['email_address', 'name']
+    }
+  ]
+});
+
+// Static methods
+Folder.ensureSystemFolders = async function(address) {
+  const folders = [];
+  for (const folder of SYSTEM_FOLDERS) {
+    const [entry] = await this.findOrCreate({
+      where: { emailAddress: address, name: folder.name },
+      defaults: { specialUse: folder.specialUse }
+    });
+
+    // A folder the user created before it became a system folder takes over its role
+    if (entry.specialUse !== folder.specialUse) {
+      await entry.update({ specialUse: folder.specialUse });
+    }
+    folders.push(entry);
+  }
+  return folders;
+};
+
+Folder.getFolders = async function(address) {
+  return this.findAll({
+    where: { emailAddress: address },
+    order: [['name', 'ASC']]
+  });
+};
+
+// INBOX is case-insensitive, every other name is matched exactly
+Folder.findByName = async function(address, name) {
+  if (name.toUpperCase() === 'INBOX') {
+    return this.findOne({ where: { emailAddress: address, specialUse: SPECIAL_USE.INBOX } });
+  }
+  return this.findOne({ where: { emailAddress: address, name } });
+};
+
+Folder.findBySpecialUse = async function(address, specialUse) {
+  return this.findOne({ where: { emailAddress: address, specialUse } });
+};
+
+Folder.findChildren = async function(folder) {
+  return this.findAll({
+    where: {
+      emailAddress: folder.emailAddress,
+      name: { [Op.like]: `${folder.name.replace(/[\\%_]/g, '\\$&')}${DELIMITER}%` }
+    }
+  });
+};
+
+// Reserve count UIDs, the folder row is locked until the transaction ends
+Folder.allocateUids = async function(folderId, count, transaction) {
+  const folder = await this.findByPk(folderId, { transaction, lock: transaction.LOCK.UPDATE });
+  const first = folder.uidNext;
+  await folder.update({ uidNext: first + count }, { transaction });
+  return first;
+};
+
+Folder.SPECIAL_USE = SPECIAL_USE;
+Folder.SYSTEM_FOLDERS = SYSTEM_FOLDERS;
+Folder.DELIMITER = DELIMITER;
+
+module.exports = Folder;
@@ -0,0 +1,114 @@
+// Message body model using Sequelize
+// Bodies are stored once and shared by every Message delivered from them
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const crypto = require('crypto');
+
+class MessageBody extends Model {
+  // Define model associations
+  static associate(models) {
+    // A body is shared by many messages
+    MessageBody.hasMany(models.Message, {
+      foreignKey: 'bodyId',
+      as: 'messages'
+    });
+
+    // Attachments are stored with the body they came with
+    MessageBody.hasMany(models.Attachment, {
+      foreignKey: 'bodyId',
+      as: 'attachments',
+      onDelete: 'CASCADE'
+    });
+  }
+}
+
+// Initialize MessageBody model
+MessageBody.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    comment: 'SHA-256 of the text and HTML content and attachments'
+  },
+  textContent: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  },
+  htmlContent: {
+    type: DataTypes.TEXT('long'),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'message_body',
+  timestamps: true,
+  underscored: true
+});
+
+// Helper function to hash body content
+function computeChecksum(textContent, htmlContent, attachments = []) {
+  const hash = crypto.createHash('sha256')
+    .update(textContent || '')
+    .update('\0')
+    .update(htmlContent || '');
+
+  for (const attachment of attachments) {
+    hash.update('\0')
+      .update(attachment.checksum)
+      .update(attachment.filename || '')
+      .update(attachment.contentId || '');
+  }
+
+  return hash.digest('hex');
+}
+
+// Static methods
+MessageBody.store = async function(textContent, htmlContent, options = {}) {
+  const attachments = options.attachments || [];
+  const checksum = computeChecksum(textContent, htmlContent, attachments);
+
+  const [body, created] = await this.findOrCreate({
+    where: { checksum },
+    defaults: {
+      textContent: textContent || '',
+      htmlContent: htmlContent || ''
+    },
+    transaction: options.transaction
+  });
+
+  if (created && attachments.length > 0) {
+    await sequelize.models.attachment.bulkCreate(
+      attachments.map(attachment => ({ ...attachment, bodyId: body.id })),
+      { transaction: options.transaction }
+    );
+  }
+
+  return body;
+};
+
+// Remove bodies no message refers to, optionally only among the given ids
+// Returns the checksums of the attachments removed with them so their blobs can be released
+MessageBody.purgeOrphans = async function(ids) {
+  const unreferenced = sequelize.literal('(SELECT DISTINCT `body_id` FROM `messages` WHERE `body_id` IS NOT NULL)');
+  const orphans = await this.findAll({
+    where: { id: ids ? { [Op.in]: ids, [Op.notIn]: unreferenced } : { [Op.notIn]: unreferenced } },
+    attributes: ['id'],
+    include: [{ model: sequelize.models.attachment, as: 'attachments', attributes: ['checksum'] }]
+  });
+  if (orphans.length === 0) {
+    return [];
+  }
+
+  // Checked again in case a new message started sharing one of the bodies
+  await this.destroy({
+    where: { id: { [Op.in]: orphans.map(body => body.id), [Op.notIn]: unreferenced } }
+  });
+  return orphans.flatMap(body => body.attachments.map(attachment => attachment.checksum));
+};
+
+module.exports = MessageBody;
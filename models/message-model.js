@@ -1,6 +1,9 @@
 // Message model using Sequelize
-const { DataTypes, Model } = require('sequelize');
+const { DataTypes, Model, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const Folder = require('./folder-model');
+
+const { SPECIAL_USE } = Folder;
 
 class Message extends Model {
   // Define model associations
@@ -13,6 +16,40 @@ class Message extends Model {
       as: 'recipient',
       constraints: false // Bỏ ràng buộc khóa ngoại ở cấp Sequelize
     });
+
+    // Message content shared between all recipients of a delivery
+    Message.belongsTo(models.MessageBody, {
+      foreignKey: 'bodyId',
+      as: 'body'
+    });
+
+    // Outbound queue item a sent copy is waiting on
+    Message.belongsTo(models.QueueItem, {
+      foreignKey: 'queueItemId',
+      as: 'queueItem',
+      constraints: false
+    });
+
+    // Folder the message has been placed in (unset until a client lists it)
+    Message.belongsTo(models.Folder, {
+      foreignKey: 'folderId',
+      as: 'folder',
+      constraints: false
+    });
+  }
+
+  // Expose shared body content as if it were stored on the message
+  toJSON() {
+    const data = super.toJSON();
+    if (data.body) {
+      data.textContent = data.body.textContent;
+      data.htmlContent = data.body.htmlContent;
+      if (data.body.attachments) {
+        data.attachments = data.body.attachments;
+      }
+    }
+    delete data.body;
+    return data;
   }
 }
 
@@ -54,6 +91,25 @@ Message.init({
     type: DataTypes.TEXT('long'),
     allowNull: true
   },
+  bodyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Shared body (textContent/htmlContent are empty when set)',
+    references: {
+      model: 'message_bodies',
+      key: 'id'
+    }
+  },
+  envelopeFrom: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'SMTP MAIL FROM address (empty for bounces)'
+  },
+  envelopeTo: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'SMTP RCPT TO address this copy was delivered for'
+  },
   sent: {
     type: DataTypes.BOOLEAN,
     defaultValue: false,
@@ -74,6 +130,95 @@ Message.init({
   status: {
     type: DataTypes.ENUM('received', 'sent', 'failed', 'queued'),
     defaultValue: 'received'
+  },
+  catchAll: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Captured by a domain catch-all for an unknown recipient'
+  },
+  originalRecipient: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Recipient address before catch-all routing'
+  },
+  deliveryAttempts: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Outbound delivery attempts (host, ip, status, response)'
+  },
+  queueItemId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Outbound queue item the copy was sent through'
+  },
+  diagnosticCode: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+    comment: 'Remote server response for a failed delivery'
+  },
+  bouncedMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Sent message a delivery status notification refers to'
+  },
+  rawChecksum: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 of the raw RFC 822 source in the blob store'
+  },
+  rawSize: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  folderId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Folder the message is in, INBOX or Sent by message state when unset'
+  },
+  uid: {
+    type: DataTypes.INTEGER.UNSIGNED,
+    allowNull: true,
+    comment: 'IMAP UID within the folder'
+  },
+  flags: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'IMAP flags and keywords other than \\Seen (kept in read)'
+  },
+  threadId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Conversation the message belongs to, assigned when threads are listed'
+  },
+  searchIndexed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Subject and body are in the search index, set by the search indexer'
+  },
+  spfResult: {
+    type: DataTypes.ENUM('none', 'neutral', 'pass', 'fail', 'softfail', 'temperror', 'permerror'),
+    allowNull: true,
+    comment: 'SPF verdict for the sending client, unset when not checked'
+  },
+  dkimResult: {
+    type: DataTypes.ENUM('none', 'pass', 'fail', 'neutral', 'policy', 'temperror', 'permerror'),
+    allowNull: true,
+    comment: 'Best DKIM signature result, unset when not checked'
+  },
+  dkimSignatures: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Result of each DKIM signature (result, domain, selector, algorithm, identity, reason)'
+  },
+  dmarcResult: {
+    type: DataTypes.ENUM('none', 'pass', 'fail', 'temperror', 'permerror'),
+    allowNull: true,
+    comment: 'DMARC verdict for the author domain, unset when not checked'
+  },
+  quarantined: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Delivered to Spam by the author domain\'s DMARC policy'
   }
 }, {
   sequelize,
@@ -92,55 +237,191 @@ Message.init({
     {
       name: 'idx_message_created_at',
       fields: ['created_at']
+    },
+    {
+      name: 'idx_message_original_recipient',
+      fields: ['original_recipient']
+    },
+    {
+      name: 'idx_message_folder_uid',
+      fields: ['folder_id', 'uid']
+    },
+    {
+      name: 'idx_message_message_id',
+      fields: ['message_id']
+    },
+    {
+      name: 'idx_message_thread_id',
+      fields: ['thread_id']
+    },
+    {
+      name: 'idx_message_search_indexed',
+      fields: ['search_indexed', 'created_at']
     }
   ]
 });
 
+// Helper function to load the shared body with a message
+function bodyInclude(withAttachments = false) {
+  return {
+    model: sequelize.models.message_body,
+    as: 'body',
+    attributes: ['textContent', 'htmlContent'],
+    required: false,
+    ...(withAttachments ? {
+      include: [{
+        model: sequelize.models.attachment,
+        as: 'attachments',
+        attributes: ['id', 'filename', 'contentType', 'size', 'checksum', 'contentId', 'inline'],
+        required: false
+      }]
+    } : {})
+  };
+}
+
+// Helper function to build the filters shared by the message listings
+function listingConditions(options) {
+  const escape = value => value.replace(/[\\%_]/g, '\\$&');
+  const conditions = [];
+
+  if (options.unreadOnly) {
+    conditions.push({ read: false });
+  }
+  if (typeof options.read === 'boolean') {
+    conditions.push({ read: options.read });
+  }
+  if (options.from) {
+    conditions.push({ fromEmail: { [Op.like]: `%${escape(options.from)}%` } });
+  }
+  if (options.to) {
+    conditions.push({ toEmail: { [Op.like]: `%${escape(options.to)}%` } });
+  }
+  if (options.after) {
+    conditions.push({ createdAt: { [Op.gte]: options.after } });
+  }
+  if (options.before) {
+    conditions.push({ createdAt: { [Op.lt]: options.before } });
+  }
+  return conditions;
+}
+
+// Helper function to select the messages after (or up to) a cursor in listing order
+function cursorCondition(cursor, sort, after = true) {
+  const ascending = sort === 'asc';
+  const idOperator = after ? (ascending ? Op.gt : Op.lt) : (ascending ? Op.lte : Op.gte);
+  return {
+    [Op.or]: [
+      { createdAt: { [ascending === after ? Op.gt : Op.lt]: cursor.createdAt } },
+      { createdAt: cursor.createdAt, id: { [idOperator]: cursor.id } }
+    ]
+  };
+}
+
+// Helper function to run a listing query
+// With a cursor ({ createdAt, id } of the last message seen) the offset is counted instead of given
+async function findListing(where, options) {
+  const { limit = 50, offset = 0, sort = 'desc', cursor = null } = options;
+  const filtered = { [Op.and]: [where, ...listingConditions(options)] };
+
+  const count = await Message.count({ where: filtered });
+  const skipped = cursor
+    ? await Message.count({ where: { [Op.and]: [filtered, cursorCondition(cursor, sort, false)] } })
+    : offset;
+
+  const rows = await Message.findAll({
+    where: cursor ? { [Op.and]: [filtered, cursorCondition(cursor, sort)] } : filtered,
+    include: [bodyInclude()],
+    order: [['createdAt', sort.toUpperCase()], ['id', sort.toUpperCase()]],
+    limit,
+    offset: cursor ? 0 : offset
+  });
+
+  return { count, rows, offset: skipped };
+}
+
+// Helper function to select the messages placed in the folders of a mailbox
+// When special uses are given, only the folders with one of them
+function placedIn(email, specialUses = null) {
+  const uses = specialUses
+    ? ` AND \`special_use\` IN (${specialUses.map(use => sequelize.escape(use)).join(', ')})`
+    : '';
+  return {
+    folderId: {
+      [Op.in]: sequelize.literal(`(SELECT \`id\` FROM \`folders\` WHERE \`email_address\` = ${sequelize.escape(email)}${uses})`)
+    }
+  };
+}
+
+// Helper functions to select the messages not placed in a folder yet (see folder-service syncFolder)
+const unplacedReceived = email => ({ folderId: null, toEmail: email, sent: false, quarantined: false });
+const unplacedSent = email => ({ folderId: null, fromEmail: email, sent: true });
+
 // Static methods
+// Messages of the INBOX (received mail not placed yet included, quarantined mail left for Spam),
+// or the messages of one of the mailbox's folders when folderId is given
+// Options: limit, offset or cursor, sort (asc, desc), unreadOnly, read, from, to, after, before
 Message.getMessagesForEmail = async function(email, options = {}) {
-  const { limit = 50, offset = 0, unreadOnly = false, sort = 'desc' } = options;
-  
-  const query = {
+  const { folderId = null } = options;
+  return findListing(folderId
+    ? { folderId }
+    : { [Op.or]: [unplacedReceived(email), placedIn(email, [SPECIAL_USE.INBOX])] }, options);
+};
+
+// Messages of the Sent folder, same options as getMessagesForEmail
+Message.getSentMessagesForEmail = async function(email, options = {}) {
+  return findListing({ [Op.or]: [unplacedSent(email), placedIn(email, [SPECIAL_USE.SENT])] }, options);
+};
+
+Message.countSentSince = async function(address, since) {
+  return this.count({
     where: {
-      toEmail: email,
-      ...(unreadOnly ? { read: false } : {})
+      fromEmail: address,
+      sent: true,
+      createdAt: { [Op.gte]: since }
+    }
+  });
+};
+
+Message.getCatchAllSummary = async function(domainName) {
+  return this.findAll({
+    attributes: [
+      'originalRecipient',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+      [sequelize.fn('SUM', sequelize.literal('CASE WHEN `read` = 0 THEN 1 ELSE 0 END')), 'unread'],
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'lastReceivedAt']
+    ],
+    where: {
+      catchAll: true,
+      originalRecipient: { [Op.like]: `%@${domainName}` }
     },
-    order: [['createdAt', sort.toUpperCase()]],
-    limit,
-    offset
-  };
-  
-  return this.findAndCountAll(query);
+    group: ['originalRecipient'],
+    order: [[sequelize.literal('lastReceivedAt'), 'DESC']],
+    raw: true
+  });
 };
 
-Message.getSentMessagesForEmail = async function(email, options = {}) {
+Message.getCatchAllMessages = async function(address, options = {}) {
   const { limit = 50, offset = 0, sort = 'desc' } = options;
-  
-  const query = {
+
+  return this.findAndCountAll({
     where: {
-      fromEmail: email,
-      sent: true
+      catchAll: true,
+      originalRecipient: address
     },
+    include: [bodyInclude()],
     order: [['createdAt', sort.toUpperCase()]],
     limit,
     offset
-  };
-  
-  return this.findAndCountAll(query);
+  });
 };
 
 // Thêm phương thức tìm message theo ID
 Message.getMessageById = async function(id) {
   return this.findByPk(id, {
     include: [
+      bodyInclude(true),
       {
-        model: sequelize.models.Email,
-        as: 'sender',
-        attributes: ['id', 'address', 'name'],
-        required: false
-      },
-      {
-        model: sequelize.models.Email,
+        model: sequelize.models.email,
         as: 'recipient',
         attributes: ['id', 'address', 'name'],
         required: false
@@ -149,6 +430,54 @@ Message.getMessageById = async function(id) {
   });
 };
 
+// Where condition for the conversations of a mailbox: the messages of its INBOX and Sent folders
+// Copies filed in other folders, Drafts, Trash and quarantined mail are left out
+// Sent copies addressed to the mailbox belong to their sender, not to the recipient
+Message.forMailbox = function(email) {
+  return {
+    [Op.or]: [
+      unplacedReceived(email),
+      unplacedSent(email),
+      placedIn(email, [SPECIAL_USE.INBOX, SPECIAL_USE.SENT])
+    ]
+  };
+};
+
+// Where condition for every message kept for a mailbox, whatever folder it is in
+// Quarantined mail is only included once it is placed in Spam, unless includeQuarantined is set
+Message.storedFor = function(email, { includeQuarantined = false } = {}) {
+  return {
+    [Op.or]: [
+      includeQuarantined ? { folderId: null, toEmail: email, sent: false } : unplacedReceived(email),
+      unplacedSent(email),
+      placedIn(email)
+    ]
+  };
+};
+
+// Find a message of a mailbox, in any of its folders
+Message.getMessageForEmailById = async function(email, id) {
+  return this.findOne({
+    where: {
+      id,
+      ...this.storedFor(email)
+    },
+    include: [bodyInclude(true)]
+  });
+};
+
+// Messages of a conversation in a mailbox, oldest first
+Message.getThreadMessages = async function(email, threadId) {
+  return this.findAll({
+    where: {
+      threadId,
+      ...this.forMailbox(email)
+    },
+    include: [bodyInclude(true)],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+};
+
 // Thêm phương thức đánh dấu đã đọc
 Message.markAsRead = async function(id) {
   const message = await this.findByPk(id);
@@ -0,0 +1,133 @@
+// Outbound queue model using Sequelize
+// One item per submitted message and recipient domain, kept until every recipient is delivered or failed
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Queue item states
+const QUEUE_STATUS = {
+  QUEUED: 'queued', // Waiting for the worker
+  HELD: 'held'      // Paused by an administrator
+};
+
+class QueueItem extends Model {
+  // Define model associations
+  static associate(models) {
+    // Sent copies waiting on this item
+    QueueItem.hasMany(models.Message, {
+      foreignKey: 'queueItemId',
+      as: 'messages',
+      constraints: false
+    });
+  }
+
+  // Queue details with the size of the raw message
+  safeReturn() {
+    const { rawChecksum, rawSize, ...safeData } = this.toJSON();
+    return { ...safeData, size: rawSize || 0 };
+  }
+}
+
+// Initialize QueueItem model
+QueueItem.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  messageId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'SMTP Message-ID header'
+  },
+  envelopeFrom: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  domain: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Recipient domain'
+  },
+  recipients: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Recipients still waiting for delivery'
+  },
+  rawChecksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: 'SHA-256 of the raw RFC 822 source in the blob store'
+  },
+  rawSize: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM(...Object.values(QUEUE_STATUS)),
+    defaultValue: QUEUE_STATUS.QUEUED
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  delayNotices: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: 'Delay notifications already sent to the sender'
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: 'queue_item',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_queue_item_due',
+      fields: ['status', 'next_attempt_at']
+    },
+    {
+      name: 'idx_queue_item_domain',
+      fields: ['domain']
+    }
+  ]
+});
+
+// Static methods
+QueueItem.getDueItems = async function(limit = 20) {
+  return this.findAll({
+    where: {
+      status: QUEUE_STATUS.QUEUED,
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['nextAttemptAt', 'ASC']],
+    limit
+  });
+};
+
+// Hold back every queued item for a domain until the given time
+QueueItem.deferDomain = async function(domain, until) {
+  return this.update({ nextAttemptAt: until }, {
+    where: {
+      domain,
+      status: QUEUE_STATUS.QUEUED,
+      nextAttemptAt: { [Op.lt]: until }
+    }
+  });
+};
+
+QueueItem.QUEUE_STATUS = QUEUE_STATUS;
+
+module.exports = QueueItem;
@@ -0,0 +1,107 @@
+// Role assignment model using Sequelize
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Available roles. Accounts without an assignment are plain mailbox users.
+const ROLES = {
+  ADMIN: 'admin',
+  DOMAIN_ADMIN: 'domain_admin',
+  USER: 'user'
+};
+
+class RoleAssignment extends Model {
+  // Define model associations
+  static associate(models) {
+    // RoleAssignment belongs to an Email account
+    RoleAssignment.belongsTo(models.Email, {
+      foreignKey: 'emailId',
+      as: 'email'
+    });
+
+    // Domain admin assignments belong to a Domain
+    RoleAssignment.belongsTo(models.Domain, {
+      foreignKey: 'domainId',
+      as: 'domain'
+    });
+  }
+}
+
+// Initialize RoleAssignment model
+RoleAssignment.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  emailId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'emails',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM(ROLES.ADMIN, ROLES.DOMAIN_ADMIN),
+    allowNull: false
+  },
+  domainId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Domain managed by a domain admin (null for global admins)',
+    references: {
+      model: 'domains',
+      key: 'id'
+    }
+  }
+}, {
+  sequelize,
+  modelName: 'role_assignment',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_role_assignment_unique',
+      unique: true,
+      fields: ['email_id', 'role', 'domain_id']
+    }
+  ],
+  validate: {
+    domainMatchesRole() {
+      if (this.role === ROLES.DOMAIN_ADMIN && !this.domainId) {
+        throw new Error('Domain admin assignments require a domain');
+      }
+      if (this.role === ROLES.ADMIN && this.domainId) {
+        throw new Error('Admin assignments cannot be scoped to a domain');
+      }
+    }
+  }
+});
+
+// Static methods
+RoleAssignment.getAccessForEmail = async function(emailId) {
+  const assignments = await this.findAll({
+    where: { emailId },
+    include: [
+      {
+        model: sequelize.models.domain,
+        as: 'domain',
+        attributes: ['id', 'name']
+      }
+    ]
+  });
+
+  const isAdmin = assignments.some(a => a.role === ROLES.ADMIN);
+  const domains = assignments
+    .filter(a => a.role === ROLES.DOMAIN_ADMIN && a.domain)
+    .map(a => ({ id: a.domain.id, name: a.domain.name }));
+
+  return {
+    role: isAdmin ? ROLES.ADMIN : domains.length > 0 ? ROLES.DOMAIN_ADMIN : ROLES.USER,
+    domains
+  };
+};
+
+RoleAssignment.ROLES = ROLES;
+
+module.exports = RoleAssignment;
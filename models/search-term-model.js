@@ -0,0 +1,57 @@
+// Search term model using Sequelize
+// Inverted index of message subjects and bodies, one row per distinct term of a message
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class SearchTerm extends Model {
+  // Define model associations
+  static associate(models) {
+    // Term belongs to an indexed message
+    SearchTerm.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message',
+      constraints: false
+    });
+  }
+}
+
+// Initialize SearchTerm model
+SearchTerm.init({
+  term: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    primaryKey: true,
+    comment: 'Lower case word with diacritics removed'
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    primaryKey: true
+  }
+}, {
+  sequelize,
+  modelName: 'search_term',
+  // Index rows are only ever inserted and removed
+  timestamps: false,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_search_term_message_id',
+      fields: ['message_id']
+    }
+  ]
+});
+
+// Static methods
+SearchTerm.indexMessage = async function(messageId, terms, options = {}) {
+  await this.destroy({ where: { messageId }, transaction: options.transaction });
+  if (terms.length > 0) {
+    // Another request may be indexing the same message
+    await this.bulkCreate(terms.map(term => ({ term, messageId })), {
+      transaction: options.transaction,
+      ignoreDuplicates: true
+    });
+  }
+};
+
+module.exports = SearchTerm;
@@ -0,0 +1,111 @@
+// Suppression list model using Sequelize
+// Recipients a domain must no longer send to
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Why a recipient was suppressed
+const SUPPRESSION_REASONS = {
+  HARD_BOUNCE: 'hard_bounce', // Permanent delivery failure for the address
+  COMPLAINT: 'complaint',     // Recipient reported the mail as spam (ARF)
+  MANUAL: 'manual'            // Added by an administrator
+};
+
+class Suppression extends Model {
+  // Define model associations
+  static associate(models) {
+    // Suppression belongs to the sending Domain
+    Suppression.belongsTo(models.Domain, {
+      foreignKey: 'domainName',
+      targetKey: 'name',
+      as: 'domain'
+    });
+  }
+}
+
+// Initialize Suppression model
+Suppression.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  domainName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'domains',
+      key: 'name'
+    }
+  },
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  reason: {
+    type: DataTypes.ENUM(...Object.values(SUPPRESSION_REASONS)),
+    allowNull: false,
+    defaultValue: SUPPRESSION_REASONS.MANUAL
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Diagnostic code or note explaining the entry'
+  },
+  sourceMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Message that caused the entry (bounced mail or complaint)'
+  }
+}, {
+  sequelize,
+  modelName: 'suppression',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      name: 'idx_suppression_domain_address',
+      unique: true,
+      fields: ['domain_name', 'address']
+    }
+  ]
+});
+
+// Static methods
+Suppression.findSuppressed = async function(domainName, addresses) {
+  if (!domainName || addresses.length === 0) {
+    return [];
+  }
+
+  return this.findAll({
+    where: {
+      domainName: domainName.toLowerCase(),
+      address: { [Op.in]: addresses.map(address => address.toLowerCase()) }
+    }
+  });
+};
+
+Suppression.suppress = async function(domainName, address, reason, options = {}) {
+  const [entry, created] = await this.findOrCreate({
+    where: {
+      domainName: domainName.toLowerCase(),
+      address: address.toLowerCase()
+    },
+    defaults: {
+      reason,
+      details: options.details || null,
+      sourceMessageId: options.sourceMessageId || null
+    }
+  });
+
+  if (created) {
+    console.log(`Suppressed ${entry.address} for ${entry.domainName}: ${reason}`);
+  }
+  return entry;
+};
+
+Suppression.SUPPRESSION_REASONS = SUPPRESSION_REASONS;
+
+module.exports = Suppression;
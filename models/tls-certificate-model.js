@@ -0,0 +1,78 @@
+// TLS certificate model using Sequelize
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+const fs = require('fs');
+
+class TlsCertificate extends Model {
+  // Define model associations
+  static associate() {
+    // This model doesn't have any associations
+  }
+
+  // Load the PEM encoded certificate and key, from disk when paths are configured
+  loadPem() {
+    return {
+      cert: this.certPath ? fs.readFileSync(this.certPath, 'utf8') : this.certPem,
+      key: this.keyPath ? fs.readFileSync(this.keyPath, 'utf8') : this.keyPem
+    };
+  }
+
+  // Custom instance methods
+  safeReturn() {
+    const { keyPem, ...safeData } = this.toJSON();
+    return { ...safeData, hasKey: Boolean(keyPem || this.keyPath) };
+  }
+}
+
+// Initialize TlsCertificate model
+TlsCertificate.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    comment: 'Server name the certificate is used for (may start with *.)'
+  },
+  certPath: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  keyPath: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  certPem: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  keyPem: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  selfSigned: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'tls_certificate',
+  timestamps: true,
+  underscored: true,
+  validate: {
+    hasCertificateSource() {
+      if (!(this.certPath || this.certPem) || !(this.keyPath || this.keyPem)) {
+        throw new Error('Certificate and key are required, either as file paths or PEM data');
+      }
+    }
+  }
+});
+
+module.exports = TlsCertificate;
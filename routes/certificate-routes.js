@@ -0,0 +1,107 @@
+// TLS certificate management routes - Sequelize Version
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const TlsCertificate = require('../models/tls-certificate-model');
+
+// Import middleware
+const { requireAdmin } = require('../middleware/auth');
+
+// Import services
+const tlsService = require('../services/tls-service');
+
+// Certificate management is restricted to global admins
+router.use(requireAdmin);
+
+// Get all certificates (private keys are never returned)
+router.get('/', async (req, res, next) => {
+  try {
+    const certificates = await TlsCertificate.findAll({
+      order: [['hostname', 'ASC']]
+    });
+
+    res.json({ certificates: certificates.map(cert => cert.safeReturn()) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add or replace the certificate for a hostname
+router.put('/:hostname', async (req, res, next) => {
+  const hostname = req.params.hostname.toLowerCase();
+  const { certPath, keyPath, certPem, keyPem } = req.body;
+
+  const usesPaths = Boolean(certPath && keyPath);
+  const usesPem = Boolean(certPem && keyPem);
+  if (usesPaths === usesPem) {
+    return res.status(400).json({ error: 'Provide either certPath and keyPath, or certPem and keyPem' });
+  }
+
+  const data = {
+    hostname,
+    certPath: usesPaths ? certPath : null,
+    keyPath: usesPaths ? keyPath : null,
+    certPem: usesPem ? certPem : null,
+    keyPem: usesPem ? keyPem : null,
+    selfSigned: false
+  };
+
+  // Make sure the pair loads before storing it
+  let pem;
+  try {
+    pem = TlsCertificate.build(data).loadPem();
+    tlsService.validatePem(pem);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid certificate or key', details: error.message });
+  }
+
+  try {
+    await TlsCertificate.upsert({ ...data, expiresAt: tlsService.getExpiry(pem.cert) });
+    await tlsService.reload();
+
+    const certificate = await TlsCertificate.findOne({ where: { hostname } });
+    res.json(certificate.safeReturn());
+  } catch (error) {
+    console.error(`Error saving certificate for ${hostname}:`, error.message);
+    next(error);
+  }
+});
+
+// Replace the certificate for a hostname with a new self-signed one
+router.post('/:hostname/self-signed', async (req, res, next) => {
+  const hostname = req.params.hostname.toLowerCase();
+
+  try {
+    await tlsService.createSelfSigned(hostname);
+    await tlsService.reload();
+
+    const certificate = await TlsCertificate.findOne({ where: { hostname } });
+    res.status(201).json(certificate.safeReturn());
+  } catch (error) {
+    console.error(`Error generating certificate for ${hostname}:`, error.message);
+    next(error);
+  }
+});
+
+// Delete the certificate for a hostname
+router.delete('/:hostname', async (req, res, next) => {
+  const hostname = req.params.hostname.toLowerCase();
+
+  try {
+    const certificate = await TlsCertificate.findOne({ where: { hostname } });
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    await certificate.destroy();
+    await tlsService.reload();
+
+    res.json({ message: 'Certificate deleted successfully', hostname });
+  } catch (error) {
+    console.error(`Error deleting certificate for ${hostname}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
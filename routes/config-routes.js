@@ -6,10 +6,16 @@ const router = express.Router();
 const emailConfigModel = require('../models/email-config-model');
 const emailConfig = require('../config/email-config');
 
+// Import middleware
+const { requireAdmin } = require('../middleware/auth');
+
+// Email configuration and Postfix routes are restricted to global admins
+router.use(requireAdmin);
+
 // Get email configuration
 router.get('/', async (req, res) => {
   try {
-    const config = await emailConfigModel.getEmailConfig();
+    const config = await emailConfigModel.getConfig();
     
     // Remove sensitive information
     if (config.outbound && config.outbound.relayPassword) {
@@ -27,7 +33,13 @@ router.get('/', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const newConfig = req.body;
-    const updated = await emailConfigModel.updateEmailConfig(newConfig);
+
+    // Keep the stored relay password when the masked value is sent back
+    if (newConfig.outbound && newConfig.outbound.relayPassword === '********') {
+      delete newConfig.outbound.relayPassword;
+    }
+
+    const updated = await emailConfigModel.updateConfig(newConfig);
 
     // Remove sensitive information for response
     if (updated.outbound && updated.outbound.relayPassword) {
@@ -12,13 +12,23 @@ const dns = require('dns').promises;
 const Domain = require('../models/domain-model');
 const DomainConfig = require('../models/domain-config-model');
 const Email = require('../models/email-model');
+const Message = require('../models/message-model');
+const Suppression = require('../models/suppression-model');
+
+// Import middleware
+const {
+  requireAdmin,
+  requireDomainAdmin,
+  isAdmin,
+  canManageDomain
+} = require('../middleware/auth');
 
 /**
  * @route   GET /api/domains
  * @desc    Get all domains with optional filtering
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.get('/', async (req, res, next) => {
+router.get('/', requireDomainAdmin, async (req, res, next) => {
   try {
     const { 
       search, 
@@ -37,6 +47,10 @@ router.get('/', async (req, res, next) => {
     if (active !== undefined) {
       where.active = active === 'true';
     }
+    // Domain admins only see the domains assigned to them
+    if (!isAdmin(req.user)) {
+      where.id = { [Op.in]: req.user.domains.map(d => d.id) };
+    }
     
     // Calculate pagination
     const offset = (page - 1) * limit;
@@ -92,9 +106,9 @@ router.get('/', async (req, res, next) => {
 /**
  * @route   GET /api/domains/:id
  * @desc    Get domain by ID with full details
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireDomainAdmin, async (req, res, next) => {
   try {
     const domain = await Domain.findByPk(req.params.id, {
       include: [
@@ -109,6 +123,10 @@ router.get('/:id', async (req, res, next) => {
     if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
     
     // Get domain config
     const config = await DomainConfig.findOne({
@@ -130,9 +148,9 @@ router.get('/:id', async (req, res, next) => {
 /**
  * @route   POST /api/domains
  * @desc    Create a new domain
- * @access  Public
+ * @access  Private (admin)
  */
-router.post('/', async (req, res, next) => {
+router.post('/', requireAdmin, async (req, res, next) => {
   const { name } = req.body;
 
   if (!name) {
@@ -216,9 +234,9 @@ router.post('/', async (req, res, next) => {
 /**
  * @route   PUT /api/domains/:id
  * @desc    Update a domain
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireDomainAdmin, async (req, res, next) => {
   const { id } = req.params;
   const { name, active } = req.body;
   
@@ -228,6 +246,10 @@ router.put('/:id', async (req, res, next) => {
     if (!domain) {
       return res.status(404).json({ error: 'Domain not found' });
     }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
     
     // Start a transaction
     const result = await sequelize.transaction(async (transaction) => {
@@ -287,9 +309,9 @@ router.put('/:id', async (req, res, next) => {
 /**
  * @route   DELETE /api/domains/:id
  * @desc    Delete a domain
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireDomainAdmin, async (req, res, next) => {
   const { id } = req.params;
 
   try {
@@ -299,6 +321,10 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
     // Start a transaction
     await sequelize.transaction(async (transaction) => {
       // Domain deletion will cascade and delete related emails and configs
@@ -319,9 +345,9 @@ router.delete('/:id', async (req, res, next) => {
 /**
  * @route   POST /api/domains/:id/verify
  * @desc    Verify domain DNS configuration
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.post('/:id/verify', async (req, res, next) => {
+router.post('/:id/verify', requireDomainAdmin, async (req, res, next) => {
   const { id } = req.params;
 
   try {
@@ -331,6 +357,10 @@ router.post('/:id/verify', async (req, res, next) => {
       return res.status(404).json({ error: 'Domain not found' });
     }
 
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
     // Get domain config
     const domainConfig = await DomainConfig.findOne({ 
       where: { domainName: domain.name } 
@@ -391,12 +421,423 @@ router.post('/:id/verify', async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/domains/:id/catch-all
+ * @desc    Get catch-all settings and captured mail grouped by local part
+ * @access  Private (admin, domain admin)
+ */
+router.get('/:id/catch-all', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const domainConfig = await DomainConfig.findOne({
+      where: { domainName: domain.name }
+    });
+
+    const summary = await Message.getCatchAllSummary(domain.name);
+
+    res.json({
+      domain: domain.name,
+      mode: domainConfig ? domainConfig.catchAllMode : DomainConfig.CATCH_ALL_MODES.OFF,
+      mailbox: domainConfig ? domainConfig.catchAllMailbox : null,
+      recipients: summary.map(row => ({
+        localPart: row.originalRecipient.split('@')[0],
+        address: row.originalRecipient,
+        total: parseInt(row.total),
+        unread: parseInt(row.unread),
+        lastReceivedAt: row.lastReceivedAt
+      }))
+    });
+  } catch (error) {
+    console.error(`Error getting catch-all for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/domains/:id/catch-all
+ * @desc    Update catch-all settings for a domain
+ * @access  Private (admin, domain admin)
+ */
+router.put('/:id/catch-all', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+  const { mode, mailbox } = req.body;
+
+  if (!Object.values(DomainConfig.CATCH_ALL_MODES).includes(mode)) {
+    return res.status(400).json({
+      error: `Mode must be one of: ${Object.values(DomainConfig.CATCH_ALL_MODES).join(', ')}`
+    });
+  }
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const domainConfig = await DomainConfig.findOne({
+      where: { domainName: domain.name }
+    });
+
+    if (!domainConfig) {
+      return res.status(404).json({ error: 'Domain configuration not found' });
+    }
+
+    // The target mailbox must be an existing mailbox on the same domain
+    if (mode === DomainConfig.CATCH_ALL_MODES.MAILBOX) {
+      const target = mailbox && await Email.findOne({
+        where: { address: mailbox, domainId: domain.id }
+      });
+      if (!target) {
+        return res.status(400).json({ error: 'Catch-all mailbox must be an existing mailbox on this domain' });
+      }
+    }
+
+    await domainConfig.update({
+      catchAllMode: mode,
+      catchAllMailbox: mode === DomainConfig.CATCH_ALL_MODES.MAILBOX ? mailbox : null
+    });
+
+    res.json({
+      domain: domain.name,
+      mode: domainConfig.catchAllMode,
+      mailbox: domainConfig.catchAllMailbox
+    });
+  } catch (error) {
+    console.error(`Error updating catch-all for domain ${id}:`, error.message);
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        details: error.errors.map(e => e.message) 
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/domains/:id/temp-inboxes
+ * @desc    Allow or stop anonymous temporary inboxes on a domain
+ * @access  Private (admin, domain admin)
+ */
+router.put('/:id/temp-inboxes', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'Enabled must be true or false' });
+  }
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const domainConfig = await DomainConfig.findOne({
+      where: { domainName: domain.name }
+    });
+
+    if (!domainConfig) {
+      return res.status(404).json({ error: 'Domain configuration not found' });
+    }
+
+    await domainConfig.update({ tempInboxes: enabled });
+
+    res.json({ domain: domain.name, tempInboxes: domainConfig.tempInboxes });
+  } catch (error) {
+    console.error(`Error updating temporary inboxes for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/domains/:id/catch-all/:localPart
+ * @desc    Get mail captured for one local part
+ * @access  Private (admin, domain admin)
+ */
+router.get('/:id/catch-all/:localPart', requireDomainAdmin, async (req, res, next) => {
+  const { id, localPart } = req.params;
+  const { limit = 50, page = 1 } = req.query;
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const address = `${localPart.toLowerCase()}@${domain.name}`;
+    const { count, rows: messages } = await Message.getCatchAllMessages(address, {
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      address,
+      messages,
+      pagination: {
+        total: count,
+        pages: Math.ceil(count / limit),
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error(`Error getting catch-all messages for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/domains/:id/relay
+ * @desc    Get the outbound relay override for a domain
+ * @access  Private (admin, domain admin)
+ */
+router.get('/:id/relay', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const domainConfig = await DomainConfig.findOne({
+      where: { domainName: domain.name }
+    });
+
+    if (!domainConfig) {
+      return res.status(404).json({ error: 'Domain configuration not found' });
+    }
+
+    res.json({ domain: domain.name, relay: domainConfig.getRelaySettings() });
+  } catch (error) {
+    console.error(`Error getting relay for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/domains/:id/relay
+ * @desc    Send mail from a domain through its own smarthost (empty host removes the override)
+ * @access  Private (admin, domain admin)
+ */
+router.put('/:id/relay', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+  const { host, port, secure, username, password } = req.body;
+
+  if (port !== undefined && port !== null && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+    return res.status(400).json({ error: 'Port must be a number between 1 and 65535' });
+  }
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const domainConfig = await DomainConfig.findOne({
+      where: { domainName: domain.name }
+    });
+
+    if (!domainConfig) {
+      return res.status(404).json({ error: 'Domain configuration not found' });
+    }
+
+    if (!host) {
+      await domainConfig.update({
+        relayHost: null,
+        relayPort: null,
+        relaySecure: false,
+        relayUsername: null,
+        relayPassword: null
+      });
+    } else {
+      await domainConfig.update({
+        relayHost: host,
+        relayPort: port || null,
+        relaySecure: Boolean(secure),
+        relayUsername: username || null,
+        // Keep the stored password unless a new one is given
+        ...(password !== undefined ? { relayPassword: password || null } : {})
+      });
+    }
+
+    res.json({ domain: domain.name, relay: domainConfig.getRelaySettings() });
+  } catch (error) {
+    console.error(`Error updating relay for domain ${id}:`, error.message);
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        details: error.errors.map(e => e.message) 
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/domains/:id/suppressions
+ * @desc    List recipients the domain no longer sends to
+ * @access  Private (admin, domain admin)
+ */
+router.get('/:id/suppressions', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+  const { search, reason, limit = 20, page = 1 } = req.query;
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const where = { domainName: domain.name };
+    if (search) {
+      where.address = { [Op.like]: `%${search}%` };
+    }
+    if (reason) {
+      where.reason = reason;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: suppressions } = await Suppression.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      domain: domain.name,
+      suppressions,
+      pagination: {
+        total: count,
+        pages: Math.ceil(count / limit),
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error(`Error getting suppressions for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/domains/:id/suppressions
+ * @desc    Suppress a recipient manually
+ * @access  Private (admin, domain admin)
+ */
+router.post('/:id/suppressions', requireDomainAdmin, async (req, res, next) => {
+  const { id } = req.params;
+  const { address, details } = req.body;
+
+  if (!address) {
+    return res.status(400).json({ error: 'Address is required' });
+  }
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const suppression = await Suppression.suppress(
+      domain.name,
+      address,
+      Suppression.SUPPRESSION_REASONS.MANUAL,
+      { details }
+    );
+
+    res.status(201).json(suppression);
+  } catch (error) {
+    console.error(`Error adding suppression for domain ${id}:`, error.message);
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ 
+        error: 'Validation error', 
+        details: error.errors.map(e => e.message) 
+      });
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/domains/:id/suppressions/:address
+ * @desc    Allow sending to a suppressed recipient again
+ * @access  Private (admin, domain admin)
+ */
+router.delete('/:id/suppressions/:address', requireDomainAdmin, async (req, res, next) => {
+  const { id, address } = req.params;
+
+  try {
+    const domain = await Domain.findByPk(id);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
+    const deleted = await Suppression.destroy({
+      where: { domainName: domain.name, address: address.toLowerCase() }
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Suppression not found' });
+    }
+
+    res.json({ message: 'Suppression removed successfully', address });
+  } catch (error) {
+    console.error(`Error removing suppression for domain ${id}:`, error.message);
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/domains/check/:name
  * @desc    Check if a domain name is available
- * @access  Public
+ * @access  Private (admin, domain admin)
  */
-router.get('/check/:name', async (req, res, next) => {
+router.get('/check/:name', requireDomainAdmin, async (req, res, next) => {
   const { name } = req.params;
   
   try {
@@ -1,16 +1,48 @@
 // Email account management routes - Sequelize Version
 const express = require('express');
 const router = express.Router();
+const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
 
 // Import models
 const Email = require('../models/email-model');
 const Domain = require('../models/domain-model');
+const RoleAssignment = require('../models/role-assignment-model');
+
+// Import middleware
+const { isAdmin, canManageDomain } = require('../middleware/auth');
+
+// Import services
+const { issueTokens, verifyRefreshToken } = require('../services/auth-service');
+
+/**
+ * Check whether the caller may change or delete an account
+ * Accounts holding an admin or domain admin role are left to global admins, apart from their own owner
+ * @param {Object} user - req.user
+ * @param {Email} email - Target account
+ * @returns {Promise<boolean>}
+ */
+async function canChangeAccount(user, email) {
+  if (isAdmin(user) || email.id === user.id) {
+    return true;
+  }
+  return await RoleAssignment.count({ where: { emailId: email.id } }) === 0;
+}
 
 // Get all emails
 router.get('/', async (req, res, next) => {
   try {
+    // Admins see everything, domain admins their domains, users themselves
+    const where = {};
+    if (!isAdmin(req.user)) {
+      where[Op.or] = [
+        { id: req.user.id },
+        { domainId: { [Op.in]: req.user.domains.map(d => d.id) } }
+      ];
+    }
+
     const emails = await Email.findAll({
+      where,
       include: [{ 
         model: Domain,
         as: 'domain'
@@ -42,6 +74,10 @@ router.get('/:id', async (req, res, next) => {
     if (!email) {
       return res.status(404).json({ error: 'Email not found' });
     }
+
+    if (email.id !== req.user.id && !canManageDomain(req.user, { id: email.domainId })) {
+      return res.status(403).json({ error: 'Not allowed to access this email' });
+    }
     
     res.json(email.safeReturn());
   } catch (error) {
@@ -70,6 +106,10 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ error: 'Domain not configured in the system' });
     }
 
+    if (!canManageDomain(req.user, domain)) {
+      return res.status(403).json({ error: 'Not allowed to manage this domain' });
+    }
+
     // Check if email already exists
     const existingEmail = await Email.findOne({ where: { address } });
     if (existingEmail) {
@@ -108,6 +148,19 @@ router.put('/:id', async (req, res, next) => {
     if (!email) {
       return res.status(404).json({ error: 'Email not found' });
     }
+
+    // Mailbox users may only change their own password
+    const managesDomain = canManageDomain(req.user, { id: email.domainId });
+    if (!managesDomain) {
+      if (email.id !== req.user.id) {
+        return res.status(403).json({ error: 'Not allowed to update this email' });
+      }
+      if (name !== undefined || active !== undefined) {
+        return res.status(403).json({ error: 'Only the password can be changed' });
+      }
+    } else if (!await canChangeAccount(req.user, email)) {
+      return res.status(403).json({ error: 'Only admins may update administrator accounts' });
+    }
     
     // Update fields that were provided
     const updateData = {};
@@ -150,6 +203,13 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Email not found' });
     }
 
+    if (!canManageDomain(req.user, { id: email.domainId })) {
+      return res.status(403).json({ error: 'Not allowed to delete this email' });
+    }
+    if (!await canChangeAccount(req.user, email)) {
+      return res.status(403).json({ error: 'Only admins may delete administrator accounts' });
+    }
+
     // Delete email - this will cascade to messages due to association
     await email.destroy();
 
@@ -174,13 +234,54 @@ async function authenticate(req, res, next) {
     if (!authenticatedUser) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+
+    if (!authenticatedUser.active) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
     
-    res.json(authenticatedUser);
+    res.json({
+      user: authenticatedUser,
+      ...issueTokens(authenticatedUser)
+    });
   } catch (error) {
     console.error('Error during authentication:', error.message);
     next(error);
   }
 }
 
+// Exchange a refresh token for a new token pair
+async function refreshToken(req, res, next) {
+  const { refreshToken: token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid refresh token' });
+  }
+
+  try {
+    // Make sure the account still exists, is allowed to log in and has not expired
+    const email = await Email.findByPk(decoded.sub);
+    if (!email || !email.active || email.isExpired()) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = email.safeReturn();
+    res.json({
+      user,
+      ...issueTokens(user)
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error.message);
+    next(error);
+  }
+}
+
 module.exports = router;
-module.exports.authenticate = authenticate;
\ No newline at end of file
+module.exports.authenticate = authenticate;
+module.exports.refreshToken = refreshToken;
\ No newline at end of file
@@ -6,32 +6,91 @@ const router = express.Router();
 const messageModel = require('../models/message-model');
 const emailModel = require('../models/email-model');
 const domainConfigModel = require('../models/domain-config-model');
+const suppressionModel = require('../models/suppression-model');
+const attachmentModel = require('../models/attachment-model');
+const emailConfigModel = require('../models/email-config-model');
+const folderModel = require('../models/folder-model');
+
+// Import helpers
+const multer = require('multer');
+const addressparser = require('nodemailer/lib/addressparser');
+
+// Import middleware
+const { canAccessMailbox } = require('../middleware/auth');
 
 // Import services
-const { sendEmail, getTransporter } = require('../services/email-service');
+const { sendEmail } = require('../services/email-service');
+const { getBlobStore } = require('../services/blob-service');
+const { rawKey, releaseMessages } = require('../services/delivery-service');
+const {
+  syncFolder,
+  listFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  moveMessages,
+  copyMessages
+} = require('../services/folder-service');
+const { listThreads, getThread } = require('../services/thread-service');
+const { searchMessages } = require('../services/search-service');
+
+// Files per upload field of /api/send, and text fields besides them (from, to, subject, text, html, ...)
+const MAX_UPLOAD_FILES = 20;
+const MAX_UPLOAD_FIELDS = 20;
+
+// Multipart uploads for /api/send are kept in memory, each part is capped at the maximum message size
+function createUpload(maxMessageSize) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxMessageSize,
+      fieldSize: maxMessageSize,
+      files: MAX_UPLOAD_FILES,
+      fields: MAX_UPLOAD_FIELDS,
+      parts: MAX_UPLOAD_FILES + MAX_UPLOAD_FIELDS
+    }
+  }).fields([
+    { name: 'attachments', maxCount: MAX_UPLOAD_FILES },
+    { name: 'inline', maxCount: MAX_UPLOAD_FILES }
+  ]);
+}
 
-// Get messages for an email
+// Get messages for an email, ?folder=<name> or ?folderId=<id> lists one folder instead
+// Paging with limit and page (or offset), or cursor; filters as in parseListingOptions
 router.get('/:email', async (req, res) => {
   const { email } = req.params;
-  const emailExists = await emailModel.getEmailByAddress(email);
-  if (!emailExists) {
-    return res.status(404).json({ error: 'Email not found' });
-  }
 
-  // Get messages for this email
-  const messages = await messageModel.getMessagesForEmail(email);
-  
-  res.json({ messages });
   try {
     // Check if email exists
-   
+    const emailExists = await emailModel.getEmailByAddress(email);
+    if (!emailExists) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const options = parseListingOptions(req.query);
+    if (req.query.folder || req.query.folderId) {
+      const folder = await findFolder(email, req.query);
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+      await syncFolder(folder);
+      options.folderId = folder.id;
+    }
+
+    // Get messages for this email
+    const result = await messageModel.getMessagesForEmail(email, options);
+    
+    res.json(listingResponse(result, options));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error(`Error getting messages for ${email}:`, error.message);
     res.status(500).json({ error: 'Error getting messages' });
   }
 });
 
-// Get sent messages for an email
+// Get sent messages for an email, with the same paging and filters as the inbox
 router.get('/:email/sent', async (req, res) => {
   const { email } = req.params;
 
@@ -43,15 +102,246 @@ router.get('/:email/sent', async (req, res) => {
     }
 
     // Get sent messages for this email
-    const messages = await messageModel.getSentMessagesForEmail(email);
+    const options = parseListingOptions(req.query);
+    const result = await messageModel.getSentMessagesForEmail(email, options);
     
-    res.json({ messages });
+    res.json(listingResponse(result, options));
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error(`Error getting sent messages for ${email}:`, error.message);
     res.status(500).json({ error: 'Error getting sent messages' });
   }
 });
 
+// Search messages, e.g. ?q=from:bob has:attachment invoice (see search-service for the operators)
+router.get('/:email/search', async (req, res) => {
+  const { email } = req.params;
+  const { q = '', folder } = req.query;
+
+  try {
+    const { limit, page, offset } = parsePaging(req.query, 20);
+
+    const emailExists = await emailModel.getEmailByAddress(email);
+    if (!emailExists) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const { count, rows: messages } = await searchMessages(email, String(q), {
+      folder: folder ? String(folder) : null,
+      limit,
+      offset
+    });
+
+    res.json({
+      query: q,
+      messages,
+      pagination: {
+        total: count,
+        pages: Math.ceil(count / limit),
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error searching messages for ${email}:`, error.message);
+    res.status(500).json({ error: 'Error searching messages' });
+  }
+});
+
+// List the conversations of a mailbox, most recently active first
+router.get('/:email/threads', async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const { limit, page, offset } = parsePaging(req.query, 20);
+
+    const emailExists = await emailModel.getEmailByAddress(email);
+    if (!emailExists) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const { count, rows: threads } = await listThreads(email, { limit, offset });
+
+    res.json({
+      threads,
+      pagination: {
+        total: count,
+        pages: Math.ceil(count / limit),
+        page,
+        limit
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error getting threads for ${email}:`, error.message);
+    res.status(500).json({ error: 'Error getting threads' });
+  }
+});
+
+// Get a conversation with all of its messages
+router.get('/:email/threads/:threadId', async (req, res) => {
+  const { email, threadId } = req.params;
+
+  try {
+    const thread = await getThread(email, threadId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ thread });
+  } catch (error) {
+    console.error(`Error getting thread ${threadId}:`, error.message);
+    res.status(500).json({ error: 'Error getting thread' });
+  }
+});
+
+// List the folders of a mailbox with message counts
+router.get('/:email/folders', async (req, res) => {
+  const { email } = req.params;
+
+  try {
+    const emailExists = await emailModel.getEmailByAddress(email);
+    if (!emailExists) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    const folders = await listFolders(emailExists.address);
+    res.json({ folders });
+  } catch (error) {
+    console.error(`Error getting folders for ${email}:`, error.message);
+    res.status(500).json({ error: 'Error getting folders' });
+  }
+});
+
+// Create a folder, levels of the name are separated by "/"
+router.post('/:email/folders', async (req, res) => {
+  const { email } = req.params;
+  const { name } = req.body;
+
+  try {
+    const emailExists = await emailModel.getEmailByAddress(email);
+    if (!emailExists) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    if (typeof name !== 'string') {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    await folderModel.ensureSystemFolders(emailExists.address);
+    const folder = await createFolder(emailExists.address, name);
+    res.status(201).json({ message: 'Folder created successfully', data: folder });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error creating folder for ${email}:`, error.message);
+    res.status(500).json({ error: 'Error creating folder' });
+  }
+});
+
+// Rename a folder together with its subfolders
+router.patch('/:email/folders/:folderId', async (req, res) => {
+  const { email, folderId } = req.params;
+  const { name } = req.body;
+
+  try {
+    const folder = await findFolder(email, { folderId });
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    if (typeof name !== 'string') {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    const updatedFolder = await renameFolder(folder, name);
+    res.json({ message: 'Folder renamed successfully', data: updatedFolder });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error renaming folder ${folderId}:`, error.message);
+    res.status(500).json({ error: 'Error renaming folder' });
+  }
+});
+
+// Delete a folder and the messages in it, subfolders are kept
+router.delete('/:email/folders/:folderId', async (req, res) => {
+  const { email, folderId } = req.params;
+
+  try {
+    const folder = await findFolder(email, { folderId });
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    await deleteFolder(folder);
+    res.json({ message: 'Folder deleted successfully' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`Error deleting folder ${folderId}:`, error.message);
+    res.status(500).json({ error: 'Error deleting folder' });
+  }
+});
+
+// Move a message to another folder, the target is given as folder (name) or folderId
+router.post('/:email/:messageId/move', async (req, res) => {
+  const { email, messageId } = req.params;
+
+  try {
+    // Check if the message exists and belongs to this email
+    const message = await messageModel.getMessageForEmailById(email, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const folder = await findFolder(email, req.body);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    if (message.folderId !== folder.id) {
+      await moveMessages([message], folder);
+    }
+    res.json({ message: 'Message moved successfully', data: message });
+  } catch (error) {
+    console.error(`Error moving message ${messageId}:`, error.message);
+    res.status(500).json({ error: 'Error moving message' });
+  }
+});
+
+// Copy a message to a folder, the copy shares body and attachments with the original
+router.post('/:email/:messageId/copy', async (req, res) => {
+  const { email, messageId } = req.params;
+
+  try {
+    // Check if the message exists and belongs to this email
+    const message = await messageModel.getMessageForEmailById(email, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const folder = await findFolder(email, req.body);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+
+    const [copy] = await copyMessages([message], folder);
+    res.status(201).json({ message: 'Message copied successfully', data: copy });
+  } catch (error) {
+    console.error(`Error copying message ${messageId}:`, error.message);
+    res.status(500).json({ error: 'Error copying message' });
+  }
+});
+
 // Mark message as read
 router.patch('/:email/:messageId/read', async (req, res) => {
   const { email, messageId } = req.params;
@@ -84,8 +374,9 @@ router.delete('/:email/:messageId', async (req, res) => {
       return res.status(404).json({ error: 'Message not found' });
     }
 
-    // Delete the message
+    // Delete the message, and its content once no other message shares it
     await messageModel.deleteMessage(messageId);
+    await releaseMessages([message]);
     
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
@@ -94,6 +385,304 @@ router.delete('/:email/:messageId', async (req, res) => {
   }
 });
 
+// Download an attachment of a message
+router.get('/:email/:messageId/attachments/:id', async (req, res) => {
+  const { email, messageId, id } = req.params;
+
+  try {
+    // Check if the message exists and belongs to this email
+    const message = await messageModel.getMessageForEmailById(email, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const attachment = await attachmentModel.findOne({
+      where: { id, bodyId: message.bodyId }
+    });
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.attachment(attachment.filename || `attachment-${attachment.id}`);
+    res.type(attachment.contentType);
+    res.set('Content-Length', String(attachment.size));
+
+    const stream = getBlobStore().createReadStream(attachment.storageKey);
+    stream.on('error', error => {
+      console.error(`Error reading attachment ${id}:`, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Error reading attachment' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error(`Error getting attachment ${id}:`, error.message);
+    res.status(500).json({ error: 'Error getting attachment' });
+  }
+});
+
+// Download the raw RFC 822 source of a message
+router.get('/:email/:messageId/raw', async (req, res) => {
+  const { email, messageId } = req.params;
+
+  try {
+    // Check if the message exists and belongs to this email
+    const message = await messageModel.getMessageForEmailById(email, messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const key = rawKey(message);
+    if (!key) {
+      return res.status(404).json({ error: 'Raw source not available for this message' });
+    }
+
+    res.attachment(`${message.id}.eml`);
+    res.type('message/rfc822');
+    res.set('Content-Length', String(message.rawSize));
+
+    const stream = getBlobStore().createReadStream(key);
+    stream.on('error', error => {
+      console.error(`Error reading raw message ${messageId}:`, error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Error reading raw message' });
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error(`Error getting raw message ${messageId}:`, error.message);
+    res.status(500).json({ error: 'Error getting raw message' });
+  }
+});
+
+// Largest page a listing returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create an error answered with 400
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse the limit and page parameters of a listing paged by number
+ * @param {Object} query - Request query
+ * @param {number} defaultLimit - Page size when limit is not given
+ * @returns {Object} { limit, page, offset }
+ * @throws {Error} When a parameter is invalid
+ */
+function parsePaging(query, defaultLimit) {
+  const { limit = defaultLimit, page = 1 } = query;
+
+  const paging = { limit: parseInt(limit), page: parseInt(page) };
+  if (!(paging.limit >= 1 && paging.limit <= MAX_PAGE_SIZE)) {
+    throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!(paging.page >= 1)) {
+    throw badRequest('Invalid page');
+  }
+  paging.offset = (paging.page - 1) * paging.limit;
+  return paging;
+}
+
+/**
+ * Parse the paging, sorting and filter parameters of a message listing
+ * Paging: limit, page or offset, or cursor (nextCursor of the previous page)
+ * Sorting: order=asc|desc by date. Filters: from, to (substrings), read=true|false, after, before (dates)
+ * @param {Object} query - Request query
+ * @returns {Object} Options for the Message listing methods
+ * @throws {Error} When a parameter is invalid
+ */
+function parseListingOptions(query) {
+  const { limit = 50, page = 1, offset, cursor, order = 'desc', from, to, read, after, before } = query;
+
+  const options = {
+    limit: parseInt(limit),
+    sort: String(order).toLowerCase()
+  };
+  if (!(options.limit >= 1 && options.limit <= MAX_PAGE_SIZE)) {
+    throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  if (!['asc', 'desc'].includes(options.sort)) {
+    throw badRequest('order must be asc or desc');
+  }
+
+  if (cursor) {
+    options.cursor = decodeCursor(String(cursor));
+  } else {
+    options.offset = offset !== undefined ? parseInt(offset) : (parseInt(page) - 1) * options.limit;
+    if (!(options.offset >= 0)) {
+      throw badRequest('Invalid page or offset');
+    }
+  }
+
+  if (from) {
+    options.from = String(from);
+  }
+  if (to) {
+    options.to = String(to);
+  }
+  if (read !== undefined) {
+    if (!['true', 'false'].includes(read)) {
+      throw badRequest('read must be true or false');
+    }
+    options.read = read === 'true';
+  }
+  for (const [name, value] of [['after', after], ['before', before]]) {
+    if (value !== undefined) {
+      const date = new Date(String(value));
+      if (isNaN(date.getTime())) {
+        throw badRequest(`Invalid date for ${name}`);
+      }
+      options[name] = date;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Encode the position after a message as an opaque cursor
+ * @param {Message} message - Last message of a page
+ * @returns {string}
+ */
+function encodeCursor(message) {
+  return Buffer.from(JSON.stringify([message.createdAt.toISOString(), message.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {Object} { createdAt, id }
+ * @throws {Error} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(createdAt);
+    if (typeof id === 'string' && !isNaN(date.getTime())) {
+      return { createdAt: date, id };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw badRequest('Invalid cursor');
+}
+
+/**
+ * Build the response of a message listing
+ * @param {Object} result - { count, rows, offset } from a Message listing method
+ * @param {Object} options - Options from parseListingOptions
+ * @returns {Object} { messages, pagination, nextCursor }
+ */
+function listingResponse({ count, rows, offset }, options) {
+  const more = offset + rows.length < count;
+  return {
+    messages: rows,
+    pagination: {
+      total: count,
+      pages: Math.ceil(count / options.limit),
+      page: Math.floor(offset / options.limit) + 1,
+      limit: options.limit
+    },
+    nextCursor: more && rows.length > 0 ? encodeCursor(rows[rows.length - 1]) : null
+  };
+}
+
+/**
+ * Find a folder of a mailbox by id or by name, system folders are created when missing
+ * @param {string} email - Mailbox address
+ * @param {Object} params - { folderId } or { folder } with the folder name
+ * @returns {Promise<Folder|null>}
+ */
+async function findFolder(email, { folderId, folder } = {}) {
+  if (folderId) {
+    return folderModel.findOne({ where: { id: String(folderId), emailAddress: email } });
+  }
+  if (typeof folder !== 'string' || !folder) {
+    return null;
+  }
+
+  const found = await folderModel.findByName(email, folder);
+  if (found) {
+    return found;
+  }
+  await folderModel.ensureSystemFolders(email);
+  return folderModel.findByName(email, folder);
+}
+
+/**
+ * Build nodemailer attachments from a send request
+ * JSON bodies give attachments as [{ filename, content (base64), contentType, cid }],
+ * multipart bodies upload files as "attachments", or as "inline" where the file name is the cid
+ * @param {Object} req - Express request
+ * @returns {Array<Object>} Nodemailer attachments
+ * @throws {Error} When an attachment is malformed
+ */
+function buildAttachments(req) {
+  const attachments = [];
+
+  for (const attachment of [].concat(req.body.attachments || [])) {
+    if (!attachment || typeof attachment.content !== 'string' ||
+        !/^[A-Za-z0-9+/=\s]*$/.test(attachment.content)) {
+      throw new Error('Attachments need base64 encoded content');
+    }
+    attachments.push({
+      filename: attachment.filename,
+      content: Buffer.from(attachment.content, 'base64'),
+      contentType: attachment.contentType,
+      cid: attachment.cid
+    });
+  }
+
+  const files = req.files || {};
+  for (const file of files.attachments || []) {
+    attachments.push({
+      filename: file.originalname,
+      content: file.buffer,
+      contentType: file.mimetype
+    });
+  }
+  for (const file of files.inline || []) {
+    attachments.push({
+      filename: file.originalname,
+      content: file.buffer,
+      contentType: file.mimetype,
+      cid: file.originalname
+    });
+  }
+
+  return attachments;
+}
+
+// Parse multipart uploads, answering upload errors with a JSON error
+async function parseUploads(req, res, next) {
+  let upload;
+  try {
+    const config = await emailConfigModel.getConfig();
+    upload = createUpload(config.limits.maxMessageSize);
+  } catch (error) {
+    return next(error);
+  }
+
+  upload(req, res, error => {
+    if (error instanceof multer.MulterError) {
+      const statusCode = ['LIMIT_FILE_SIZE', 'LIMIT_FIELD_VALUE'].includes(error.code) ? 413 : 400;
+      return res.status(statusCode).json({ error: error.message });
+    }
+    next(error);
+  });
+}
+
 // Send a new email
 async function sendEmailHandler(req, res) {
   const { from, to, subject, text, html } = req.body;
@@ -103,17 +692,25 @@ async function sendEmailHandler(req, res) {
       return res.status(400).json({ error: 'From, to, and subject are required' });
     }
 
+    // Users may only send from mailboxes they can access
+    if (!canAccessMailbox(req.user, from)) {
+      return res.status(403).json({ error: 'Not allowed to send from this address' });
+    }
+
     // Check if sender email exists in our system
     const sender = await emailModel.getEmailByAddress(from);
     if (!sender) {
       return res.status(404).json({ error: 'Sender email not found' });
     }
+    if (sender.temporary) {
+      return res.status(403).json({ error: 'Temporary inboxes are receive-only' });
+    }
 
     // Get domain from sender email
     const fromDomain = from.split('@')[1];
 
     // Check if domain is configured
-    const domainCfg = await domainConfigModel.getDomainConfigByName(fromDomain);
+    const domainCfg = await domainConfigModel.findOne({ where: { domainName: fromDomain } });
     if (!domainCfg) {
       return res.status(400).json({
         error: 'Domain not properly configured for sending emails',
@@ -129,8 +726,30 @@ async function sendEmailHandler(req, res) {
       });
     }
 
-    // Initialize or update transporter with domain-specific settings
-    getTransporter(fromDomain);
+    let attachments;
+    try {
+      attachments = buildAttachments(req);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const config = await emailConfigModel.getConfig();
+    const attachmentSize = attachments.reduce((total, attachment) => total + attachment.content.length, 0);
+    if (attachmentSize > config.limits.maxMessageSize) {
+      return res.status(413).json({ error: 'Attachments exceed the maximum message size' });
+    }
+
+    // Refuse recipients that bounced or complained before
+    const recipients = [].concat(to).flatMap(value => addressparser(value, { flatten: true }))
+      .map(recipient => recipient.address)
+      .filter(Boolean);
+    const suppressed = await suppressionModel.findSuppressed(fromDomain, recipients);
+    if (suppressed.length > 0) {
+      return res.status(422).json({
+        error: 'Some recipients are on the suppression list',
+        suppressed: suppressed.map(entry => ({ address: entry.address, reason: entry.reason }))
+      });
+    }
 
     // Send email with proper headers
     const mailOptions = {
@@ -142,34 +761,25 @@ async function sendEmailHandler(req, res) {
       subject,
       text,
       html,
+      attachments,
       headers: {
-        'X-Mailer': 'SimpleEmailServer/1.0',
-        'Message-ID': `<${Date.now()}.${Math.random().toString(36).substring(2)}@${fromDomain}>`
-      }
+        'X-Mailer': 'SimpleEmailServer/1.0'
+      },
+      messageId: `<${Date.now()}.${Math.random().toString(36).substring(2)}@${fromDomain}>`
     };
 
     const info = await sendEmail(mailOptions);
 
-    // Store message in database
-    const messageData = {
-      message_id: info.messageId,
-      from_email: from,
-      to_email: to,
-      subject,
-      text_content: text,
-      html_content: html,
-      sent: true,
-      read: false
-    };
-
-    const newMessage = await messageModel.createMessage(messageData);
-
-    // Return successful response with delivery info
-    res.json({
-      message: 'Email sent successfully',
-      id: newMessage.id,
+    // Remote recipients are delivered by the queue worker
+    res.status(202).json({
+      message: 'Email accepted for delivery',
       messageId: info.messageId,
-      deliveryInfo: info.response
+      deliveries: info.messages.map(message => ({
+        id: message.id,
+        to: message.toEmail,
+        status: message.status,
+        attempts: message.deliveryAttempts || []
+      }))
     });
   } catch (error) {
     console.error('Error sending email:', error.message);
@@ -178,4 +788,4 @@ async function sendEmailHandler(req, res) {
 }
 
 module.exports = router;
-module.exports.sendEmail = sendEmailHandler;
\ No newline at end of file
+module.exports.sendEmail = [parseUploads, sendEmailHandler];
\ No newline at end of file
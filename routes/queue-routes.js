@@ -0,0 +1,133 @@
+// Outbound queue management routes - Sequelize Version
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const QueueItem = require('../models/queue-item-model');
+const Message = require('../models/message-model');
+
+// Import middleware
+const { requireAdmin } = require('../middleware/auth');
+
+// Import services
+const { retryQueueItem, deleteQueueItem } = require('../services/email-service');
+
+// Queue management is restricted to global admins
+router.use(requireAdmin);
+
+// List queued items with optional filtering
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, domain, limit = 20, page = 1 } = req.query;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (domain) {
+      where.domain = domain.toLowerCase();
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows: items } = await QueueItem.findAndCountAll({
+      where,
+      order: [['nextAttemptAt', 'ASC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      items: items.map(item => item.safeReturn()),
+      pagination: {
+        total: count,
+        pages: Math.ceil(count / limit),
+        page: parseInt(page),
+        limit: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a queued item with the delivery history of its recipients
+router.get('/:id', async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const item = await QueueItem.findByPk(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    const messages = await Message.findAll({
+      where: { queueItemId: item.id },
+      attributes: ['id', 'toEmail', 'status', 'deliveryAttempts']
+    });
+
+    res.json({ ...item.safeReturn(), messages });
+  } catch (error) {
+    console.error(`Error getting queue item ${id}:`, error.message);
+    next(error);
+  }
+});
+
+// Retry a queued or held item now
+router.post('/:id/retry', async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const item = await QueueItem.findByPk(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    await retryQueueItem(item);
+
+    res.json(item.safeReturn());
+  } catch (error) {
+    console.error(`Error retrying queue item ${id}:`, error.message);
+    next(error);
+  }
+});
+
+// Hold an item so the worker skips it until it is retried
+router.post('/:id/hold', async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const item = await QueueItem.findByPk(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    await item.update({ status: QueueItem.QUEUE_STATUS.HELD });
+
+    res.json(item.safeReturn());
+  } catch (error) {
+    console.error(`Error holding queue item ${id}:`, error.message);
+    next(error);
+  }
+});
+
+// Delete an item, failing its remaining recipients
+router.delete('/:id', async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const item = await QueueItem.findByPk(id);
+    if (!item) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+
+    await deleteQueueItem(item);
+
+    res.json({ message: 'Queue item deleted successfully', id });
+  } catch (error) {
+    console.error(`Error deleting queue item ${id}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+// Role assignment routes - Sequelize Version
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const RoleAssignment = require('../models/role-assignment-model');
+const Email = require('../models/email-model');
+const Domain = require('../models/domain-model');
+
+// Import middleware
+const { requireAdmin } = require('../middleware/auth');
+
+const { ROLES } = RoleAssignment;
+
+// Role management is restricted to global admins
+router.use(requireAdmin);
+
+// Get all role assignments
+router.get('/', async (req, res, next) => {
+  try {
+    const assignments = await RoleAssignment.findAll({
+      include: [
+        { model: Email, as: 'email', attributes: ['id', 'address', 'name'] },
+        { model: Domain, as: 'domain', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({ roles: assignments });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign a role to an email account
+router.post('/', async (req, res, next) => {
+  const { address, role, domain: domainName } = req.body;
+
+  if (!address || !role) {
+    return res.status(400).json({ error: 'Email address and role are required' });
+  }
+
+  if (![ROLES.ADMIN, ROLES.DOMAIN_ADMIN].includes(role)) {
+    return res.status(400).json({ error: `Role must be '${ROLES.ADMIN}' or '${ROLES.DOMAIN_ADMIN}'` });
+  }
+
+  if (role === ROLES.DOMAIN_ADMIN && !domainName) {
+    return res.status(400).json({ error: 'Domain is required for domain admins' });
+  }
+
+  try {
+    const email = await Email.findOne({ where: { address } });
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+
+    let domainId = null;
+    if (role === ROLES.DOMAIN_ADMIN) {
+      const domain = await Domain.findOne({ where: { name: domainName } });
+      if (!domain) {
+        return res.status(404).json({ error: 'Domain not found' });
+      }
+      domainId = domain.id;
+    }
+
+    const [assignment, created] = await RoleAssignment.findOrCreate({
+      where: { emailId: email.id, role, domainId }
+    });
+
+    res.status(created ? 201 : 200).json(assignment);
+  } catch (error) {
+    console.error('Error assigning role:', error.message);
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.errors.map(e => e.message)
+      });
+    }
+    next(error);
+  }
+});
+
+// Remove a role assignment
+router.delete('/:id', async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    const assignment = await RoleAssignment.findByPk(id);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role assignment not found' });
+    }
+
+    // Don't let the last admin lock everyone out
+    if (assignment.role === ROLES.ADMIN) {
+      const adminCount = await RoleAssignment.count({ where: { role: ROLES.ADMIN } });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'Cannot remove the last administrator' });
+      }
+    }
+
+    await assignment.destroy();
+
+    res.json({ message: 'Role assignment removed successfully', id });
+  } catch (error) {
+    console.error(`Error removing role assignment ${id}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+// Temporary inbox routes - Sequelize Version
+const express = require('express');
+const router = express.Router();
+
+// Import models
+const Email = require('../models/email-model');
+
+// Import middleware
+const { authenticate, canAccessMailbox } = require('../middleware/auth');
+
+// Import services
+const { findTempInboxDomains, createTempInbox, purgeInbox } = require('../services/temp-inbox-service');
+
+// List domains that accept temporary inboxes
+router.get('/domains', async (req, res, next) => {
+  try {
+    const domains = await findTempInboxDomains();
+
+    res.json({ domains: domains.map(domain => domain.name) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a temporary inbox
+router.post('/', async (req, res, next) => {
+  const { domain, localPart, ttl } = req.body;
+
+  try {
+    const result = await createTempInbox({ domain, localPart, ttl });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.errors.map(e => e.message)
+      });
+    }
+    console.error('Error creating temporary inbox:', error.message);
+    next(error);
+  }
+});
+
+// Delete a temporary inbox before it expires
+router.delete('/:address', authenticate, async (req, res, next) => {
+  const { address } = req.params;
+
+  try {
+    if (!canAccessMailbox(req.user, address)) {
+      return res.status(403).json({ error: 'Access to this mailbox is not allowed' });
+    }
+
+    const email = await Email.findOne({ where: { address, temporary: true } });
+    if (!email) {
+      return res.status(404).json({ error: 'Temporary inbox not found' });
+    }
+
+    await purgeInbox(email);
+
+    res.json({ message: 'Temporary inbox deleted successfully', address });
+  } catch (error) {
+    console.error(`Error deleting temporary inbox ${address}:`, error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
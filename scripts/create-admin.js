@@ -0,0 +1,58 @@
+// Bootstrap script that creates (or promotes) a global administrator account
+// Usage: node scripts/create-admin.js <address> [password]
+require('dotenv').config();
+
+const { sequelize, initDatabase } = require('../config/database');
+
+async function createAdmin() {
+  const [address, password] = process.argv.slice(2);
+
+  if (!address) {
+    console.error('Usage: node scripts/create-admin.js <address> [password]');
+    process.exit(1);
+  }
+
+  const domainName = address.split('@')[1];
+  if (!domainName) {
+    console.error('Invalid email format');
+    process.exit(1);
+  }
+
+  try {
+    const { Domain, Email, DomainConfig, RoleAssignment } = await initDatabase();
+
+    // Make sure the admin's domain exists
+    let domain = await Domain.findOne({ where: { name: domainName } });
+    if (!domain) {
+      domain = await Domain.create({ name: domainName });
+      await DomainConfig.createForDomain(domainName);
+      console.log(`Created domain: ${domainName}`);
+    }
+
+    // Create the account if needed
+    let email = await Email.findOne({ where: { address } });
+    if (!email) {
+      if (!password) {
+        console.error('A password is required to create a new account');
+        process.exit(1);
+      }
+      email = await Email.create({ address, password, domainId: domain.id });
+      console.log(`Created email account: ${address}`);
+    }
+
+    // Grant the admin role
+    await RoleAssignment.findOrCreate({
+      where: { emailId: email.id, role: RoleAssignment.ROLES.ADMIN, domainId: null }
+    });
+    console.log(`${address} is now an administrator`);
+  } catch (error) {
+    console.error('Failed to create admin:', error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+createAdmin().then(() => {
+  process.exit(0);
+});
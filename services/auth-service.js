@@ -0,0 +1,103 @@
+// Authentication service - issues and verifies JWT access/refresh tokens
+const jwt = require('jsonwebtoken');
+
+// Token settings
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || JWT_SECRET;
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const JWT_ISSUER = 'simple-email-server';
+
+/**
+ * Get a signing secret, refusing to run without one
+ * @param {string} secret - Configured secret
+ * @returns {string} Secret
+ */
+function requireSecret(secret) {
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+/**
+ * Build the claims shared by access and refresh tokens
+ * @param {Object} account - Email account (safe JSON)
+ * @returns {Object} Token payload
+ */
+function buildPayload(account) {
+  return {
+    address: account.address,
+    domainId: account.domainId
+  };
+}
+
+/**
+ * Sign an access token for an account
+ * @param {Object} account - Email account (safe JSON)
+ * @param {string|number} expiresIn - Token lifetime (seconds or timespan string)
+ * @returns {string} Encoded JWT
+ */
+function signAccessToken(account, expiresIn = JWT_EXPIRES_IN) {
+  return jwt.sign(
+    { ...buildPayload(account), type: 'access' },
+    requireSecret(JWT_SECRET),
+    { subject: String(account.id), issuer: JWT_ISSUER, expiresIn }
+  );
+}
+
+/**
+ * Issue a signed access token and refresh token for an account
+ * @param {Object} account - Email account (safe JSON)
+ * @returns {Object} Tokens and expiry information
+ */
+function issueTokens(account) {
+  const accessToken = signAccessToken(account);
+
+  const refreshToken = jwt.sign(
+    { type: 'refresh' },
+    requireSecret(JWT_REFRESH_SECRET),
+    { subject: String(account.id), issuer: JWT_ISSUER, expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn: JWT_EXPIRES_IN,
+    refreshToken,
+    refreshExpiresIn: JWT_REFRESH_EXPIRES_IN
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Encoded JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, requireSecret(JWT_SECRET), { issuer: JWT_ISSUER });
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Encoded JWT
+ * @returns {Object} Decoded payload
+ */
+function verifyRefreshToken(token) {
+  const decoded = jwt.verify(token, requireSecret(JWT_REFRESH_SECRET), { issuer: JWT_ISSUER });
+  if (decoded.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+}
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken
+};
@@ -0,0 +1,312 @@
+// Blob service - content addressed storage for attachments and raw messages
+// The local filesystem is used by default, any object with the same methods can replace it
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+/**
+ * Blob store keeping every blob as a file below a root directory
+ */
+class LocalBlobStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  // Resolve a key to a file path inside the root directory
+  filePath(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return file;
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.filePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Write through a temporary file so readers never see partial blobs
+  // Content is a Buffer or a readable stream
+  async put(key, content) {
+    const file = this.filePath(key);
+    const temp = `${file}.${process.pid}.${Date.now()}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    if (Buffer.isBuffer(content)) {
+      await fs.promises.writeFile(temp, content);
+    } else {
+      await new Promise((resolve, reject) => {
+        pipeline(content, fs.createWriteStream(temp), error => error ? reject(error) : resolve());
+      });
+    }
+    await fs.promises.rename(temp, file);
+  }
+
+  async get(key) {
+    return fs.promises.readFile(this.filePath(key));
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.filePath(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+// Active store
+let store = new LocalBlobStore(
+  process.env.BLOB_STORE_PATH || path.join(__dirname, '..', 'stores', 'blobs')
+);
+
+// Released content is only deleted once nobody stored it for this long: a delivery finding the content
+// already stored commits its reference after putContent or putSpooled returned
+const RELEASE_GRACE_PERIOD = 10 * 60 * 1000;
+
+// Released content waiting to be deleted: checksum -> { time } it was released or last stored
+// Every use gets a new entry so a sweep can tell whether the content was stored meanwhile
+const released = new Map();
+
+/**
+ * Replace the blob store (e.g. with an object storage backed one)
+ * @param {Object} blobStore - Object implementing exists, put (Buffer or stream), get, createReadStream and delete
+ */
+function setBlobStore(blobStore) {
+  store = blobStore;
+}
+
+/**
+ * Get the active blob store
+ * @returns {Object}
+ */
+function getBlobStore() {
+  return store;
+}
+
+/**
+ * Build the key content with the given hash is stored under
+ * @param {string} checksum - SHA-256 of the content
+ * @returns {string}
+ */
+function blobKey(checksum) {
+  return `${checksum.slice(0, 2)}/${checksum}`;
+}
+
+/**
+ * Keep released content for another grace period when it is stored again
+ * @param {string} checksum - SHA-256 of the content
+ * @returns {boolean} Whether the content was released, it must then be written again as a sweep may be deleting it
+ */
+function reuseReleased(checksum) {
+  if (!released.has(checksum)) {
+    return false;
+  }
+  released.set(checksum, { time: Date.now() });
+  return true;
+}
+
+/**
+ * Store content once, keyed by its SHA-256
+ * @param {Buffer} content - Blob data
+ * @returns {Promise<Object>} { key, checksum, size }
+ */
+async function putContent(content) {
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+  const key = blobKey(checksum);
+
+  if (reuseReleased(checksum) || !await store.exists(key)) {
+    await store.put(key, content);
+  }
+
+  return { key, checksum, size: content.length };
+}
+
+/**
+ * Write a stream to a temporary file while computing its size and SHA-256
+ * Data past maxSize is drained without being kept, the result is then flagged sizeExceeded
+ * @param {Readable} stream - Incoming data
+ * @param {Object} [options] - { maxSize, prefix } prefix is written before the stream (e.g. trace headers)
+ * @returns {Promise<Object>} { file, checksum, size, sizeExceeded }
+ */
+function spoolStream(stream, options = {}) {
+  const maxSize = options.maxSize || Infinity;
+  const file = path.join(os.tmpdir(), `spool-${process.pid}-${crypto.randomBytes(8).toString('hex')}`);
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(file);
+  const prefix = options.prefix ? Buffer.from(options.prefix) : null;
+  let size = 0;
+  let failed = false;
+
+  // The prefix is part of the stored message but not of the size the client is held to
+  if (prefix) {
+    hash.update(prefix);
+    output.write(prefix);
+  }
+
+  return new Promise((resolve, reject) => {
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      // Keep draining the input so the sender is not stalled
+      stream.resume();
+      output.destroy();
+      fs.unlink(file, () => {});
+      reject(error);
+    };
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (failed || size > maxSize) {
+        return;
+      }
+      hash.update(chunk);
+      if (!output.write(chunk)) {
+        stream.pause();
+        output.once('drain', () => stream.resume());
+      }
+    });
+    stream.on('end', () => output.end());
+    stream.on('error', fail);
+    output.on('error', fail);
+    output.on('finish', () => {
+      if (!failed) {
+        resolve({
+          file,
+          checksum: hash.digest('hex'),
+          size: size + (prefix ? prefix.length : 0),
+          sizeExceeded: size > maxSize
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Remove a spooled file without storing it
+ * @param {Object} spooled - Result of spoolStream
+ * @returns {Promise<void>}
+ */
+async function discardSpooled(spooled) {
+  try {
+    await fs.promises.unlink(spooled.file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Read back a spooled file
+ * @param {Object} spooled - Result of spoolStream
+ * @returns {Readable}
+ */
+function readSpooled(spooled) {
+  return fs.createReadStream(spooled.file);
+}
+
+/**
+ * Put data in front of a spooled file, the original spool file is removed
+ * @param {Object} spooled - Result of spoolStream
+ * @param {string|Buffer} prefix - Data to put first (e.g. trace headers)
+ * @param {Transform} [transform] - Stream the spooled data is rewritten through
+ * @returns {Promise<Object>} New spooled file { file, checksum, size }
+ */
+async function prependSpooled(spooled, prefix, transform) {
+  try {
+    const source = transform ? pipeline(readSpooled(spooled), transform, () => {}) : readSpooled(spooled);
+    return await spoolStream(source, { prefix });
+  } finally {
+    await discardSpooled(spooled);
+  }
+}
+
+/**
+ * Move a spooled file into the blob store, identical content is stored once
+ * @param {Object} spooled - Result of spoolStream
+ * @returns {Promise<Object>} { key, checksum, size }
+ */
+async function putSpooled(spooled) {
+  const key = blobKey(spooled.checksum);
+
+  try {
+    if (reuseReleased(spooled.checksum) || !await store.exists(key)) {
+      await store.put(key, fs.createReadStream(spooled.file));
+    }
+  } finally {
+    await discardSpooled(spooled);
+  }
+
+  return { key, checksum: spooled.checksum, size: spooled.size };
+}
+
+/**
+ * Mark content as no longer referenced, sweepReleased deletes it after the grace period
+ * @param {Array<string>} checksums - Checksums of the content
+ */
+function releaseContent(checksums) {
+  const time = Date.now();
+  for (const checksum of checksums) {
+    released.set(checksum, { time });
+  }
+}
+
+/**
+ * Delete the released content nobody stored again during the grace period
+ * @param {Function} isReferenced - async (checksum) => boolean, asked right before deleting
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<Object>} { deleted, pending } pending content is still within its grace period
+ */
+async function sweepReleased(isReferenced, now = Date.now()) {
+  let deleted = 0;
+  for (const [checksum, use] of released) {
+    if (now - use.time < RELEASE_GRACE_PERIOD) {
+      continue;
+    }
+
+    const referenced = await isReferenced(checksum);
+    // Stored again while the references were counted, checked again after another grace period
+    if (released.get(checksum) !== use) {
+      continue;
+    }
+    // Still released while deleting, so that storing it meanwhile writes it again
+    if (!referenced) {
+      await store.delete(blobKey(checksum));
+      deleted++;
+    }
+    if (released.get(checksum) === use) {
+      released.delete(checksum);
+    }
+  }
+  return { deleted, pending: released.size };
+}
+
+module.exports = {
+  LocalBlobStore,
+  setBlobStore,
+  getBlobStore,
+  blobKey,
+  putContent,
+  spoolStream,
+  readSpooled,
+  prependSpooled,
+  putSpooled,
+  discardSpooled,
+  releaseContent,
+  sweepReleased,
+  RELEASE_GRACE_PERIOD
+};
@@ -0,0 +1,424 @@
+// Bounce service - generates delivery status notifications (RFC 3464), links inbound bounces
+// and complaints to sent mail and feeds the suppression list
+const MimeNode = require('nodemailer/lib/mime-node');
+const { simpleParser } = require('mailparser');
+const { Op } = require('sequelize');
+
+// Import models
+const Message = require('../models/message-model');
+const EmailConfig = require('../models/email-config-model');
+const Suppression = require('../models/suppression-model');
+
+// Import services
+const { parseVerpAddress, resolveRecipient, deliverInbound } = require('./delivery-service');
+
+// Enhanced status code inside a server response, e.g. "550 5.1.1 User unknown"
+const ENHANCED_STATUS_REGEX = /\b([245]\.\d{1,3}\.\d{1,3})\b/;
+
+// Reply codes treated as a dead address when the server gives no enhanced status
+const HARD_BOUNCE_CODES = [550, 551, 553, 556];
+
+/**
+ * Work out the RFC 3463 status code for a delivery result
+ * @param {Object} result - { action, status, responseCode, response }
+ * @returns {string}
+ */
+function statusCode(result) {
+  if (result.status) {
+    return result.status;
+  }
+
+  const match = ENHANCED_STATUS_REGEX.exec(result.response || '');
+  if (match) {
+    return match[1];
+  }
+
+  if (result.responseCode >= 500 || (!result.responseCode && result.action === 'failed')) {
+    return '5.0.0';
+  }
+  return '4.0.0';
+}
+
+// Helper function to keep only the header block of a raw message
+function headerBlock(raw) {
+  const text = raw.toString();
+  const end = text.search(/\r?\n\r?\n/);
+  return end === -1 ? text : text.slice(0, end);
+}
+
+/**
+ * Build the message/delivery-status part of a report
+ * @param {Object} options - { reportingMta, arrivalDate, willRetryUntil, recipients }
+ * @returns {string}
+ */
+function buildDeliveryStatus(options) {
+  const blocks = [[
+    `Reporting-MTA: dns; ${options.reportingMta}`,
+    `Arrival-Date: ${options.arrivalDate.toUTCString()}`
+  ]];
+
+  for (const result of options.recipients) {
+    const fields = [
+      `Final-Recipient: rfc822; ${result.recipient}`,
+      `Action: ${result.action}`,
+      `Status: ${statusCode(result)}`
+    ];
+    if (result.remoteMta) {
+      fields.push(`Remote-MTA: dns; ${result.remoteMta}`);
+    }
+    if (result.response) {
+      fields.push(`Diagnostic-Code: smtp; ${result.response.replace(/\s+/g, ' ').trim()}`);
+    }
+    fields.push(`Last-Attempt-Date: ${new Date().toUTCString()}`);
+    if (result.action === 'delayed' && options.willRetryUntil) {
+      fields.push(`Will-Retry-Until: ${options.willRetryUntil.toUTCString()}`);
+    }
+    blocks.push(fields);
+  }
+
+  return blocks.map(fields => fields.join('\r\n')).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * Compose a delivery status notification
+ * @param {Object} options - { sender, recipients, raw, subject, reportingMta, arrivalDate, willRetryUntil }
+ * @returns {Promise<Buffer>} Raw RFC 822 report
+ */
+async function buildDsn(options) {
+  const delayed = options.recipients.every(result => result.action === 'delayed');
+  const senderDomain = options.sender.split('@')[1];
+
+  const summary = options.recipients
+    .map(result => `  ${result.recipient}${result.response ? `: ${result.response}` : ''}`)
+    .join('\n');
+  const text = delayed
+    ? `Your message "${options.subject}" has not been delivered yet to:\n\n${summary}\n\n` +
+      'Delivery will be retried. You do not need to resend the message.\n'
+    : `Your message "${options.subject}" could not be delivered to:\n\n${summary}\n`;
+
+  const root = new MimeNode('multipart/report; report-type=delivery-status');
+  root.setHeader({
+    from: `Mail Delivery System <mailer-daemon@${senderDomain}>`,
+    to: options.sender,
+    subject: delayed
+      ? `Delivery Status Notification (Delay): ${options.subject}`
+      : `Undelivered Mail Returned to Sender: ${options.subject}`,
+    'auto-submitted': 'auto-replied'
+  });
+
+  root.createChild('text/plain; charset=utf-8').setContent(text);
+  root.createChild('message/delivery-status').setContent(buildDeliveryStatus(options));
+  root.createChild('text/rfc822-headers').setContent(headerBlock(options.raw) + '\r\n');
+
+  return root.build();
+}
+
+/**
+ * Deliver a delivery status notification into the sender's mailbox
+ * Nothing is sent for null senders or senders without a local mailbox
+ * @param {Object} options - { sender, recipients, raw, subject, arrivalDate, willRetryUntil, bouncedMessageId }
+ * @returns {Promise<Array<Message>>} Stored notifications
+ */
+async function notifySender(options) {
+  if (!options.sender || options.recipients.length === 0) {
+    return [];
+  }
+
+  const config = await EmailConfig.getConfig();
+  if (!config.bounces.enabled) {
+    return [];
+  }
+
+  const target = await resolveRecipient(options.sender);
+  if (!target.local || target.reject) {
+    return [];
+  }
+
+  const raw = await buildDsn({ ...options, reportingMta: config.inbound.hostname });
+  const parsedMail = await simpleParser(raw);
+
+  // Null return path, bounces must never be bounced
+  return deliverInbound(parsedMail, {
+    mailFrom: { address: '' },
+    rcptTo: [{ address: options.sender }]
+  }, { raw, bouncedMessageId: options.bouncedMessageId });
+}
+
+// Helper function to unfold header-style lines into a field map
+function parseFields(block) {
+  const fields = {};
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  }
+  return fields;
+}
+
+// Helper function to drop the "rfc822;" / "smtp;" type prefix of a DSN field
+function fieldValue(value) {
+  return value ? value.replace(/^[^;]*;\s*/, '') : null;
+}
+
+/**
+ * Split the top level MIME parts of a multipart message
+ * @param {string} raw - Raw RFC 822 message
+ * @param {string} boundary - Multipart boundary
+ * @returns {Array<Object>} Parts as { contentType, body }
+ */
+function splitParts(raw, boundary) {
+  const delimiter = `--${boundary}`;
+  return raw.split(delimiter).slice(1)
+    .filter(chunk => !chunk.startsWith('--'))
+    .map(chunk => {
+      const content = chunk.replace(/^\r?\n/, '');
+      const end = content.search(/\r?\n\r?\n/);
+      const headers = parseFields(end === -1 ? content : content.slice(0, end));
+      return {
+        contentType: (headers['content-type'] || 'text/plain').split(';')[0].trim().toLowerCase(),
+        body: end === -1 ? '' : content.slice(end).replace(/^\r?\n\r?\n/, '')
+      };
+    });
+}
+
+/**
+ * Check whether a message is a multipart/report (delivery status or feedback report)
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @returns {boolean}
+ */
+function isReport(parsedMail) {
+  const contentType = parsedMail.headers.get('content-type');
+  return Boolean(contentType && contentType.value === 'multipart/report');
+}
+
+// Helper function to find the report parts of a multipart/report of the given type
+function reportParts(parsedMail, raw, reportType) {
+  const contentType = parsedMail.headers.get('content-type');
+  if (!isReport(parsedMail) ||
+      (contentType.params['report-type'] || '').toLowerCase() !== reportType ||
+      !contentType.params.boundary) {
+    return null;
+  }
+  return splitParts(raw.toString(), contentType.params.boundary);
+}
+
+// Helper function to read a header from the returned original message
+function originalHeader(parts, name) {
+  // Original message (or its headers) is returned as the last part
+  const original = parts.find(part => ['message/rfc822', 'text/rfc822-headers'].includes(part.contentType));
+  if (!original) {
+    return null;
+  }
+  const end = original.body.search(/\r?\n\r?\n/);
+  const fields = parseFields(end === -1 ? original.body : original.body.slice(0, end));
+  return fields[name] || null;
+}
+
+/**
+ * Read the delivery status report of an inbound message
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {string} raw - Raw RFC 822 message
+ * @returns {Object|null} { originalMessageId, recipients } or null when the mail is not a DSN
+ */
+function parseDsn(parsedMail, raw) {
+  const parts = reportParts(parsedMail, raw, 'delivery-status');
+  const statusPart = parts && parts.find(part => part.contentType === 'message/delivery-status');
+  if (!statusPart) {
+    return null;
+  }
+
+  // First block holds per-message fields, the rest one block per recipient
+  const recipients = statusPart.body.trim().split(/\r?\n\s*\r?\n/).slice(1)
+    .map(parseFields)
+    .filter(fields => fields['final-recipient'])
+    .map(fields => ({
+      recipient: fieldValue(fields['final-recipient']).toLowerCase(),
+      action: (fields.action || '').toLowerCase(),
+      status: fields.status || null,
+      diagnosticCode: fieldValue(fields['diagnostic-code'])
+    }));
+
+  return {
+    originalMessageId: originalHeader(parts, 'message-id'),
+    recipients
+  };
+}
+
+/**
+ * Read a feedback loop complaint (RFC 5965 ARF report)
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {string} raw - Raw RFC 822 message
+ * @returns {Object|null} { feedbackType, originalMessageId, recipient } or null when the mail is not a complaint
+ */
+function parseFeedbackReport(parsedMail, raw) {
+  const parts = reportParts(parsedMail, raw, 'feedback-report');
+  const reportPart = parts && parts.find(part => part.contentType === 'message/feedback-report');
+  if (!reportPart) {
+    return null;
+  }
+
+  const fields = parseFields(reportPart.body);
+  const recipient = fields['original-rcpt-to'] || originalHeader(parts, 'to');
+  const address = recipient && /([^<\s]+@[^>\s,]+)/.exec(recipient);
+
+  return {
+    feedbackType: (fields['feedback-type'] || 'abuse').toLowerCase(),
+    originalMessageId: originalHeader(parts, 'message-id'),
+    recipient: address ? address[1].toLowerCase() : null
+  };
+}
+
+/**
+ * Find the sent copies an inbound report refers to
+ * VERP identifies the delivery even when the report lost the Message-ID
+ * A report matched by Message-ID must be addressed to the original's return path, so anyone
+ * who learns a Message-ID cannot fail or suppress the recipients of someone else's mail
+ * @param {Object} envelope - SMTP envelope of the report
+ * @param {string|null} originalMessageId - Message-ID found in the report
+ * @returns {Promise<Array<Message>>}
+ */
+async function findOriginals(envelope, originalMessageId) {
+  const tokens = envelope.rcptTo
+    .map(rcpt => parseVerpAddress(rcpt.address))
+    .filter(Boolean)
+    .map(verp => verp.token);
+  const recipients = envelope.rcptTo.map(rcpt => rcpt.address.toLowerCase());
+
+  const match = [];
+  if (tokens.length > 0) {
+    match.push({ queueItemId: { [Op.in]: tokens } });
+  }
+  if (originalMessageId && recipients.length > 0) {
+    match.push({ messageId: originalMessageId, envelopeFrom: { [Op.in]: recipients } });
+  }
+  if (match.length === 0) {
+    return [];
+  }
+
+  return Message.findAll({
+    where: { sent: true, [Op.or]: match },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Tell whether a failure means the address itself is dead (bad mailbox or domain)
+ * @param {Object} result - { status, responseCode, response }
+ * @returns {boolean}
+ */
+function isHardBounce(result) {
+  const match = ENHANCED_STATUS_REGEX.exec(result.response || '');
+  const enhanced = result.status || (match && match[1]);
+  if (enhanced) {
+    return enhanced.startsWith('5.1.');
+  }
+  return HARD_BOUNCE_CODES.includes(result.responseCode);
+}
+
+/**
+ * Add hard bounced recipients to the sender domain's suppression list
+ * @param {string} sender - Envelope sender of the failed mail
+ * @param {Array<Object>} failures - Failed recipients ({ recipient, status, responseCode, response })
+ * @param {Array<Message>} copies - Sent copies of the failed mail
+ * @returns {Promise<void>}
+ */
+async function suppressHardBounces(sender, failures, copies = []) {
+  const senderDomain = (sender || '').split('@')[1];
+  if (!senderDomain) {
+    return;
+  }
+
+  for (const failure of failures.filter(isHardBounce)) {
+    const copy = copies.find(message => message.envelopeTo.toLowerCase() === failure.recipient.toLowerCase());
+    try {
+      await Suppression.suppress(senderDomain, failure.recipient, Suppression.SUPPRESSION_REASONS.HARD_BOUNCE, {
+        details: failure.response || failure.status,
+        sourceMessageId: copy ? copy.id : null
+      });
+    } catch (error) {
+      console.error(`Error suppressing ${failure.recipient}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Link an inbound bounce to the sent message it refers to and mark failed recipients
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {string} raw - Raw RFC 822 message
+ * @param {Object} envelope - SMTP envelope ({ mailFrom, rcptTo })
+ * @returns {Promise<Message|null>} The original sent message, when found
+ */
+async function handleInboundBounce(parsedMail, raw, envelope) {
+  const report = parseDsn(parsedMail, raw);
+  const originals = await findOriginals(envelope, report && report.originalMessageId);
+  if (originals.length === 0) {
+    return null;
+  }
+
+  if (report) {
+    const failures = [];
+    for (const result of report.recipients.filter(result => result.action === 'failed')) {
+      const original = originals.find(message => message.envelopeTo.toLowerCase() === result.recipient);
+      if (original) {
+        await original.update({
+          status: 'failed',
+          diagnosticCode: (result.diagnosticCode || result.status || '').slice(0, 1000)
+        });
+        failures.push({ recipient: result.recipient, status: result.status, response: result.diagnosticCode });
+        console.log(`Bounce received for ${original.messageId} to ${result.recipient}: ${result.diagnosticCode || result.status}`);
+      }
+    }
+    await suppressHardBounces(originals[0].envelopeFrom, failures, originals);
+  }
+
+  // Prefer the copy for the recipient the report is about
+  const firstRecipient = report && report.recipients[0] ? report.recipients[0].recipient : null;
+  return originals.find(message => message.envelopeTo.toLowerCase() === firstRecipient) || originals[0];
+}
+
+/**
+ * Suppress the recipient of a feedback loop complaint for the original sender's domain
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {string} raw - Raw RFC 822 message
+ * @param {Object} envelope - SMTP envelope ({ mailFrom, rcptTo })
+ * @returns {Promise<Message|null>} The original sent message, when found
+ */
+async function handleInboundComplaint(parsedMail, raw, envelope) {
+  const report = parseFeedbackReport(parsedMail, raw);
+  if (!report) {
+    return null;
+  }
+
+  const originals = await findOriginals(envelope, report.originalMessageId);
+  const original = originals.find(message => message.envelopeTo.toLowerCase() === report.recipient) ||
+    (originals.length === 1 ? originals[0] : null);
+  if (!original) {
+    console.log(`Complaint (${report.feedbackType}) received for unknown message ${report.originalMessageId}`);
+    return null;
+  }
+
+  const senderDomain = original.envelopeFrom.split('@')[1];
+  try {
+    await Suppression.suppress(senderDomain, original.envelopeTo, Suppression.SUPPRESSION_REASONS.COMPLAINT, {
+      details: `Feedback-Type: ${report.feedbackType}`,
+      sourceMessageId: original.id
+    });
+  } catch (error) {
+    console.error(`Error suppressing ${original.envelopeTo}:`, error.message);
+  }
+
+  return original;
+}
+
+module.exports = {
+  buildDsn,
+  notifySender,
+  parseDsn,
+  parseFeedbackReport,
+  isReport,
+  isHardBounce,
+  suppressHardBounces,
+  handleInboundBounce,
+  handleInboundComplaint
+};
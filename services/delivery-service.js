@@ -0,0 +1,300 @@
+// Local delivery service - resolves recipients and stores mail for local mailboxes
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Import services
+const { putContent, blobKey, releaseContent, sweepReleased, RELEASE_GRACE_PERIOD } = require('./blob-service');
+
+// Import models
+const Message = require('../models/message-model');
+const MessageBody = require('../models/message-body-model');
+const Attachment = require('../models/attachment-model');
+const QueueItem = require('../models/queue-item-model');
+const SearchTerm = require('../models/search-term-model');
+const Email = require('../models/email-model');
+const Domain = require('../models/domain-model');
+const DomainConfig = require('../models/domain-config-model');
+
+const { CATCH_ALL_MODES } = DomainConfig;
+
+// Timer of the next sweep of released blobs
+let blobSweepTimer = null;
+
+// Return path used for outbound mail so bounces can be traced back: local+bounce-<token>@domain
+const VERP_REGEX = /^([^@+]+)\+bounce-([0-9a-f-]{36})@(.+)$/i;
+
+/**
+ * Build a VERP return path for a sender
+ * @param {string} address - Sender address
+ * @param {string} token - Identifier of the outbound delivery
+ * @returns {string}
+ */
+function verpAddress(address, token) {
+  if (!address) {
+    return address;
+  }
+  const [localPart, domain] = address.split('@');
+  return `${localPart}+bounce-${token}@${domain}`;
+}
+
+/**
+ * Split a VERP return path into the sender address and token
+ * @param {string} address - Recipient address
+ * @returns {Object|null} { address, token } or null when the address is not a VERP address
+ */
+function parseVerpAddress(address) {
+  const match = VERP_REGEX.exec(address || '');
+  if (!match) {
+    return null;
+  }
+  return { address: `${match[1]}@${match[3]}`.toLowerCase(), token: match[2].toLowerCase() };
+}
+
+/**
+ * Work out where mail for a recipient should be delivered
+ * @param {string} address - Recipient address
+ * @returns {Promise<Object>} Delivery target ({ reject } when the recipient must be refused)
+ */
+async function resolveRecipient(address) {
+  // Bounces come back to the sender's VERP address
+  const verp = parseVerpAddress(address);
+  const recipient = verp ? verp.address : address.toLowerCase();
+  const domainName = recipient.split('@')[1];
+
+  // Existing mailbox
+  const email = await Email.findOne({ where: { address: recipient } });
+  if (email) {
+    return { local: true, toEmail: email.address, catchAll: false };
+  }
+
+  // Not one of our domains - needs relaying
+  const domain = domainName ? await Domain.findOne({ where: { name: domainName } }) : null;
+  if (!domain) {
+    return { local: false, toEmail: recipient, catchAll: false };
+  }
+
+  const domainCfg = await DomainConfig.findOne({ where: { domainName: domain.name } });
+  const mode = domainCfg ? domainCfg.catchAllMode : CATCH_ALL_MODES.OFF;
+
+  switch (mode) {
+    case CATCH_ALL_MODES.REJECT:
+      return { reject: true };
+    case CATCH_ALL_MODES.MAILBOX:
+      return { local: true, toEmail: domainCfg.catchAllMailbox, catchAll: true, originalRecipient: recipient };
+    case CATCH_ALL_MODES.WILDCARD:
+      return { local: true, toEmail: recipient, catchAll: true, originalRecipient: recipient };
+    default:
+      return { local: true, toEmail: recipient, catchAll: false };
+  }
+}
+
+/**
+ * Convert parsed headers (a Map) into a plain object that can be stored as JSON
+ * @param {Map} headers - Headers from mailparser
+ * @returns {Object}
+ */
+function headersToJSON(headers) {
+  return headers ? Object.fromEntries(headers) : {};
+}
+
+/**
+ * Save parsed attachments to the blob store
+ * @param {Array<Object>} [attachments] - Attachments extracted by mailparser
+ * @returns {Promise<Array<Object>>} Attachment details for MessageBody.store
+ */
+async function storeAttachments(attachments = []) {
+  const stored = [];
+  for (const attachment of attachments) {
+    const blob = await putContent(attachment.content);
+    stored.push({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType || 'application/octet-stream',
+      size: blob.size,
+      checksum: blob.checksum,
+      contentId: attachment.cid || null,
+      inline: attachment.contentDisposition === 'inline' || Boolean(attachment.related),
+      storageKey: blob.key
+    });
+  }
+  return stored;
+}
+
+/**
+ * Save the raw source of a message to the blob store, identical sources are stored once
+ * @param {string|Buffer} [raw] - Raw RFC 822 message
+ * @returns {Promise<Object>} { rawChecksum, rawSize } for the Message
+ */
+async function storeRaw(raw) {
+  if (!raw) {
+    return { rawChecksum: null, rawSize: null };
+  }
+
+  const blob = await putContent(Buffer.isBuffer(raw) ? raw : Buffer.from(raw));
+  return { rawChecksum: blob.checksum, rawSize: blob.size };
+}
+
+/**
+ * Get the blob store key of a message's raw source
+ * @param {Message} message - Stored message
+ * @returns {string|null}
+ */
+function rawKey(message) {
+  return message.rawChecksum ? blobKey(message.rawChecksum) : null;
+}
+
+/**
+ * Check whether a message, attachment or queue item refers to a blob
+ * @param {string} checksum - Blob checksum
+ * @returns {Promise<boolean>}
+ */
+async function isBlobReferenced(checksum) {
+  return await Message.count({ where: { rawChecksum: checksum } }) > 0 ||
+    await Attachment.count({ where: { checksum } }) > 0 ||
+    await QueueItem.count({ where: { rawChecksum: checksum } }) > 0;
+}
+
+/**
+ * Sweep the released blobs once their grace period passed, until none is left
+ */
+function scheduleBlobSweep() {
+  if (blobSweepTimer) {
+    return;
+  }
+
+  blobSweepTimer = setTimeout(async () => {
+    // Blobs that could not be swept stay released and are tried again
+    let pending = true;
+    try {
+      pending = (await sweepReleased(isBlobReferenced)).pending > 0;
+    } catch (error) {
+      console.error('Error deleting released blobs:', error.message);
+    }
+    blobSweepTimer = null;
+    if (pending) {
+      scheduleBlobSweep();
+    }
+  }, RELEASE_GRACE_PERIOD);
+  blobSweepTimer.unref();
+}
+
+/**
+ * Delete the blobs that no message, attachment or queue item refers to any more
+ * Deletion waits for a grace period, deliveries reusing the content in the meantime keep it
+ * @param {Array<string>} checksums - Checksums of blobs that lost a reference
+ * @returns {Promise<void>}
+ */
+async function releaseBlobs(checksums) {
+  const released = [...new Set(checksums.filter(Boolean))];
+  if (released.length === 0) {
+    return;
+  }
+
+  releaseContent(released);
+  scheduleBlobSweep();
+}
+
+/**
+ * Free the content of deleted messages: their search terms, bodies no other message shares,
+ * their attachments and unused blobs
+ * @param {Array<Message>} messages - Messages that were destroyed (id, bodyId and rawChecksum are used)
+ * @returns {Promise<void>}
+ */
+async function releaseMessages(messages) {
+  if (messages.length === 0) {
+    return;
+  }
+
+  await SearchTerm.destroy({ where: { messageId: { [Op.in]: messages.map(message => message.id) } } });
+
+  const bodyIds = [...new Set(messages.map(message => message.bodyId).filter(Boolean))];
+  const attachmentChecksums = bodyIds.length > 0 ? await MessageBody.purgeOrphans(bodyIds) : [];
+  await releaseBlobs([...messages.map(message => message.rawChecksum), ...attachmentChecksums]);
+}
+
+/**
+ * Store an inbound message once per envelope recipient
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {Object} envelope - SMTP envelope ({ mailFrom, rcptTo })
+ * @param {Object} [options] - { raw, source, bouncedMessageId, spf, dkim, dmarc, quarantine } raw source (or
+ *   { rawChecksum, rawSize } when it is already in the blob store), the sent message a notification refers to,
+ *   the SPF, DKIM and DMARC verdicts and whether the message goes to Spam
+ * @returns {Promise<Array<Message>>} Created messages
+ */
+async function deliverInbound(parsedMail, envelope, options = {}) {
+  const envelopeFrom = envelope.mailFrom ? envelope.mailFrom.address : '';
+  const headerFrom = parsedMail.from && parsedMail.from.value[0]
+    ? parsedMail.from.value[0].address
+    : envelopeFrom;
+
+  // Resolve every envelope recipient, one delivery per target mailbox
+  const deliveries = new Map();
+  for (const rcpt of envelope.rcptTo) {
+    const target = await resolveRecipient(rcpt.address);
+    if (target.reject || !target.local) {
+      // Refused at RCPT TO or relayed elsewhere, nothing to store
+      continue;
+    }
+
+    const key = `${target.toEmail}|${target.originalRecipient || ''}`;
+    if (!deliveries.has(key)) {
+      deliveries.set(key, { ...target, envelopeTo: rcpt.address });
+    }
+  }
+
+  if (deliveries.size === 0) {
+    return [];
+  }
+
+  const attachments = await storeAttachments(parsedMail.attachments);
+  const source = options.source || await storeRaw(options.raw);
+
+  return sequelize.transaction(async (transaction) => {
+    // Store the body once and share it between all copies
+    const body = await MessageBody.store(parsedMail.text, parsedMail.html, { transaction, attachments });
+
+    const messages = [];
+    for (const target of deliveries.values()) {
+      console.log('Received email for:', target.toEmail);
+
+      // Save message to database whether recipient exists or not
+      messages.push(await Message.create({
+        messageId: parsedMail.messageId,
+        fromEmail: headerFrom || envelopeFrom,
+        toEmail: target.toEmail,
+        envelopeFrom,
+        envelopeTo: target.envelopeTo,
+        catchAll: target.catchAll,
+        originalRecipient: target.originalRecipient || null,
+        subject: parsedMail.subject || '',
+        bodyId: body.id,
+        sent: false,
+        read: false,
+        status: 'received',
+        headers: headersToJSON(parsedMail.headers),
+        hasAttachments: parsedMail.attachments && parsedMail.attachments.length > 0,
+        bouncedMessageId: options.bouncedMessageId || null,
+        spfResult: options.spf ? options.spf.result : null,
+        dkimResult: options.dkim ? options.dkim.result : null,
+        dkimSignatures: options.dkim ? options.dkim.signatures : null,
+        dmarcResult: options.dmarc ? options.dmarc.result : null,
+        quarantined: Boolean(options.quarantine),
+        ...source
+      }, { transaction }));
+    }
+
+    return messages;
+  });
+}
+
+module.exports = {
+  verpAddress,
+  parseVerpAddress,
+  resolveRecipient,
+  headersToJSON,
+  storeAttachments,
+  storeRaw,
+  rawKey,
+  releaseBlobs,
+  releaseMessages,
+  deliverInbound
+};
@@ -0,0 +1,426 @@
+// DKIM service - verifies the DKIM signatures of received messages (RFC 6376, RFC 8463)
+// The message is read as a stream, only the header block is kept in memory
+const crypto = require('crypto');
+const dns = require('dns');
+const { splitEntity, parseHeaderLines } = require('../utils/mime-utils');
+
+// DNS resolver used for key lookups (replaceable for tests)
+let resolver = dns.promises;
+
+/**
+ * Replace the DNS resolver used for DKIM key lookups
+ * @param {Object} options - { resolver } with resolveTxt
+ */
+function configureDkim(options = {}) {
+  if (options.resolver) resolver = options.resolver;
+}
+
+// Per-signature results (RFC 8601 section 2.7.1), none when a message carries no signature
+const RESULTS = ['none', 'pass', 'fail', 'neutral', 'policy', 'temperror', 'permerror'];
+
+// Message verdict is the best signature result in this order
+const VERDICT_ORDER = ['pass', 'fail', 'temperror', 'permerror', 'policy', 'neutral'];
+
+// Signatures verified per message, further ones are ignored
+const MAX_SIGNATURES = 10;
+
+// RSA keys shorter than this are not accepted (RFC 8301 section 3.2)
+const MIN_RSA_BITS = 1024;
+
+// DER prefix turning a raw Ed25519 public key into SubjectPublicKeyInfo
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const ALGORITHMS = {
+  'rsa-sha256': { keyType: 'rsa' },
+  'ed25519-sha256': { keyType: 'ed25519' }
+};
+
+/**
+ * Create an error that ends the check of one signature
+ * @param {string} result - fail, temperror or permerror
+ * @param {string} message - Reason
+ * @returns {Error}
+ */
+function dkimError(result, message) {
+  const error = new Error(message);
+  error.dkimResult = result;
+  return error;
+}
+
+/**
+ * Parse a tag=value list (RFC 6376 section 3.2)
+ * @param {string} text - Tag list
+ * @returns {Object} Values by tag name
+ * @throws {Error} permerror on syntax errors and duplicate tags
+ */
+function parseTags(text) {
+  const tags = {};
+  for (const part of text.split(';')) {
+    if (!part.trim()) {
+      continue;
+    }
+    const match = /^\s*([a-z][a-z0-9_]*)\s*=([\s\S]*)$/i.exec(part);
+    if (!match) {
+      throw dkimError('permerror', `Malformed tag ${part.trim()}`);
+    }
+    const name = match[1].toLowerCase();
+    if (name in tags) {
+      throw dkimError('permerror', `Duplicate tag ${name}`);
+    }
+    tags[name] = match[2].replace(/\s+/g, ' ').trim();
+  }
+  return tags;
+}
+
+/**
+ * Canonicalize a header field (RFC 6376 section 3.4.1 and 3.4.2)
+ * @param {string} line - Header field as it appears in the message, folding included
+ * @param {string} method - simple or relaxed
+ * @returns {string} Field without the trailing CRLF
+ */
+function canonicalizeHeader(line, method) {
+  if (method === 'simple') {
+    return line;
+  }
+  const colon = line.indexOf(':');
+  const name = line.slice(0, colon).trim().toLowerCase();
+  const value = line.slice(colon + 1).replace(/\r?\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${name}:${value}`;
+}
+
+/**
+ * Hashes a message body while canonicalizing it (RFC 6376 section 3.4.3 and 3.4.4)
+ * Empty lines are held back until more content follows, trailing ones are dropped
+ */
+class BodyHasher {
+  constructor(method, limit) {
+    this.method = method;
+    this.limit = limit;
+    this.hash = crypto.createHash('sha256');
+    this.partial = '';
+    this.emptyLines = 0;
+    this.length = 0;
+  }
+
+  // Hash canonical output up to the l= limit
+  write(text) {
+    this.length += text.length;
+    if (this.limit !== null) {
+      const remaining = this.limit - (this.length - text.length);
+      if (remaining <= 0) {
+        return;
+      }
+      text = text.slice(0, remaining);
+    }
+    this.hash.update(text, 'binary');
+  }
+
+  line(text) {
+    const line = this.method === 'relaxed' ? text.replace(/[ \t]+/g, ' ').replace(/ $/, '') : text;
+    if (line === '') {
+      this.emptyLines++;
+      return;
+    }
+    this.write('\r\n'.repeat(this.emptyLines) + line + '\r\n');
+    this.emptyLines = 0;
+  }
+
+  update(chunk) {
+    const lines = (this.partial + chunk.toString('binary')).split('\n');
+    this.partial = lines.pop();
+    for (const line of lines) {
+      this.line(line.replace(/\r$/, ''));
+    }
+  }
+
+  // The digest, and whether the body was at least l= long
+  digest() {
+    if (this.partial) {
+      this.line(this.partial.replace(/\r$/, ''));
+      this.partial = '';
+    }
+    // An empty simple body is a single CRLF, an empty relaxed body stays empty
+    if (this.method === 'simple' && this.length === 0) {
+      this.write('\r\n');
+    }
+    return {
+      hash: this.hash.digest('base64'),
+      complete: this.limit === null || this.length >= this.limit
+    };
+  }
+}
+
+/**
+ * Parse and check a DKIM-Signature header field
+ * @param {string} line - Header field
+ * @returns {Object} Signature
+ * @throws {Error} permerror when the signature cannot be used
+ */
+function parseSignature(line) {
+  const value = line.slice(line.indexOf(':') + 1);
+  const tags = parseTags(value);
+
+  for (const tag of ['v', 'a', 'b', 'bh', 'd', 'h', 's']) {
+    if (!tags[tag]) {
+      throw dkimError('permerror', `Missing ${tag}= tag`);
+    }
+  }
+  if (tags.v !== '1') {
+    throw dkimError('permerror', `Unsupported version ${tags.v}`);
+  }
+
+  const algorithm = tags.a.toLowerCase();
+  if (!ALGORITHMS[algorithm]) {
+    throw dkimError('permerror', `Unsupported algorithm ${tags.a}`);
+  }
+
+  const [headerMethod, bodyMethod = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+  if (![headerMethod, bodyMethod].every(method => method === 'simple' || method === 'relaxed')) {
+    throw dkimError('permerror', `Unsupported canonicalization ${tags.c}`);
+  }
+  if (tags.q && !tags.q.toLowerCase().split(':').includes('dns/txt')) {
+    throw dkimError('permerror', `Unsupported query method ${tags.q}`);
+  }
+
+  const headers = tags.h.split(':').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (!headers.includes('from')) {
+    throw dkimError('permerror', 'From header is not signed');
+  }
+
+  const domain = tags.d.toLowerCase().replace(/\.$/, '');
+  const identity = tags.i || `@${domain}`;
+  const identityDomain = identity.slice(identity.lastIndexOf('@') + 1).toLowerCase();
+  if (identityDomain !== domain && !identityDomain.endsWith(`.${domain}`)) {
+    throw dkimError('permerror', `Identity ${identity} is not within ${domain}`);
+  }
+
+  if (tags.l !== undefined && !/^\d+$/.test(tags.l)) {
+    throw dkimError('permerror', `Invalid body length ${tags.l}`);
+  }
+  if (tags.x && /^\d+$/.test(tags.x) && parseInt(tags.x, 10) < Math.floor(Date.now() / 1000)) {
+    throw dkimError('permerror', 'Signature expired');
+  }
+
+  return {
+    algorithm,
+    domain,
+    selector: tags.s.toLowerCase(),
+    identity,
+    headers,
+    headerMethod,
+    bodyMethod,
+    bodyLength: tags.l !== undefined ? parseInt(tags.l, 10) : null,
+    bodyHash: tags.bh.replace(/\s+/g, ''),
+    signature: Buffer.from(tags.b.replace(/\s+/g, ''), 'base64'),
+    // The signature field itself is signed with an empty b= value
+    line: line.slice(0, line.indexOf(':') + 1) +
+      value.replace(/(^|;)([ \t\r\n]*b[ \t\r\n]*=)[^;]*/g, '$1$2')
+  };
+}
+
+/**
+ * Fetch and parse the public key of a signature from selector._domainkey.domain
+ * @param {Object} signature - Parsed signature
+ * @returns {Promise<KeyObject>}
+ * @throws {Error} temperror on DNS failures, permerror for missing, revoked or unusable keys
+ */
+async function getPublicKey(signature) {
+  const name = `${signature.selector}._domainkey.${signature.domain}`;
+  let records;
+  try {
+    records = await resolver.resolveTxt(name);
+  } catch (error) {
+    if (error.code === dns.NOTFOUND || error.code === dns.NODATA) {
+      throw dkimError('permerror', `No key for signature at ${name}`);
+    }
+    throw dkimError('temperror', `DNS error looking up ${name}: ${error.code || error.message}`);
+  }
+  if (records.length !== 1) {
+    throw dkimError('permerror', `Expected one key record at ${name}, found ${records.length}`);
+  }
+
+  const tags = parseTags([].concat(records[0]).join(''));
+  const keyType = (tags.k || 'rsa').toLowerCase();
+  if (tags.v && tags.v !== 'DKIM1') {
+    throw dkimError('permerror', `Unsupported key version ${tags.v}`);
+  }
+  if (keyType !== ALGORITHMS[signature.algorithm].keyType) {
+    throw dkimError('permerror', `Key type ${keyType} does not match algorithm ${signature.algorithm}`);
+  }
+  if (tags.h && !tags.h.toLowerCase().split(':').map(hash => hash.trim()).includes('sha256')) {
+    throw dkimError('permerror', 'Key does not allow sha256');
+  }
+  if (tags.s && !tags.s.split(':').map(service => service.trim()).some(service => service === '*' || service === 'email')) {
+    throw dkimError('permerror', 'Key is not for email');
+  }
+  if (tags.t && tags.t.split(':').map(flag => flag.trim()).includes('s') &&
+      signature.identity.slice(signature.identity.lastIndexOf('@') + 1).toLowerCase() !== signature.domain) {
+    throw dkimError('permerror', 'Key does not allow subdomain identities');
+  }
+  if (!tags.p) {
+    throw dkimError('permerror', 'Key revoked');
+  }
+
+  const der = Buffer.from(tags.p.replace(/\s+/g, ''), 'base64');
+  try {
+    if (keyType === 'ed25519') {
+      return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' });
+    }
+
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    } catch (error) {
+      key = crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+    }
+    if (key.asymmetricKeyDetails && key.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+      throw dkimError('permerror', `Key shorter than ${MIN_RSA_BITS} bits`);
+    }
+    return key;
+  } catch (error) {
+    throw error.dkimResult ? error : dkimError('permerror', 'Unusable key');
+  }
+}
+
+/**
+ * Build the signed header data of a signature (RFC 6376 section 5.4.2)
+ * Fields listed in h= are taken from the bottom up, missing ones are skipped
+ * @param {Array<Object>} fields - Header fields from parseHeaderLines
+ * @param {Object} signature - Parsed signature
+ * @returns {Buffer}
+ */
+function signedHeaderData(fields, signature) {
+  const used = new Set();
+  const lines = [];
+  for (const name of signature.headers) {
+    for (let i = fields.length - 1; i >= 0; i--) {
+      if (fields[i].key === name && !used.has(i)) {
+        used.add(i);
+        lines.push(`${canonicalizeHeader(fields[i].line, signature.headerMethod)}\r\n`);
+        break;
+      }
+    }
+  }
+  lines.push(canonicalizeHeader(signature.line, signature.headerMethod));
+  return Buffer.from(lines.join(''), 'binary');
+}
+
+/**
+ * Check one signature once its body hash is known
+ * @param {Array<Object>} fields - Header fields
+ * @param {Object} signature - Parsed signature
+ * @param {Object} body - Digest from BodyHasher
+ * @returns {Promise<void>}
+ * @throws {Error} With the result of a signature that does not pass
+ */
+async function checkSignature(fields, signature, body) {
+  const key = await getPublicKey(signature);
+
+  if (!body.complete) {
+    throw dkimError('fail', 'Body is shorter than the signed length');
+  }
+  if (body.hash !== signature.bodyHash) {
+    throw dkimError('fail', 'Body hash did not verify');
+  }
+
+  const data = signedHeaderData(fields, signature);
+  const valid = signature.algorithm === 'ed25519-sha256'
+    // Ed25519 signs the SHA-256 digest of the header data (RFC 8463 section 3)
+    ? crypto.verify(null, crypto.createHash('sha256').update(data).digest(), key, signature.signature)
+    : crypto.verify('sha256', data, key, signature.signature);
+  if (!valid) {
+    throw dkimError('fail', 'Signature did not verify');
+  }
+}
+
+/**
+ * Verify every DKIM signature of a message
+ * @param {Readable} stream - Raw RFC 822 message
+ * @returns {Promise<Object>} { result, signatures } with per-signature
+ *   { result, domain, selector, algorithm, identity, reason } entries
+ */
+async function verifyDkim(stream) {
+  let head = Buffer.alloc(0);
+  let fields = null;
+  let checks = [];
+
+  const start = header => {
+    fields = parseHeaderLines(header);
+    checks = fields
+      .filter(field => field.key === 'dkim-signature')
+      .slice(0, MAX_SIGNATURES)
+      .map(field => {
+        try {
+          const signature = parseSignature(field.line);
+          return { signature, hasher: new BodyHasher(signature.bodyMethod, signature.bodyLength) };
+        } catch (error) {
+          if (!error.dkimResult) {
+            throw error;
+          }
+          const domain = /\bd=([^;\s]+)/.exec(field.line);
+          return { error, domain: domain ? domain[1].toLowerCase() : null };
+        }
+      });
+  };
+
+  // Collect the header block, then feed the body to one hasher per signature
+  for await (const chunk of stream) {
+    if (fields) {
+      checks.forEach(check => check.hasher && check.hasher.update(chunk));
+      continue;
+    }
+
+    head = Buffer.concat([head, chunk]);
+    const separated = head.indexOf('\r\n\r\n') !== -1 || head.indexOf('\n\n') !== -1 ||
+      head[0] === 0x0a || (head[0] === 0x0d && head[1] === 0x0a);
+    if (separated) {
+      const { header, body } = splitEntity(head);
+      start(header);
+      checks.forEach(check => check.hasher && check.hasher.update(body));
+      head = null;
+    }
+  }
+  if (!fields) {
+    start(head);
+  }
+
+  if (checks.length === 0) {
+    return { result: 'none', signatures: [] };
+  }
+
+  const signatures = [];
+  for (const check of checks) {
+    const { signature } = check;
+    const entry = {
+      result: 'pass',
+      domain: signature ? signature.domain : check.domain,
+      selector: signature ? signature.selector : null,
+      algorithm: signature ? signature.algorithm : null,
+      identity: signature ? signature.identity : null,
+      reason: null
+    };
+
+    try {
+      if (check.error) {
+        throw check.error;
+      }
+      await checkSignature(fields, signature, check.hasher.digest());
+    } catch (error) {
+      if (!error.dkimResult) {
+        throw error;
+      }
+      entry.result = error.dkimResult;
+      entry.reason = error.message;
+    }
+    signatures.push(entry);
+  }
+
+  const result = VERDICT_ORDER.find(verdict => signatures.some(signature => signature.result === verdict));
+  return { result, signatures };
+}
+
+module.exports = {
+  RESULTS,
+  configureDkim,
+  verifyDkim
+};
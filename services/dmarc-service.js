@@ -0,0 +1,288 @@
+// DMARC service - evaluates the DMARC policy of the author domain of received mail (RFC 7489)
+// and describes the authentication results of a message (RFC 8601)
+const dns = require('dns');
+
+// Import models
+const DmarcResult = require('../models/dmarc-result-model');
+
+// DNS resolver used for policy lookups (replaceable for tests)
+let resolver = dns.promises;
+
+/**
+ * Replace the DNS resolver used for DMARC policy lookups
+ * @param {Object} options - { resolver } with resolveTxt
+ */
+function configureDmarc(options = {}) {
+  if (options.resolver) resolver = options.resolver;
+}
+
+// Policies in order of strictness
+const POLICIES = ['none', 'quarantine', 'reject'];
+
+// Labels under which country code domains hand out registrations (example.co.uk, example.com.au)
+const SECOND_LEVEL_LABELS = ['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'nom', 'or', 'org', 'plc', 'sch'];
+
+/**
+ * Create an error that ends the evaluation
+ * @param {string} result - temperror or permerror
+ * @param {string} message - Reason
+ * @returns {Error}
+ */
+function dmarcError(result, message) {
+  const error = new Error(message);
+  error.dmarcResult = result;
+  return error;
+}
+
+/**
+ * Organizational domain of a domain (RFC 7489 section 3.2)
+ * Approximated without a public suffix list: the registered name under the top-level domain,
+ * or under a generic second-level label of a country code domain
+ * @param {string} domain - Domain name
+ * @returns {string}
+ */
+function organizationalDomain(domain) {
+  const labels = domain.toLowerCase().replace(/\.$/, '').split('.');
+  const size = labels.length > 2 &&
+    labels[labels.length - 1].length === 2 &&
+    SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+/**
+ * Check identifier alignment (RFC 7489 section 3.1)
+ * @param {string} domain - Authenticated domain (SPF or DKIM)
+ * @param {string} authorDomain - From header domain
+ * @param {string} mode - s (strict) or r (relaxed)
+ * @returns {boolean}
+ */
+function isAligned(domain, authorDomain, mode) {
+  if (!domain) {
+    return false;
+  }
+  const authenticated = domain.toLowerCase().replace(/\.$/, '');
+  return mode === 's'
+    ? authenticated === authorDomain
+    : organizationalDomain(authenticated) === organizationalDomain(authorDomain);
+}
+
+/**
+ * Parse a DMARC record
+ * @param {string} text - Record starting with v=DMARC1
+ * @returns {Object|null} { p, sp, adkim, aspf, pct, rua }, null when the record cannot be used
+ */
+function parseRecord(text) {
+  const tags = {};
+  for (const part of text.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1) {
+      tags[part.slice(0, separator).trim().toLowerCase()] = part.slice(separator + 1).trim();
+    }
+  }
+
+  const rua = tags.rua ? tags.rua.split(',').map(uri => uri.trim()).filter(Boolean) : [];
+  let policy = (tags.p || '').toLowerCase();
+  if (!POLICIES.includes(policy)) {
+    // A record asking for reports still counts, as a monitoring policy (RFC 7489 section 6.6.3)
+    if (rua.length === 0) {
+      return null;
+    }
+    policy = 'none';
+  }
+
+  const subdomainPolicy = (tags.sp || '').toLowerCase();
+  const pct = /^\d+$/.test(tags.pct || '') ? Math.min(parseInt(tags.pct, 10), 100) : 100;
+  return {
+    p: policy,
+    sp: POLICIES.includes(subdomainPolicy) ? subdomainPolicy : policy,
+    adkim: (tags.adkim || '').toLowerCase() === 's' ? 's' : 'r',
+    aspf: (tags.aspf || '').toLowerCase() === 's' ? 's' : 'r',
+    pct,
+    rua
+  };
+}
+
+/**
+ * Fetch the DMARC record published for a domain
+ * @param {string} domain - Domain name
+ * @returns {Promise<Object|null>} Parsed record, null when there is none or more than one
+ * @throws {Error} temperror on DNS failures
+ */
+async function fetchRecord(domain) {
+  let records;
+  try {
+    records = await resolver.resolveTxt(`_dmarc.${domain}`);
+  } catch (error) {
+    if (error.code === dns.NOTFOUND || error.code === dns.NODATA) {
+      return null;
+    }
+    throw dmarcError('temperror', `DNS error looking up _dmarc.${domain}: ${error.code || error.message}`);
+  }
+
+  const policies = records
+    .map(chunks => [].concat(chunks).join(''))
+    .filter(record => /^v\s*=\s*DMARC1\s*(;|$)/i.test(record));
+  return policies.length === 1 ? parseRecord(policies[0]) : null;
+}
+
+/**
+ * Evaluate the DMARC policy for a received message
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {Object} results - { spf, dkim } verdicts of checkSpf and verifyDkim (either may be null)
+ * @returns {Promise<Object>} { result, domain, policyDomain, policy, disposition, spfAligned, dkimAligned,
+ *   record, reason } where disposition is the policy to apply (none, quarantine or reject)
+ */
+async function checkDmarc(parsedMail, { spf, dkim } = {}) {
+  const domains = [...new Set((parsedMail.from ? parsedMail.from.value : [])
+    .filter(author => author.address && author.address.includes('@'))
+    .map(author => author.address.slice(author.address.lastIndexOf('@') + 1).toLowerCase()))];
+
+  const verdict = {
+    result: 'none',
+    domain: domains[0] || null,
+    policyDomain: null,
+    policy: null,
+    disposition: 'none',
+    spfAligned: false,
+    dkimAligned: false,
+    record: null,
+    reason: null
+  };
+  if (domains.length === 0) {
+    return { ...verdict, reason: 'No author domain' };
+  }
+  if (domains.length > 1) {
+    return { ...verdict, result: 'permerror', reason: 'Authors from more than one domain' };
+  }
+
+  const domain = domains[0];
+  let record;
+  let policyDomain = domain;
+  try {
+    // The author domain's own record, or the one of its organizational domain
+    record = await fetchRecord(domain);
+    if (!record && organizationalDomain(domain) !== domain) {
+      policyDomain = organizationalDomain(domain);
+      record = await fetchRecord(policyDomain);
+    }
+  } catch (error) {
+    if (!error.dmarcResult) {
+      throw error;
+    }
+    return { ...verdict, result: error.dmarcResult, reason: error.message };
+  }
+  if (!record) {
+    return verdict;
+  }
+
+  const spfAligned = Boolean(spf && spf.result === 'pass' && isAligned(spf.domain, domain, record.aspf));
+  const dkimAligned = Boolean(dkim && dkim.signatures.some(signature =>
+    signature.result === 'pass' && isAligned(signature.domain, domain, record.adkim)));
+  const policy = policyDomain === domain ? record.p : record.sp;
+  const evaluated = { ...verdict, policyDomain, policy, spfAligned, dkimAligned, record };
+
+  if (spfAligned || dkimAligned) {
+    return { ...evaluated, result: 'pass' };
+  }
+
+  // Outside the pct= sample the next less strict policy applies (RFC 7489 section 6.6.4)
+  let disposition = policy;
+  if (record.pct < 100 && Math.random() * 100 >= record.pct) {
+    disposition = POLICIES[Math.max(POLICIES.indexOf(policy) - 1, 0)];
+  }
+  return { ...evaluated, result: 'fail', disposition, reason: 'No aligned SPF or DKIM identity' };
+}
+
+/**
+ * Record the DMARC verdict of a received message for aggregate reports
+ * Messages whose author domain publishes no policy are not recorded
+ * @param {Object} dmarc - Verdict of checkDmarc
+ * @param {Object} details - { spf, dkim, sourceIp, envelopeFrom, messageId }
+ * @returns {Promise<DmarcResult|null>}
+ */
+async function recordDmarcResult(dmarc, details) {
+  if (!dmarc.policyDomain) {
+    return null;
+  }
+
+  const { spf, dkim } = details;
+  return DmarcResult.create({
+    policyDomain: dmarc.policyDomain,
+    headerFrom: dmarc.domain,
+    envelopeFrom: details.envelopeFrom || null,
+    sourceIp: spf ? spf.clientIp : details.sourceIp || null,
+    messageId: details.messageId || null,
+    result: dmarc.result,
+    policy: dmarc.policy,
+    disposition: dmarc.disposition,
+    published: dmarc.record,
+    spfResult: spf ? spf.result : null,
+    spfDomain: spf ? spf.domain : null,
+    spfAligned: dmarc.spfAligned,
+    dkimAligned: dmarc.dkimAligned,
+    dkimSignatures: dkim
+      ? dkim.signatures.map(({ result, domain, selector }) => ({ result, domain, selector }))
+      : []
+  });
+}
+
+/**
+ * Make a comment safe to put in parentheses
+ * @param {string} text - Comment text
+ * @returns {string}
+ */
+function comment(text) {
+  return String(text).replace(/[()\\\r\n]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Build the Authentication-Results header of a received message (RFC 8601)
+ * @param {string} receiver - Host name of this server (authserv-id)
+ * @param {Object} results - { spf, dkim, dmarc } verdicts, null for methods that were not checked
+ * @returns {string} Header line ending in CRLF
+ */
+function authenticationResultsHeader(receiver, { spf, dkim, dmarc }) {
+  const results = [];
+
+  if (spf) {
+    results.push(spf.identity === 'helo'
+      ? `spf=${spf.result} smtp.helo=${spf.helo || spf.domain}`
+      : `spf=${spf.result} smtp.mailfrom=${spf.sender}`);
+  }
+
+  if (dkim) {
+    if (dkim.signatures.length === 0) {
+      results.push('dkim=none');
+    }
+    for (const signature of dkim.signatures) {
+      results.push([
+        `dkim=${signature.result}`,
+        ...(signature.reason ? [`(${comment(signature.reason)})`] : []),
+        ...(signature.domain ? [`header.d=${signature.domain}`] : []),
+        ...(signature.selector ? [`header.s=${signature.selector}`] : []),
+        ...(signature.algorithm ? [`header.a=${signature.algorithm}`] : [])
+      ].join(' '));
+    }
+  }
+
+  if (dmarc) {
+    results.push([
+      `dmarc=${dmarc.result}`,
+      ...(dmarc.policy ? [`(p=${dmarc.policy} dis=${dmarc.disposition})`] : []),
+      ...(dmarc.domain ? [`header.from=${dmarc.domain}`] : [])
+    ].join(' '));
+  }
+
+  return results.length > 0
+    ? `Authentication-Results: ${receiver};\r\n\t${results.join(';\r\n\t')}\r\n`
+    : `Authentication-Results: ${receiver}; none\r\n`;
+}
+
+module.exports = {
+  POLICIES,
+  configureDmarc,
+  organizationalDomain,
+  checkDmarc,
+  recordDmarcResult,
+  authenticationResultsHeader
+};
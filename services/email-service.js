@@ -1,85 +1,785 @@
 // Email sending service - Sequelize Version
+// Queues outbound mail and delivers it to the recipient domain's MX hosts or through a smarthost
+const dns = require('dns');
+const net = require('net');
 const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { simpleParser } = require('mailparser');
+const { sequelize } = require('../config/database');
+
+// Import models
+const Message = require('../models/message-model');
+const MessageBody = require('../models/message-body-model');
+const EmailConfig = require('../models/email-config-model');
 const DomainConfig = require('../models/domain-config-model');
+const QueueItem = require('../models/queue-item-model');
+const Suppression = require('../models/suppression-model');
+
+// Import services
+const {
+  verpAddress,
+  resolveRecipient,
+  headersToJSON,
+  storeAttachments,
+  storeRaw,
+  rawKey,
+  releaseBlobs,
+  deliverInbound
+} = require('./delivery-service');
+const { notifySender, suppressHardBounces } = require('./bounce-service');
+const { getBlobStore } = require('./blob-service');
+
+// DNS resolver and SMTP port used for MX delivery (replaceable for tests)
+let resolver = dns.promises;
+let mxPort = 25;
+
+/**
+ * Replace the DNS resolver or remote port used for MX delivery
+ * @param {Object} options - { resolver, port }
+ */
+function configureDelivery(options = {}) {
+  if (options.resolver) resolver = options.resolver;
+  if (options.port) mxPort = options.port;
+}
+
+// Helper function to build an error that must not be retried
+function permanentError(message, responseCode = 550) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  error.permanent = true;
+  return error;
+}
 
-// Nodemailer transporter
-let transporter = null;
+// Helper function to resolve host addresses, ignoring missing record types
+async function resolveAddresses(hostname) {
+  if (net.isIP(hostname)) {
+    return [hostname];
+  }
+
+  const lookups = await Promise.all([
+    resolver.resolve4(hostname).catch(() => []),
+    resolver.resolve6(hostname).catch(() => [])
+  ]);
+  return [].concat(...lookups);
+}
 
-async function setupTransporter(fromDomain) {
+/**
+ * Find the hosts accepting mail for a domain, in the order they should be tried
+ * Falls back to the domain's own A/AAAA records when it has no MX (RFC 5321 5.1)
+ * @param {string} domain - Recipient domain
+ * @returns {Promise<Array<Object>>} Hosts as { exchange, priority, addresses }
+ * @throws {Error} Permanent error when the domain cannot receive mail
+ */
+async function resolveMxHosts(domain) {
+  let records;
   try {
-    // Default config for local development
-    const transporterConfig = {
-      host: 'localhost',
-      port: 2525,
-      secure: false,
-      tls: {
-        rejectUnauthorized: false
-      }
+    records = await resolver.resolveMx(domain);
+  } catch (error) {
+    if (error.code === dns.NOTFOUND) {
+      throw permanentError(`Domain ${domain} does not exist`, 550);
+    }
+    if (error.code !== dns.NODATA) {
+      throw error;
+    }
+    records = [];
+  }
+
+  // Null MX - the domain does not accept mail (RFC 7505)
+  if (records.length === 1 && ['', '.'].includes(records[0].exchange)) {
+    throw permanentError(`Domain ${domain} does not accept mail`, 556);
+  }
+
+  if (records.length === 0) {
+    records = [{ exchange: domain, priority: 0 }];
+  }
+
+  // Lowest preference first, hosts with equal preference in random order
+  const ordered = records
+    .map(record => ({ ...record, weight: Math.random() }))
+    .sort((a, b) => a.priority - b.priority || a.weight - b.weight);
+
+  const hosts = [];
+  for (const record of ordered) {
+    const addresses = await resolveAddresses(record.exchange);
+    if (addresses.length > 0) {
+      hosts.push({ exchange: record.exchange, priority: record.priority, addresses });
+    }
+  }
+
+  if (hosts.length === 0) {
+    throw new Error(`No addresses found for the mail hosts of ${domain}`);
+  }
+
+  return hosts;
+}
+
+/**
+ * Get DKIM signing options for a sender domain
+ * @param {Object} config - Email server configuration
+ * @param {DomainConfig|null} domainCfg - Sender domain configuration
+ * @returns {Object|undefined} Nodemailer DKIM options
+ */
+function getDkimOptions(config, domainCfg) {
+  if (!config.security.useDKIM || !domainCfg || !domainCfg.active || !domainCfg.dkimPrivateKey) {
+    return undefined;
+  }
+
+  return {
+    domainName: domainCfg.domainName,
+    keySelector: domainCfg.dkimSelector,
+    privateKey: domainCfg.dkimPrivateKey
+  };
+}
+
+/**
+ * Get the smarthost to send through, if any
+ * A relay configured on the sender domain takes precedence over the global one
+ * @param {Object} config - Email server configuration
+ * @param {DomainConfig|null} domainCfg - Sender domain configuration
+ * @returns {Object|null} { host, port, secure, auth, rejectUnauthorized } or null for direct delivery
+ */
+function getRelayOptions(config, domainCfg) {
+  const outbound = config.outbound;
+  let relay = null;
+
+  if (domainCfg && domainCfg.relayHost) {
+    relay = {
+      host: domainCfg.relayHost,
+      port: domainCfg.relayPort || outbound.relayPort,
+      secure: domainCfg.relaySecure,
+      username: domainCfg.relayUsername,
+      password: domainCfg.relayPassword
+    };
+  } else if (outbound.useRelay && outbound.relayHost) {
+    relay = {
+      host: outbound.relayHost,
+      port: outbound.relayPort,
+      secure: outbound.relaySecure,
+      username: outbound.relayUsername,
+      password: outbound.relayPassword
     };
+  }
+
+  if (!relay) {
+    return null;
+  }
+
+  return {
+    host: relay.host,
+    port: relay.port,
+    secure: Boolean(relay.secure),
+    auth: relay.username ? { user: relay.username, pass: relay.password } : undefined,
+    rejectUnauthorized: outbound.relayRejectUnauthorized !== false
+  };
+}
+
+// Helper function to describe a single delivery attempt
+function attemptRecord(host, ip, status, details = {}) {
+  return {
+    at: new Date().toISOString(),
+    host,
+    ip,
+    status,
+    responseCode: details.responseCode || null,
+    response: details.response || null
+  };
+}
+
+// Helper function to tell permanent failures from ones worth retrying
+function isPermanent(error) {
+  // A rejected relay login is a configuration problem, not a bad message
+  return error.responseCode >= 500 && error.code !== 'EAUTH';
+}
+
+/**
+ * Deliver a message to a list of hosts, trying them in order until one
+ * accepts or permanently rejects the message
+ * @param {Array<Object>} hosts - Hosts as { exchange, addresses }
+ * @param {Object} envelope - { from, to }
+ * @param {string|Buffer} raw - Raw RFC 822 message
+ * @param {Object} transportOptions - Nodemailer SMTP options shared by every attempt
+ * @returns {Promise<Object>} Results by recipient as { status, responseCode, response, attempts }
+ */
+async function deliverToHosts(hosts, envelope, raw, transportOptions) {
+  const results = {};
+  const attempts = [];
+  let pending = [...envelope.to];
 
-    // Add domain-specific configuration if available
-    if (fromDomain) {
-      // Check if we have configuration for this domain
-      const domainCfg = await DomainConfig.findOne({
-        where: { domainName: fromDomain, active: true }
+  const finish = (recipients, status, details = {}) => {
+    for (const recipient of recipients) {
+      results[recipient] = {
+        status,
+        responseCode: details.responseCode || null,
+        response: details.response || null,
+        attempts
+      };
+    }
+  };
+
+  let lastError = null;
+  for (const host of hosts) {
+    for (const ip of host.addresses) {
+      if (pending.length === 0) {
+        return results;
+      }
+
+      const transport = nodemailer.createTransport({
+        ...transportOptions,
+        host: ip,
+        tls: {
+          ...transportOptions.tls,
+          servername: net.isIP(host.exchange) ? undefined : host.exchange
+        }
       });
 
-      // Add DKIM signing if we have configuration
-      if (domainCfg) {
-        transporterConfig.dkim = {
-          domainName: domainCfg.domainName,
-          keySelector: domainCfg.dkimSelector,
-          privateKey: domainCfg.dkimPrivateKey
+      try {
+        const info = await transport.sendMail({
+          envelope: { from: envelope.from, to: pending },
+          raw
+        });
+
+        attempts.push(attemptRecord(host.exchange, ip, 'sent', { response: info.response }));
+        finish(info.accepted, 'sent', { response: info.response });
+
+        // Recipients refused individually keep their own response
+        for (const recipient of info.rejected || []) {
+          const rejection = (info.rejectedErrors || []).find(err => err.recipient === recipient) || {};
+          finish([recipient], rejection.responseCode >= 500 ? 'failed' : 'deferred', rejection);
+        }
+        pending = [];
+      } catch (error) {
+        const permanent = isPermanent(error);
+        const details = {
+          responseCode: error.responseCode,
+          response: error.response || error.message
         };
+        attempts.push(attemptRecord(host.exchange, ip, permanent ? 'failed' : 'deferred', details));
+
+        if (permanent) {
+          finish(pending, 'failed', details);
+          pending = [];
+        }
+        lastError = error;
+      } finally {
+        transport.close();
       }
     }
+  }
 
-    // For production use, you'd configure real SMTP settings:
-    // const transporterConfig = {
-    //     host: process.env.SMTP_HOST,
-    //     port: process.env.SMTP_PORT,
-    //     secure: process.env.SMTP_SECURE === 'true',
-    //     auth: {
-    //         user: process.env.SMTP_USER,
-    //         pass: process.env.SMTP_PASS
-    //     }
-    // };
-
-    transporter = nodemailer.createTransport(transporterConfig);
-    return transporter;
-  } catch (error) {
-    console.error('Error setting up transporter:', error);
-    throw error;
+  // Every host was unreachable or only answered with temporary errors
+  if (pending.length > 0) {
+    finish(pending, 'deferred', {
+      responseCode: lastError && lastError.responseCode,
+      response: lastError && (lastError.response || lastError.message)
+    });
   }
+
+  return results;
 }
 
 /**
- * Get current transporter or create a new one
- * @param {string} fromDomain - Domain for sending email
- * @returns {Promise<Object>} Nodemailer transporter
+ * Deliver a message to the recipients of one domain via its MX hosts
+ * @param {string} domain - Recipient domain
+ * @param {Object} envelope - { from, to } where every recipient is at domain
+ * @param {string|Buffer} raw - Raw RFC 822 message
+ * @param {Object} options - { dkim, hostname }
+ * @returns {Promise<Object>} Results by recipient
  */
-async function getTransporter(fromDomain) {
+async function deliverToDomain(domain, envelope, raw, options = {}) {
+  let hosts;
   try {
-    if (!transporter || fromDomain) {
-      return await setupTransporter(fromDomain);
+    hosts = await resolveMxHosts(domain);
+  } catch (error) {
+    const status = error.permanent ? 'failed' : 'deferred';
+    const details = { responseCode: error.responseCode, response: error.message };
+    const attempts = [attemptRecord(null, null, status, details)];
+
+    const results = {};
+    for (const recipient of envelope.to) {
+      results[recipient] = { status, responseCode: details.responseCode || null, response: error.message, attempts };
+    }
+    return results;
+  }
+
+  return deliverToHosts(hosts, envelope, raw, {
+    port: mxPort,
+    secure: false,
+    name: options.hostname,
+    // Use STARTTLS when offered, most MX hosts have certificates we cannot verify
+    tls: { rejectUnauthorized: false },
+    connectionTimeout: 30 * 1000,
+    dkim: options.dkim
+  });
+}
+
+/**
+ * Deliver a message to remote recipients, either through the configured
+ * smarthost or directly with one MX lookup per recipient domain
+ * @param {Object} envelope - SMTP envelope ({ from, to })
+ * @param {string|Buffer} raw - Raw RFC 822 message
+ * @returns {Promise<Object>} Results by recipient as { status, responseCode, response, attempts }
+ */
+async function deliverRemote(envelope, raw) {
+  const config = await EmailConfig.getConfig();
+  const fromDomain = (envelope.from || '').split('@')[1];
+  const domainCfg = fromDomain
+    ? await DomainConfig.findOne({ where: { domainName: fromDomain } })
+    : null;
+  const dkim = getDkimOptions(config, domainCfg);
+
+  // Smarthost relaying: a single transaction for every recipient
+  const relay = getRelayOptions(config, domainCfg);
+  if (relay) {
+    return deliverToHosts([{ exchange: relay.host, addresses: [relay.host] }], envelope, raw, {
+      port: relay.port,
+      secure: relay.secure,
+      requireTLS: !relay.secure,
+      auth: relay.auth,
+      name: config.inbound.hostname,
+      tls: { rejectUnauthorized: relay.rejectUnauthorized },
+      connectionTimeout: 30 * 1000,
+      dkim
+    });
+  }
+
+  // Group recipients by domain so each MX host gets a single transaction
+  const byDomain = new Map();
+  for (const recipient of envelope.to) {
+    const domain = recipient.split('@')[1].toLowerCase();
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(recipient);
+  }
+
+  const results = {};
+  for (const [domain, recipients] of byDomain) {
+    const domainResults = await deliverToDomain(domain, { from: envelope.from, to: recipients }, raw, {
+      dkim,
+      hostname: config.inbound.hostname
+    });
+    Object.assign(results, domainResults);
+  }
+
+  return results;
+}
+
+/**
+ * Send a message submitted by an authenticated user: queue remote recipients
+ * for delivery and keep a sent copy of every recipient for the sender
+ * Local recipients are expected to have been delivered already
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {Object} envelope - SMTP envelope ({ mailFrom, rcptTo })
+ * @param {Object} options - { raw, source } raw source (or { rawChecksum, rawSize } when it is already
+ *   in the blob store), queued mail is relayed from the blob store
+ * @returns {Promise<Array<Message>>} Sent copies stored for the sender
+ */
+async function submitMessage(parsedMail, envelope, options = {}) {
+  const envelopeFrom = envelope.mailFrom.address;
+
+  const recipients = [];
+  const remoteByDomain = new Map();
+  for (const rcpt of envelope.rcptTo) {
+    const target = await resolveRecipient(rcpt.address);
+    if (target.reject) {
+      continue;
+    }
+    recipients.push(rcpt.address);
+    if (!target.local) {
+      const domain = rcpt.address.split('@')[1].toLowerCase();
+      if (!remoteByDomain.has(domain)) remoteByDomain.set(domain, []);
+      remoteByDomain.get(domain).push(rcpt.address);
+    }
+  }
+
+  if (recipients.length === 0) {
+    return [];
+  }
+
+  const config = await EmailConfig.getConfig();
+  const expiresAt = new Date(Date.now() + config.queue.lifetime * 1000);
+  const attachments = await storeAttachments(parsedMail.attachments);
+  const source = options.source || await storeRaw(options.raw);
+
+  const messages = await sequelize.transaction(async (transaction) => {
+    // One queue item per recipient domain
+    const queueItems = new Map();
+    for (const [domain, domainRecipients] of remoteByDomain) {
+      const item = await QueueItem.create({
+        messageId: parsedMail.messageId,
+        envelopeFrom,
+        domain,
+        recipients: domainRecipients,
+        ...source,
+        expiresAt
+      }, { transaction });
+      for (const recipient of domainRecipients) {
+        queueItems.set(recipient, item);
+      }
+    }
+
+    // Keep a sent copy per recipient for the sender
+    const body = await MessageBody.store(parsedMail.text, parsedMail.html, { transaction, attachments });
+    const copies = [];
+    for (const recipient of recipients) {
+      const item = queueItems.get(recipient);
+      copies.push(await Message.create({
+        messageId: parsedMail.messageId,
+        fromEmail: envelopeFrom,
+        toEmail: recipient,
+        envelopeFrom,
+        envelopeTo: recipient,
+        subject: parsedMail.subject || '',
+        bodyId: body.id,
+        sent: true,
+        read: true,
+        status: item ? 'queued' : 'sent',
+        headers: headersToJSON(parsedMail.headers),
+        hasAttachments: parsedMail.attachments && parsedMail.attachments.length > 0,
+        queueItemId: item ? item.id : null,
+        ...source
+      }, { transaction }));
     }
-    return transporter;
+    return copies;
+  });
+
+  if (remoteByDomain.size > 0) {
+    wakeQueue();
+  }
+
+  return messages;
+}
+
+// Queue worker state
+let queueTimer = null;
+let queueRunning = false;
+let queueRerun = false;
+
+// Helper function to get the wait before the next attempt, doubling each time
+function retryDelay(queueConfig, attempts) {
+  const delay = queueConfig.retryDelay * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, queueConfig.maxRetryDelay) * 1000;
+}
+
+/**
+ * Record the outcome of a queue run on the sent copies of the given recipients
+ * @param {QueueItem} item - Queue item
+ * @param {Array<string>} recipients - Recipients the outcome applies to
+ * @param {Object} outcome - { status, diagnosticCode } (no status keeps the copies queued)
+ * @param {Array<Object>} attempts - Delivery attempts to append
+ * @returns {Promise<Array<Message>>} Updated sent copies
+ */
+async function recordOutcome(item, recipients, outcome, attempts) {
+  const messages = await Message.findAll({
+    where: { queueItemId: item.id, envelopeTo: recipients }
+  });
+
+  for (const message of messages) {
+    await message.update({
+      deliveryAttempts: [...(message.deliveryAttempts || []), ...attempts],
+      ...(outcome.status ? { status: outcome.status } : {}),
+      ...(outcome.diagnosticCode ? { diagnosticCode: outcome.diagnosticCode.slice(0, 1000) } : {})
+    });
+  }
+
+  return messages;
+}
+
+// Helper function to get the host that gave the last answer
+function lastRemoteMta(attempts) {
+  const answered = attempts.filter(attempt => attempt.host);
+  return answered.length > 0 ? answered[answered.length - 1].host : null;
+}
+
+/**
+ * Tell the sender about recipients that failed or are delayed
+ * @param {QueueItem} item - Queue item
+ * @param {Array<Object>} recipients - DSN recipients ({ recipient, action, status, response, remoteMta })
+ * @param {Array<Message>} copies - Sent copies of those recipients
+ * @returns {Promise<void>}
+ */
+async function notifyQueueSender(item, recipients, copies) {
+  if (recipients.length === 0) {
+    return;
+  }
+
+  try {
+    await notifySender({
+      sender: item.envelopeFrom,
+      recipients,
+      raw: await getBlobStore().get(rawKey(item)),
+      subject: copies[0] ? copies[0].subject : '',
+      arrivalDate: item.createdAt,
+      willRetryUntil: item.expiresAt,
+      bouncedMessageId: copies[0] ? copies[0].id : null
+    });
   } catch (error) {
-    console.error('Error getting transporter:', error);
-    throw error;
+    console.error(`Error notifying ${item.envelopeFrom} about queued mail ${item.id}:`, error.message);
   }
 }
 
 /**
- * Send an email
+ * Give up on the remaining recipients of a queue item and remove it
+ * @param {QueueItem} item - Queue item
+ * @param {string} reason - Why delivery was abandoned
+ * @param {string} status - RFC 3463 status code reported to the sender
+ * @returns {Promise<void>}
+ */
+async function failQueueItem(item, reason, status) {
+  const attempt = {
+    at: new Date().toISOString(),
+    host: null,
+    ip: null,
+    status: 'failed',
+    responseCode: null,
+    response: reason
+  };
+
+  const copies = await recordOutcome(item, item.recipients, { status: 'failed', diagnosticCode: reason }, [attempt]);
+  await item.destroy();
+  console.log(`Gave up on queued mail ${item.id} to ${item.recipients.join(', ')}: ${reason}`);
+
+  await notifyQueueSender(item, item.recipients.map(recipient => ({
+    recipient,
+    action: 'failed',
+    status,
+    response: item.lastError ? `${reason} (last error: ${item.lastError})` : reason
+  })), copies);
+  await releaseBlobs([item.rawChecksum]);
+}
+
+/**
+ * Try to deliver one queue item, rescheduling recipients that were deferred
+ * @param {QueueItem} item - Queue item
+ * @param {Object} config - Email server configuration
+ * @returns {Promise<boolean>} Whether some recipients were deferred
+ */
+async function deliverQueueItem(item, config) {
+  if (item.expiresAt <= new Date()) {
+    await failQueueItem(item, `Message expired after ${item.attempts} delivery attempt(s)`, '4.4.7');
+    return false;
+  }
+
+  // Recipients suppressed since the mail was queued are skipped
+  const senderDomain = (item.envelopeFrom || '').split('@')[1];
+  const suppressed = await Suppression.findSuppressed(senderDomain, item.recipients);
+  if (suppressed.length > 0) {
+    for (const entry of suppressed) {
+      await recordOutcome(item, [entry.address], {
+        status: 'failed',
+        diagnosticCode: `Recipient is on the suppression list (${entry.reason})`
+      }, []);
+    }
+    const skipped = suppressed.map(entry => entry.address);
+    const remaining = item.recipients.filter(recipient => !skipped.includes(recipient.toLowerCase()));
+    if (remaining.length === 0) {
+      await item.destroy();
+      await releaseBlobs([item.rawChecksum]);
+      return false;
+    }
+    await item.update({ recipients: remaining });
+  }
+
+  // Bounces come back to a VERP address naming this queue item
+  // The source is relayed byte for byte from the blob store
+  const results = await deliverRemote({
+    from: verpAddress(item.envelopeFrom, item.id),
+    to: item.recipients
+  }, await getBlobStore().get(rawKey(item)));
+
+  const pending = [];
+  const failures = [];
+  const failedCopies = [];
+  let lastError = null;
+  for (const recipient of item.recipients) {
+    const result = results[recipient];
+    console.log(`Delivery from ${item.envelopeFrom} to ${recipient}: ${result.status}`, result.response || '');
+
+    if (result.status === 'deferred') {
+      pending.push(recipient);
+      lastError = result.response;
+      await recordOutcome(item, [recipient], {}, result.attempts);
+    } else if (result.status === 'sent') {
+      await recordOutcome(item, [recipient], { status: 'sent' }, result.attempts);
+    } else {
+      failedCopies.push(...await recordOutcome(item, [recipient], {
+        status: 'failed',
+        diagnosticCode: result.response
+      }, result.attempts));
+      failures.push({
+        recipient,
+        action: 'failed',
+        responseCode: result.responseCode,
+        response: result.response,
+        remoteMta: lastRemoteMta(result.attempts)
+      });
+    }
+  }
+
+  await notifyQueueSender(item, failures, failedCopies);
+  await suppressHardBounces(item.envelopeFrom, failures, failedCopies);
+
+  if (pending.length === 0) {
+    await item.destroy();
+    await releaseBlobs([item.rawChecksum]);
+    return false;
+  }
+
+  // Back off the whole recipient domain, not just this message
+  const attempts = item.attempts + 1;
+  const nextAttemptAt = new Date(Date.now() + retryDelay(config.queue, attempts));
+  await item.update({ recipients: pending, attempts, lastError, nextAttemptAt });
+  await QueueItem.deferDomain(item.domain, nextAttemptAt);
+
+  // Warn the sender once for each delay threshold that has passed
+  const age = (Date.now() - new Date(item.createdAt).getTime()) / 1000;
+  const passed = config.bounces.delayWarnings.filter(threshold => age >= threshold).length;
+  if (passed > item.delayNotices) {
+    await item.update({ delayNotices: passed });
+    const delayedCopies = await Message.findAll({
+      where: { queueItemId: item.id, envelopeTo: pending }
+    });
+    await notifyQueueSender(item, pending.map(recipient => ({
+      recipient,
+      action: 'delayed',
+      response: results[recipient].response,
+      responseCode: results[recipient].responseCode,
+      remoteMta: lastRemoteMta(results[recipient].attempts)
+    })), delayedCopies);
+  }
+
+  return true;
+}
+
+/**
+ * Deliver queue items that are due
+ * @returns {Promise<number>} Number of items processed
+ */
+async function processQueue() {
+  if (queueRunning) {
+    queueRerun = true;
+    return 0;
+  }
+
+  queueRunning = true;
+  let processed = 0;
+  try {
+    const config = await EmailConfig.getConfig();
+    const deferredDomains = new Set();
+
+    const items = await QueueItem.getDueItems(config.queue.batchSize);
+    for (const item of items) {
+      // Skip the rest of a domain once it has been deferred in this run
+      if (deferredDomains.has(item.domain)) {
+        continue;
+      }
+
+      try {
+        const deferred = await deliverQueueItem(item, config);
+        if (deferred) {
+          deferredDomains.add(item.domain);
+        }
+      } catch (error) {
+        console.error(`Error delivering queued mail ${item.id}:`, error.message);
+      }
+      processed++;
+    }
+  } finally {
+    queueRunning = false;
+  }
+
+  if (queueRerun) {
+    queueRerun = false;
+    wakeQueue();
+  }
+
+  return processed;
+}
+
+/**
+ * Run the queue as soon as possible
+ */
+function wakeQueue() {
+  setImmediate(() => {
+    processQueue().catch(error => {
+      console.error('Error processing outbound queue:', error.message);
+    });
+  });
+}
+
+/**
+ * Start the background queue worker
+ * @returns {Promise<void>}
+ */
+async function startQueueWorker() {
+  stopQueueWorker();
+
+  const config = await EmailConfig.getConfig();
+  const interval = config.queue.workerInterval * 1000;
+
+  queueTimer = setInterval(() => {
+    processQueue().catch(error => {
+      console.error('Error processing outbound queue:', error.message);
+    });
+  }, interval);
+  queueTimer.unref();
+
+  wakeQueue();
+}
+
+/**
+ * Stop the background queue worker
+ */
+function stopQueueWorker() {
+  if (queueTimer) {
+    clearInterval(queueTimer);
+    queueTimer = null;
+  }
+}
+
+/**
+ * Release a queue item and try it again right away
+ * @param {QueueItem} item - Queue item
+ * @returns {Promise<QueueItem>}
+ */
+async function retryQueueItem(item) {
+  await item.update({
+    status: QueueItem.QUEUE_STATUS.QUEUED,
+    nextAttemptAt: new Date()
+  });
+  wakeQueue();
+  return item;
+}
+
+/**
+ * Remove a queue item, marking its remaining recipients as failed
+ * @param {QueueItem} item - Queue item
+ * @returns {Promise<void>}
+ */
+async function deleteQueueItem(item) {
+  return failQueueItem(item, 'Removed from the queue by an administrator', '5.0.0');
+}
+
+/**
+ * Compose and send an email
  * @param {Object} mailOptions - Nodemailer mail options
- * @returns {Promise<Object>} Mail send result
+ * @returns {Promise<Object>} { messageId, envelope, messages }
  */
 async function sendEmail(mailOptions) {
   try {
-    const fromDomain = mailOptions.from.address.split('@')[1];
-    const emailTransporter = await getTransporter(fromDomain);
-    return await emailTransporter.sendMail(mailOptions);
+    const mail = new MailComposer(mailOptions).compile();
+    const envelope = mail.getEnvelope();
+    const raw = await mail.build();
+    const parsedMail = await simpleParser(raw);
+
+    // Same envelope shape as smtp-server sessions
+    const smtpEnvelope = {
+      mailFrom: { address: envelope.from },
+      rcptTo: envelope.to.map(address => ({ address }))
+    };
+
+    await deliverInbound(parsedMail, smtpEnvelope, { raw });
+    const messages = await submitMessage(parsedMail, smtpEnvelope, { raw });
+
+    return { messageId: mail.messageId(), envelope, messages };
   } catch (error) {
     console.error('Error sending email:', error);
     throw error;
@@ -87,7 +787,14 @@ async function sendEmail(mailOptions) {
 }
 
 module.exports = {
-  setupTransporter,
-  getTransporter,
-  sendEmail
-};
\ No newline at end of file
+  configureDelivery,
+  resolveMxHosts,
+  deliverRemote,
+  submitMessage,
+  sendEmail,
+  processQueue,
+  startQueueWorker,
+  stopQueueWorker,
+  retryQueueItem,
+  deleteQueueItem
+};
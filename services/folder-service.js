@@ -0,0 +1,403 @@
+// Folder service - places messages in folders and keeps their IMAP state (UIDs and flags)
+const { Op } = require('sequelize');
+const { simpleParser } = require('mailparser');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { sequelize } = require('../config/database');
+
+// Import models
+const Message = require('../models/message-model');
+const MessageBody = require('../models/message-body-model');
+const Folder = require('../models/folder-model');
+
+// Import services
+const { getBlobStore } = require('./blob-service');
+const { headersToJSON, storeAttachments, storeRaw, rawKey, releaseMessages } = require('./delivery-service');
+
+// Flags kept on the message itself rather than in its flag list
+const SEEN = '\\Seen';
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Where condition for messages that belong in a system folder but have not been placed yet
+ * @param {Folder} folder - Folder
+ * @returns {Object|null} Sequelize where, null for folders that only hold placed messages
+ */
+function unplacedCondition(folder) {
+  switch (folder.specialUse) {
+    case Folder.SPECIAL_USE.INBOX:
+      return { folderId: null, toEmail: folder.emailAddress, sent: false, quarantined: false };
+    case Folder.SPECIAL_USE.JUNK:
+      return { folderId: null, toEmail: folder.emailAddress, sent: false, quarantined: true };
+    case Folder.SPECIAL_USE.SENT:
+      return { folderId: null, fromEmail: folder.emailAddress, sent: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Give new INBOX, Sent and Spam messages a UID, in arrival order
+ * @param {Folder} folder - Folder to bring up to date
+ * @returns {Promise<number>} Number of messages placed
+ */
+async function syncFolder(folder) {
+  const where = unplacedCondition(folder);
+  if (!where) {
+    return 0;
+  }
+
+  // Cheap check first, the common case is that nothing arrived
+  const pending = await Message.count({ where });
+  if (pending === 0) {
+    return 0;
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await Folder.findByPk(folder.id, { transaction, lock: transaction.LOCK.UPDATE });
+    const messages = await Message.findAll({
+      where,
+      attributes: ['id'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    let uid = locked.uidNext;
+    for (const message of messages) {
+      await Message.update({ folderId: folder.id, uid }, {
+        where: { id: message.id, folderId: null },
+        transaction
+      });
+      uid++;
+    }
+
+    await locked.update({ uidNext: uid }, { transaction });
+    folder.uidNext = uid;
+    return messages.length;
+  });
+}
+
+/**
+ * List the folders of a mailbox with message counts, system folders are created when missing
+ * @param {string} address - Mailbox address
+ * @returns {Promise<Array<Object>>} Folders with total and unread counts
+ */
+async function listFolders(address) {
+  await Folder.ensureSystemFolders(address);
+  const folders = await Folder.getFolders(address);
+  for (const folder of folders) {
+    await syncFolder(folder);
+  }
+
+  const counts = await Message.findAll({
+    attributes: [
+      'folderId',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+      [sequelize.fn('SUM', sequelize.literal('CASE WHEN `read` = 0 THEN 1 ELSE 0 END')), 'unread']
+    ],
+    where: { folderId: { [Op.in]: folders.map(folder => folder.id) } },
+    group: ['folderId'],
+    raw: true
+  });
+
+  return folders.map(folder => {
+    const count = counts.find(entry => entry.folderId === folder.id);
+    return {
+      ...folder.toJSON(),
+      total: count ? Number(count.total) : 0,
+      unread: count ? Number(count.unread) : 0
+    };
+  });
+}
+
+/**
+ * List the messages of a folder in UID order
+ * @param {Folder} folder - Folder
+ * @param {Object} [options] - { attributes, withBody }
+ * @returns {Promise<Array<Message>>}
+ */
+async function getFolderMessages(folder, options = {}) {
+  return Message.findAll({
+    where: { folderId: folder.id },
+    attributes: options.attributes,
+    include: options.withBody ? [{
+      model: MessageBody,
+      as: 'body',
+      attributes: ['textContent', 'htmlContent'],
+      required: false
+    }] : [],
+    order: [['uid', 'ASC']]
+  });
+}
+
+/**
+ * Get the IMAP flags of a message
+ * @param {Message} message - Stored message
+ * @returns {Array<string>}
+ */
+function getFlags(message) {
+  return [...(message.read ? [SEEN] : []), ...(message.flags || [])];
+}
+
+/**
+ * Replace the IMAP flags of a message, \Seen is stored as read
+ * @param {Message} message - Stored message
+ * @param {Array<string>} flags - New flags
+ * @returns {Promise<Message>}
+ */
+async function setFlags(message, flags) {
+  const unique = [...new Set(flags)];
+  const seen = unique.some(flag => flag.toLowerCase() === SEEN.toLowerCase());
+
+  return message.update({
+    read: seen,
+    flags: unique.filter(flag => flag.toLowerCase() !== SEEN.toLowerCase() && flag.toLowerCase() !== '\\recent')
+  });
+}
+
+/**
+ * Get the raw RFC 822 source of a message
+ * Messages stored before raw sources were kept are rebuilt from their parsed fields
+ * @param {Message} message - Stored message
+ * @returns {Promise<Buffer>}
+ */
+async function getRawMessage(message) {
+  const key = rawKey(message);
+  if (key) {
+    return getBlobStore().get(key);
+  }
+
+  const body = message.body || await MessageBody.findByPk(message.bodyId);
+  const mail = new MailComposer({
+    from: message.fromEmail,
+    to: message.toEmail,
+    subject: message.subject || '',
+    messageId: message.messageId || undefined,
+    date: message.createdAt,
+    text: body ? body.textContent : message.textContent,
+    html: body && body.htmlContent ? body.htmlContent : message.htmlContent || undefined
+  }).compile();
+  return mail.build();
+}
+
+/**
+ * Store a message supplied by a client (IMAP APPEND) in a folder
+ * @param {Folder} folder - Target folder
+ * @param {Buffer} raw - Raw RFC 822 message
+ * @param {Object} [options] - { flags, internalDate }
+ * @returns {Promise<Message>}
+ */
+async function appendMessage(folder, raw, options = {}) {
+  const parsedMail = await simpleParser(raw);
+  const attachments = await storeAttachments(parsedMail.attachments);
+  const source = await storeRaw(raw);
+
+  const headerFrom = parsedMail.from && parsedMail.from.value[0] ? parsedMail.from.value[0].address : null;
+  const sent = folder.specialUse === Folder.SPECIAL_USE.SENT;
+  const flags = options.flags || [];
+
+  return sequelize.transaction(async (transaction) => {
+    const body = await MessageBody.store(parsedMail.text, parsedMail.html, { transaction, attachments });
+    const uid = await Folder.allocateUids(folder.id, 1, transaction);
+
+    return Message.create({
+      messageId: parsedMail.messageId,
+      fromEmail: headerFrom || folder.emailAddress,
+      toEmail: folder.emailAddress,
+      subject: parsedMail.subject || '',
+      bodyId: body.id,
+      sent,
+      read: flags.some(flag => flag.toLowerCase() === SEEN.toLowerCase()),
+      flags: flags.filter(flag => flag.toLowerCase() !== SEEN.toLowerCase()),
+      status: sent ? 'sent' : 'received',
+      headers: headersToJSON(parsedMail.headers),
+      hasAttachments: parsedMail.attachments && parsedMail.attachments.length > 0,
+      folderId: folder.id,
+      uid,
+      ...source,
+      ...(options.internalDate ? { createdAt: options.internalDate } : {})
+    }, { transaction });
+  });
+}
+
+// Fields copied to a new message when a message is copied between folders
+const COPIED_FIELDS = [
+  'messageId', 'fromEmail', 'toEmail', 'subject', 'bodyId', 'envelopeFrom', 'envelopeTo', 'sent', 'read',
+  'headers', 'hasAttachments', 'status', 'catchAll', 'originalRecipient', 'rawChecksum', 'rawSize', 'flags',
+  'threadId', 'spfResult', 'dkimResult', 'dkimSignatures', 'dmarcResult'
+];
+
+/**
+ * Copy messages to another folder, the copies share body and raw source with the originals
+ * @param {Array<Message>} messages - Messages to copy
+ * @param {Folder} target - Target folder
+ * @returns {Promise<Array<Message>>} Copies in the order of messages
+ */
+async function copyMessages(messages, target) {
+  if (messages.length === 0) {
+    return [];
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    let uid = await Folder.allocateUids(target.id, messages.length, transaction);
+
+    const copies = [];
+    for (const message of messages) {
+      const data = {};
+      for (const field of COPIED_FIELDS) {
+        data[field] = message[field];
+      }
+      copies.push(await Message.create({
+        ...data,
+        folderId: target.id,
+        uid: uid++,
+        createdAt: message.createdAt
+      }, { transaction }));
+    }
+    return copies;
+  });
+}
+
+/**
+ * Move messages to another folder, they get new UIDs there
+ * @param {Array<Message>} messages - Messages to move
+ * @param {Folder} target - Target folder
+ * @returns {Promise<Array<Message>>}
+ */
+async function moveMessages(messages, target) {
+  if (messages.length === 0) {
+    return [];
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    let uid = await Folder.allocateUids(target.id, messages.length, transaction);
+
+    for (const message of messages) {
+      await message.update({ folderId: target.id, uid: uid++ }, { transaction });
+    }
+    return messages;
+  });
+}
+
+/**
+ * Permanently remove the messages of a folder flagged \Deleted
+ * @param {Folder} folder - Folder
+ * @returns {Promise<Array<number>>} UIDs removed
+ */
+async function expungeFolder(folder) {
+  const messages = await Message.findAll({
+    where: { folderId: folder.id },
+    attributes: ['id', 'uid', 'flags', 'bodyId', 'rawChecksum']
+  });
+  const deleted = messages.filter(message => (message.flags || []).includes('\\Deleted'));
+  if (deleted.length === 0) {
+    return [];
+  }
+
+  await Message.destroy({ where: { id: { [Op.in]: deleted.map(message => message.id) } } });
+  await releaseMessages(deleted);
+  return deleted.map(message => message.uid);
+}
+
+/**
+ * Create a folder for a mailbox, missing parent folders are created as well
+ * @param {string} address - Mailbox address
+ * @param {string} name - Full folder name
+ * @returns {Promise<Folder>}
+ */
+async function createFolder(address, name) {
+  const folderName = (name || '').replace(/\/+$/, '');
+  if (!folderName || folderName.toUpperCase() === 'INBOX' || folderName.split(Folder.DELIMITER).includes('')) {
+    throw httpError(400, 'Invalid folder name');
+  }
+  if (await Folder.findByName(address, folderName)) {
+    throw httpError(409, 'Folder already exists');
+  }
+
+  const levels = folderName.split(Folder.DELIMITER);
+  for (let depth = 1; depth < levels.length; depth++) {
+    await Folder.findOrCreate({
+      where: { emailAddress: address, name: levels.slice(0, depth).join(Folder.DELIMITER) }
+    });
+  }
+
+  return Folder.create({ emailAddress: address, name: folderName });
+}
+
+/**
+ * Rename a folder together with its subfolders
+ * @param {Folder} folder - Folder to rename
+ * @param {string} name - New full folder name
+ * @returns {Promise<Folder>}
+ */
+async function renameFolder(folder, name) {
+  const folderName = (name || '').replace(/\/+$/, '');
+  if (folder.isSystem()) {
+    throw httpError(400, 'System folders cannot be renamed');
+  }
+  if (!folderName || folderName.toUpperCase() === 'INBOX' || folderName.split(Folder.DELIMITER).includes('')) {
+    throw httpError(400, 'Invalid folder name');
+  }
+  if (folderName.startsWith(`${folder.name}${Folder.DELIMITER}`)) {
+    throw httpError(400, 'A folder cannot be moved into itself');
+  }
+  if (await Folder.findByName(folder.emailAddress, folderName)) {
+    throw httpError(409, 'Folder already exists');
+  }
+
+  const children = await Folder.findChildren(folder);
+  return sequelize.transaction(async (transaction) => {
+    for (const child of children) {
+      await child.update({ name: folderName + child.name.slice(folder.name.length) }, { transaction });
+    }
+    return folder.update({ name: folderName }, { transaction });
+  });
+}
+
+/**
+ * Delete a folder and the messages in it
+ * @param {Folder} folder - Folder to delete
+ * @returns {Promise<void>}
+ */
+async function deleteFolder(folder) {
+  if (folder.isSystem()) {
+    throw httpError(400, 'System folders cannot be deleted');
+  }
+
+  const messages = await Message.findAll({
+    where: { folderId: folder.id },
+    attributes: ['id', 'bodyId', 'rawChecksum']
+  });
+
+  await sequelize.transaction(async (transaction) => {
+    await Message.destroy({ where: { folderId: folder.id }, transaction });
+    await folder.destroy({ transaction });
+  });
+  await releaseMessages(messages);
+}
+
+module.exports = {
+  syncFolder,
+  listFolders,
+  getFolderMessages,
+  getFlags,
+  setFlags,
+  getRawMessage,
+  appendMessage,
+  copyMessages,
+  moveMessages,
+  expungeFolder,
+  createFolder,
+  renameFolder,
+  deleteFolder
+};
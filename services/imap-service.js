@@ -0,0 +1,1575 @@
+// IMAP server service - IMAP4rev1 access to mailboxes and their folders
+const net = require('net');
+const tls = require('tls');
+const { EventEmitter } = require('events');
+const addressparser = require('nodemailer/lib/addressparser');
+
+// Import models
+const Email = require('../models/email-model');
+const EmailConfig = require('../models/email-config-model');
+const Folder = require('../models/folder-model');
+const Message = require('../models/message-model');
+
+// Import services
+const tlsService = require('./tls-service');
+const {
+  syncFolder,
+  getFolderMessages,
+  getFlags,
+  setFlags,
+  getRawMessage,
+  appendMessage,
+  copyMessages,
+  moveMessages,
+  expungeFolder,
+  createFolder,
+  renameFolder,
+  deleteFolder
+} = require('./folder-service');
+
+// Import helpers
+const { getHeader, parseHeaderValue, parseMimeTree, getSection } = require('../utils/mime-utils');
+
+// Connection states
+const STATE = {
+  NOT_AUTHENTICATED: 'not_authenticated',
+  AUTHENTICATED: 'authenticated',
+  SELECTED: 'selected',
+  LOGOUT: 'logout'
+};
+
+// Flags clients may set
+const SYSTEM_FLAGS = ['\\Answered', '\\Flagged', '\\Deleted', '\\Seen', '\\Draft'];
+
+// Longest command line accepted, literals excluded
+const MAX_LINE_LENGTH = 64 * 1024;
+
+// Literals a client may send before logging in (user names and passwords)
+const MAX_UNAUTHENTICATED_LITERAL_SIZE = 8 * 1024;
+
+// Idle connections are logged out after 30 minutes (RFC 3501 section 5.4)
+const AUTOLOGOUT_TIMEOUT = 30 * 60 * 1000;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Create an error answered with a tagged response
+ * @param {string} status - NO or BAD
+ * @param {string} message - Response text
+ * @returns {Error}
+ */
+function imapError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Value written as is (flags, section names, preformatted lists)
+class Atom {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+/**
+ * Format a value for a response: NIL, numbers, quoted strings or literals, and lists
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function encode(value) {
+  if (value === null || value === undefined) {
+    return 'NIL';
+  }
+  if (value instanceof Atom) {
+    return value.value;
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (Array.isArray(value)) {
+    return `(${value.map(encode).join(' ')})`;
+  }
+
+  const text = String(value);
+  if (/[^\x20-\x7e]/.test(text) || text.length > 1024) {
+    return `{${Buffer.byteLength(text)}}\r\n${text}`;
+  }
+  return `"${text.replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Encode a folder name as modified UTF-7 (RFC 3501 section 5.1.3)
+ * @param {string} name - Folder name
+ * @returns {string}
+ */
+function encodeMailboxName(name) {
+  return name.replace(/&/g, '&-').replace(/[^\x20-\x7e]+/g, chunk => {
+    const utf16 = Buffer.from(chunk, 'utf16le').swap16();
+    return `&${utf16.toString('base64').replace(/=+$/, '').replace(/\//g, ',')}-`;
+  });
+}
+
+/**
+ * Decode a modified UTF-7 folder name
+ * @param {string} name - Name sent by the client
+ * @returns {string}
+ */
+function decodeMailboxName(name) {
+  return name.replace(/&([^-]*)-/g, (match, chunk) => {
+    if (!chunk) {
+      return '&';
+    }
+    const utf16 = Buffer.from(chunk.replace(/,/g, '/'), 'base64');
+    return utf16.slice(0, utf16.length - (utf16.length % 2)).swap16().toString('utf16le');
+  });
+}
+
+/**
+ * Split a command into tokens: atoms and strings become strings, literals Buffers and lists arrays
+ * Atoms may contain a bracketed section with spaces, e.g. BODY.PEEK[HEADER.FIELDS (FROM)]<0.100>
+ * @param {Buffer} input - Command with its literals
+ * @returns {Array}
+ */
+function tokenize(input) {
+  const text = input.toString('binary');
+  let pos = 0;
+
+  function parseQuoted() {
+    let value = '';
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') {
+        pos++;
+      }
+      value += text[pos++];
+    }
+    if (pos >= text.length) {
+      throw imapError('BAD', 'Unterminated quoted string');
+    }
+    pos++;
+    return Buffer.from(value, 'binary').toString('utf8');
+  }
+
+  function parseLiteral() {
+    const match = /^\{(\d+)\+?\}\r?\n/.exec(text.slice(pos, pos + 32));
+    if (!match) {
+      throw imapError('BAD', 'Invalid literal');
+    }
+    const start = pos + match[0].length;
+    const length = parseInt(match[1], 10);
+    pos = start + length;
+    return input.slice(start, start + length);
+  }
+
+  function parseAtom() {
+    let value = '';
+    while (pos < text.length && !' ()'.includes(text[pos])) {
+      if (text[pos] === '[') {
+        const end = text.indexOf(']', pos);
+        if (end === -1) {
+          throw imapError('BAD', 'Unterminated section');
+        }
+        value += text.slice(pos, end + 1);
+        pos = end + 1;
+      } else {
+        value += text[pos++];
+      }
+    }
+    return Buffer.from(value, 'binary').toString('utf8');
+  }
+
+  function parseList(nested) {
+    const items = [];
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === ' ') {
+        pos++;
+      } else if (char === ')') {
+        if (!nested) {
+          throw imapError('BAD', 'Unexpected )');
+        }
+        pos++;
+        return items;
+      } else if (char === '(') {
+        pos++;
+        items.push(parseList(true));
+      } else if (char === '"') {
+        items.push(parseQuoted());
+      } else if (char === '{') {
+        items.push(parseLiteral());
+      } else {
+        items.push(parseAtom());
+      }
+    }
+    if (nested) {
+      throw imapError('BAD', 'Unterminated list');
+    }
+    return items;
+  }
+
+  return parseList(false);
+}
+
+// Helper function to read a token as a string
+function asString(token) {
+  if (Buffer.isBuffer(token)) {
+    return token.toString('utf8');
+  }
+  if (typeof token !== 'string') {
+    throw imapError('BAD', 'Invalid arguments');
+  }
+  return token;
+}
+
+// Helper function to read a token as a list of strings
+function asList(token) {
+  return (Array.isArray(token) ? token : [token]).map(asString);
+}
+
+/**
+ * Parse a sequence set such as "1:4,7,9:*"
+ * @param {string} value - Sequence set
+ * @returns {Array<Array>} Ranges as [from, to] where "*" is kept
+ */
+function parseSequenceSet(value) {
+  if (!/^(\d+|\*)(:(\d+|\*))?(,(\d+|\*)(:(\d+|\*))?)*$/.test(value)) {
+    throw imapError('BAD', 'Invalid sequence set');
+  }
+  return value.split(',').map(range => {
+    const [from, to = from] = range.split(':');
+    return [from, to];
+  });
+}
+
+// Helper function to check a number against a parsed sequence set, "*" being the largest value
+function inSequenceSet(ranges, value, largest) {
+  return ranges.some(([from, to]) => {
+    const start = from === '*' ? largest : parseInt(from, 10);
+    const end = to === '*' ? largest : parseInt(to, 10);
+    return value >= Math.min(start, end) && value <= Math.max(start, end);
+  });
+}
+
+/**
+ * Format a date as an IMAP date-time ("17-Jul-1996 02:44:25 +0000")
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatInternalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Parse an IMAP date ("1-Feb-1994") or date-time ("17-Jul-1996 02:44:25 -0700")
+ * @param {string} value - Date
+ * @returns {Date}
+ */
+function parseImapDate(value) {
+  const match = /^(\d{1,2})-([a-z]{3})-(\d{4})(?: (\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2}))?$/i.exec(value.trim());
+  const month = match ? MONTHS.findIndex(name => name.toLowerCase() === match[2].toLowerCase()) : -1;
+  if (month === -1) {
+    throw imapError('BAD', `Invalid date: ${value}`);
+  }
+
+  const time = Date.UTC(match[3], month, match[1], match[4] || 0, match[5] || 0, match[6] || 0);
+  const offset = match[7] ? (match[7] === '-' ? -1 : 1) * (parseInt(match[8], 10) * 60 + parseInt(match[9], 10)) : 0;
+  return new Date(time - offset * 60 * 1000);
+}
+
+// Helper function to get the UTC day of a date, for date based SEARCH keys
+function utcDay(date) {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// Helper function to turn header parameters into a body structure parameter list
+function paramList(params) {
+  const entries = Object.entries(params);
+  return entries.length > 0 ? entries.flatMap(([key, value]) => [key.toUpperCase(), value]) : null;
+}
+
+/**
+ * Build the ENVELOPE of a message
+ * @param {Object} node - Message node from parseMimeTree
+ * @returns {Array}
+ */
+function buildEnvelope(node) {
+  const value = key => getHeader(node.headers, key);
+  const addresses = key => {
+    const header = value(key);
+    if (!header) {
+      return null;
+    }
+    const list = addressparser(header, { flatten: true }).filter(entry => entry.address);
+    if (list.length === 0) {
+      return null;
+    }
+    return list.map(entry => {
+      const separator = entry.address.lastIndexOf('@');
+      return separator === -1
+        ? [entry.name || null, null, entry.address, null]
+        : [entry.name || null, null, entry.address.slice(0, separator), entry.address.slice(separator + 1)];
+    });
+  };
+
+  const from = addresses('from');
+  return [
+    value('date'),
+    value('subject'),
+    from,
+    addresses('sender') || from,
+    addresses('reply-to') || from,
+    addresses('to'),
+    addresses('cc'),
+    addresses('bcc'),
+    value('in-reply-to'),
+    value('message-id')
+  ];
+}
+
+/**
+ * Build the BODY or BODYSTRUCTURE of a message or part
+ * @param {Object} node - Node from parseMimeTree
+ * @param {boolean} extended - Include extension data (BODYSTRUCTURE)
+ * @returns {Array|Atom}
+ */
+function buildBodyStructure(node, extended) {
+  const [type, subtype] = node.contentType.value.split('/');
+  const header = key => getHeader(node.headers, key);
+  const disposition = () => {
+    const value = header('content-disposition');
+    if (!value) {
+      return null;
+    }
+    const parsed = parseHeaderValue(value);
+    return [parsed.value.toUpperCase(), paramList(parsed.params)];
+  };
+  const lines = () => {
+    const text = node.body.toString('binary');
+    return text.split('\n').length - (text === '' || text.endsWith('\n') ? 1 : 0);
+  };
+
+  if (node.childNodes.length > 0) {
+    // Parts of a multipart body are not separated by spaces
+    const children = node.childNodes.map(child => encode(buildBodyStructure(child, extended))).join('');
+    const rest = [subtype.toUpperCase()];
+    if (extended) {
+      rest.push(paramList(node.contentType.params), disposition(), header('content-language'), header('content-location'));
+    }
+    return new Atom(`(${children} ${rest.map(encode).join(' ')})`);
+  }
+
+  const structure = [
+    type.toUpperCase(),
+    subtype.toUpperCase(),
+    paramList(node.contentType.params),
+    header('content-id'),
+    header('content-description'),
+    (header('content-transfer-encoding') || '7BIT').toUpperCase(),
+    node.body.length
+  ];
+
+  if (type === 'text') {
+    structure.push(lines());
+  } else if (node.message) {
+    structure.push(buildEnvelope(node.message), buildBodyStructure(node.message, extended), lines());
+  }
+
+  if (extended) {
+    structure.push(header('content-md5'), disposition(), header('content-language'), header('content-location'));
+  }
+  return structure;
+}
+
+// Helper function to read a header of a stored message as lower case text for SEARCH
+function headerText(message, name) {
+  const value = (message.headers || {})[name];
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string') {
+    return value.toLowerCase();
+  }
+  if (value.text) {
+    return value.text.toLowerCase();
+  }
+  return JSON.stringify(value).toLowerCase();
+}
+
+// Helper function to read the text of a stored message for SEARCH
+function bodyText(message) {
+  const body = message.body || message;
+  return `${body.textContent || ''}\n${body.htmlContent || ''}`.toLowerCase();
+}
+
+/**
+ * Compile SEARCH criteria into a predicate
+ * @param {Array} tokens - Search keys
+ * @param {Object} context - { count, largestUid } of the selected folder
+ * @returns {Function} (message, seq) => boolean
+ */
+function compileSearch(tokens, context) {
+  let pos = 0;
+
+  const next = () => {
+    if (pos >= tokens.length) {
+      throw imapError('BAD', 'Missing search argument');
+    }
+    return tokens[pos++];
+  };
+  const hasFlag = (message, flag) => getFlags(message).some(entry => entry.toLowerCase() === flag.toLowerCase());
+  const date = () => utcDay(parseImapDate(asString(next())));
+  const sentDate = message => {
+    const value = (message.headers || {}).date;
+    const parsed = value ? new Date(value) : message.createdAt;
+    return utcDay(isNaN(parsed) ? message.createdAt : parsed);
+  };
+
+  function criterion() {
+    const token = next();
+    if (Array.isArray(token)) {
+      return compileSearch(token, context);
+    }
+
+    const key = asString(token).toUpperCase();
+    switch (key) {
+      case 'ALL':
+      case 'OLD':
+        return () => true;
+      case 'NEW':
+      case 'RECENT':
+        return () => false;
+      case 'ANSWERED':
+      case 'DELETED':
+      case 'DRAFT':
+      case 'FLAGGED':
+      case 'SEEN': {
+        const flag = `\\${key}`;
+        return message => hasFlag(message, flag);
+      }
+      case 'UNANSWERED':
+      case 'UNDELETED':
+      case 'UNDRAFT':
+      case 'UNFLAGGED':
+      case 'UNSEEN': {
+        const flag = `\\${key.slice(2)}`;
+        return message => !hasFlag(message, flag);
+      }
+      case 'KEYWORD': {
+        const flag = asString(next());
+        return message => hasFlag(message, flag);
+      }
+      case 'UNKEYWORD': {
+        const flag = asString(next());
+        return message => !hasFlag(message, flag);
+      }
+      case 'FROM': {
+        const value = asString(next()).toLowerCase();
+        return message => `${headerText(message, 'from')} ${message.fromEmail}`.toLowerCase().includes(value);
+      }
+      case 'TO':
+      case 'CC':
+      case 'BCC':
+      case 'SUBJECT': {
+        const field = key.toLowerCase();
+        const value = asString(next()).toLowerCase();
+        return message => headerText(message, field).includes(value);
+      }
+      case 'HEADER': {
+        const field = asString(next()).toLowerCase();
+        const value = asString(next()).toLowerCase();
+        return message => (message.headers || {})[field] !== undefined && headerText(message, field).includes(value);
+      }
+      case 'BODY': {
+        const value = asString(next()).toLowerCase();
+        return message => bodyText(message).includes(value);
+      }
+      case 'TEXT': {
+        const value = asString(next()).toLowerCase();
+        return message => bodyText(message).includes(value) ||
+          JSON.stringify(message.headers || {}).toLowerCase().includes(value);
+      }
+      case 'BEFORE': {
+        const day = date();
+        return message => utcDay(message.createdAt) < day;
+      }
+      case 'ON': {
+        const day = date();
+        return message => utcDay(message.createdAt) === day;
+      }
+      case 'SINCE': {
+        const day = date();
+        return message => utcDay(message.createdAt) >= day;
+      }
+      case 'SENTBEFORE': {
+        const day = date();
+        return message => sentDate(message) < day;
+      }
+      case 'SENTON': {
+        const day = date();
+        return message => sentDate(message) === day;
+      }
+      case 'SENTSINCE': {
+        const day = date();
+        return message => sentDate(message) >= day;
+      }
+      case 'LARGER': {
+        const size = parseInt(asString(next()), 10);
+        return message => (message.rawSize || 0) > size;
+      }
+      case 'SMALLER': {
+        const size = parseInt(asString(next()), 10);
+        return message => (message.rawSize || 0) < size;
+      }
+      case 'UID': {
+        const ranges = parseSequenceSet(asString(next()));
+        return message => inSequenceSet(ranges, message.uid, context.largestUid);
+      }
+      case 'NOT': {
+        const inner = criterion();
+        return (message, seq) => !inner(message, seq);
+      }
+      case 'OR': {
+        const left = criterion();
+        const right = criterion();
+        return (message, seq) => left(message, seq) || right(message, seq);
+      }
+      default: {
+        if (!/^[\d*:,]+$/.test(key)) {
+          throw imapError('BAD', `Unsupported search key: ${key}`);
+        }
+        const ranges = parseSequenceSet(key);
+        return (message, seq) => inSequenceSet(ranges, seq, context.count);
+      }
+    }
+  }
+
+  const criteria = [];
+  while (pos < tokens.length) {
+    criteria.push(criterion());
+  }
+  return (message, seq) => criteria.every(test => test(message, seq));
+}
+
+/**
+ * One client connection
+ */
+class ImapConnection {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.secure = Boolean(server.options.secure);
+    this.remoteAddress = socket.remoteAddress;
+    this.state = STATE.NOT_AUTHENTICATED;
+    this.user = null;
+    this.selected = null;
+
+    // Input parsing
+    this.buffer = Buffer.alloc(0);
+    this.current = [];
+    this.lineLength = 0;
+    this.literalLength = 0;
+    this.literalTotal = 0;
+    this.lineHandler = null;
+
+    // Commands run one at a time in arrival order
+    this.queue = [];
+    this.processing = false;
+    this.idleTimer = null;
+  }
+
+  start() {
+    this.bindSocket(this.socket);
+    this.send(`* OK [CAPABILITY ${this.capabilities().join(' ')}] ${this.server.options.hostname} IMAP4rev1 ready`);
+  }
+
+  bindSocket(socket) {
+    this.onData = chunk => this.read(chunk);
+    socket.on('data', this.onData);
+    socket.on('error', error => {
+      if (error.code !== 'ECONNRESET') {
+        console.error(`IMAP connection error from ${this.remoteAddress}:`, error.message);
+      }
+    });
+    socket.on('close', () => this.cleanup());
+    socket.setTimeout(AUTOLOGOUT_TIMEOUT, () => {
+      this.send('* BYE Autologout; idle for too long');
+      socket.end();
+    });
+  }
+
+  cleanup() {
+    this.state = STATE.LOGOUT;
+    clearInterval(this.idleTimer);
+    this.server.connections.delete(this);
+  }
+
+  send(line) {
+    this.write(`${line}\r\n`);
+  }
+
+  write(data) {
+    if (this.socket.writable) {
+      this.socket.write(data);
+    }
+  }
+
+  capabilities() {
+    const capabilities = ['IMAP4rev1', 'LITERAL+', 'IDLE', 'MOVE', 'UNSELECT', 'SPECIAL-USE'];
+    if (!this.secure && this.server.options.starttls) {
+      capabilities.push('STARTTLS');
+    }
+    capabilities.push(this.loginDisabled() ? 'LOGINDISABLED' : 'AUTH=PLAIN');
+    return capabilities;
+  }
+
+  loginDisabled() {
+    return !this.secure && Boolean(this.server.options.requireTLS);
+  }
+
+  // Largest total of literals one command may carry
+  maxLiteralTotal() {
+    return this.state === STATE.NOT_AUTHENTICATED
+      ? Math.min(MAX_UNAUTHENTICATED_LITERAL_SIZE, this.server.options.maxLiteralSize)
+      : this.server.options.maxLiteralSize;
+  }
+
+  // Forget the command being read
+  resetCommand() {
+    this.current = [];
+    this.lineLength = 0;
+    this.literalTotal = 0;
+  }
+
+  // Split input into commands, reading literals ({n} waits for a continuation, {n+} does not)
+  // Lines and literals are limited per command so a client cannot make the server buffer without end
+  read(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length > 0) {
+      if (this.literalLength > 0) {
+        if (this.buffer.length < this.literalLength) {
+          return;
+        }
+        this.current.push(this.buffer.slice(0, this.literalLength));
+        this.buffer = this.buffer.slice(this.literalLength);
+        this.literalLength = 0;
+        continue;
+      }
+
+      const end = this.buffer.indexOf('\n');
+      if (end === -1) {
+        if (this.buffer.length > MAX_LINE_LENGTH) {
+          this.send('* BYE Line too long');
+          this.socket.end();
+        }
+        return;
+      }
+
+      const line = this.buffer.slice(0, end > 0 && this.buffer[end - 1] === 0x0d ? end - 1 : end);
+      this.buffer = this.buffer.slice(end + 1);
+
+      this.lineLength += line.length;
+      if (this.lineLength > MAX_LINE_LENGTH) {
+        this.send('* BYE Line too long');
+        this.socket.end();
+        return;
+      }
+
+      const literal = /\{(\d+)(\+)?\}$/.exec(line.toString('binary'));
+      if (literal) {
+        const length = parseInt(literal[1], 10);
+        if (this.literalTotal + length > this.maxLiteralTotal()) {
+          const tag = (this.current[0] || line).toString('binary').split(' ')[0];
+          this.resetCommand();
+          if (literal[2]) {
+            // The client sends the data anyway
+            this.send('* BYE Literal too large');
+            this.socket.end();
+            return;
+          }
+          this.send(`${tag} NO [TOOBIG] Literal too large`);
+          continue;
+        }
+
+        this.current.push(line, Buffer.from('\r\n'));
+        this.literalLength = length;
+        this.literalTotal += length;
+        if (!literal[2]) {
+          this.send('+ Ready for literal data');
+        }
+        continue;
+      }
+
+      this.current.push(line);
+      const command = Buffer.concat(this.current);
+      this.resetCommand();
+      this.dispatch(command);
+    }
+  }
+
+  dispatch(command) {
+    // Continuation of a running command (IDLE's DONE, AUTHENTICATE responses)
+    if (this.lineHandler) {
+      const handler = this.lineHandler;
+      this.lineHandler = null;
+      handler(command.toString('utf8'));
+      return;
+    }
+
+    this.queue.push(command);
+    if (!this.processing) {
+      this.processQueue();
+    }
+  }
+
+  async processQueue() {
+    this.processing = true;
+    while (this.queue.length > 0 && this.state !== STATE.LOGOUT) {
+      await this.handle(this.queue.shift());
+    }
+    this.processing = false;
+  }
+
+  async handle(input) {
+    let tag = '*';
+    try {
+      const tokens = tokenize(input);
+      tag = typeof tokens[0] === 'string' ? tokens[0] : '*';
+      if (tokens.length < 2 || typeof tokens[1] !== 'string' || !/^[\x21-\x7e]+$/.test(tag) || tag === '*') {
+        throw imapError('BAD', 'Invalid command');
+      }
+
+      const name = tokens[1].toUpperCase();
+      const command = COMMANDS[name];
+      if (!command) {
+        throw imapError('BAD', `Unknown command ${name}`);
+      }
+      if (!command.states.includes(this.state)) {
+        throw imapError('BAD', `${name} not allowed now`);
+      }
+
+      await command.handler.call(this, tag, tokens.slice(2));
+    } catch (error) {
+      if (error.status) {
+        this.send(`${tag} ${error.status} ${error.message}`);
+      } else {
+        console.error('Error handling IMAP command:', error);
+        this.send(`${tag} NO Internal server error`);
+      }
+    }
+  }
+
+  // Wait for the next line from the client
+  readLine() {
+    return new Promise(resolve => {
+      this.lineHandler = resolve;
+    });
+  }
+
+  async login(tag, account) {
+    if (!account || !account.active) {
+      throw imapError('NO', '[AUTHENTICATIONFAILED] Authentication failed');
+    }
+
+    await Folder.ensureSystemFolders(account.address);
+    this.user = account;
+    this.state = STATE.AUTHENTICATED;
+    this.send(`${tag} OK [CAPABILITY ${this.capabilities().join(' ')}] Logged in`);
+  }
+
+  async findFolder(name) {
+    const folder = await Folder.findByName(this.user.address, decodeMailboxName(name));
+    if (!folder) {
+      throw imapError('NO', '[TRYCREATE] Folder does not exist');
+    }
+    return folder;
+  }
+
+  // Messages of the selected folder in a sequence set, as { seq, entry }
+  selectMessages(set, byUid) {
+    const messages = this.selected.messages;
+    const ranges = parseSequenceSet(set);
+    const largest = byUid
+      ? (messages.length > 0 ? messages[messages.length - 1].uid : 0)
+      : messages.length;
+
+    return messages
+      .map((entry, index) => ({ seq: index + 1, entry }))
+      .filter(({ seq, entry }) => inSequenceSet(ranges, byUid ? entry.uid : seq, largest));
+  }
+
+  // Load the messages behind selected entries, in the same order
+  async loadMessages(targets, attributes) {
+    const rows = await Message.findAll({
+      where: { id: targets.map(target => target.entry.id), folderId: this.selected.folder.id },
+      attributes
+    });
+    const byId = new Map(rows.map(row => [row.id, row]));
+    return targets
+      .map(target => ({ ...target, message: byId.get(target.entry.id) }))
+      .filter(target => target.message);
+  }
+
+  // Report expunged messages, from the highest sequence number down
+  removeEntries(uids) {
+    const messages = this.selected.messages;
+    for (let index = messages.length - 1; index >= 0; index--) {
+      if (uids.includes(messages[index].uid)) {
+        this.send(`* ${index + 1} EXPUNGE`);
+        messages.splice(index, 1);
+      }
+    }
+  }
+
+  // Report changes made by other sessions, deliveries and the API
+  async refresh() {
+    if (!this.selected) {
+      return;
+    }
+
+    const selected = this.selected;
+    await syncFolder(selected.folder);
+    const rows = await getFolderMessages(selected.folder, { attributes: ['id', 'uid', 'read', 'flags'] });
+    if (this.selected !== selected) {
+      return;
+    }
+
+    const current = new Map(rows.map(row => [row.uid, row]));
+    this.removeEntries(selected.messages.filter(entry => !current.has(entry.uid)).map(entry => entry.uid));
+
+    selected.messages.forEach((entry, index) => {
+      const flags = getFlags(current.get(entry.uid));
+      if (flags.join(' ') !== entry.flags.join(' ')) {
+        entry.flags = flags;
+        this.send(`* ${index + 1} FETCH (FLAGS (${flags.join(' ')}))`);
+      }
+    });
+
+    const largest = selected.messages.length > 0 ? selected.messages[selected.messages.length - 1].uid : 0;
+    const added = rows.filter(row => row.uid > largest);
+    if (added.length > 0) {
+      selected.messages.push(...added.map(row => ({ id: row.id, uid: row.uid, flags: getFlags(row) })));
+      this.send(`* ${selected.messages.length} EXISTS`);
+    }
+  }
+
+  async select(tag, args, readOnly) {
+    this.selected = null;
+    this.state = STATE.AUTHENTICATED;
+
+    const folder = await this.findFolder(asString(args[0]));
+    await syncFolder(folder);
+    const rows = await getFolderMessages(folder, { attributes: ['id', 'uid', 'read', 'flags'] });
+    const messages = rows.map(row => ({ id: row.id, uid: row.uid, flags: getFlags(row) }));
+
+    this.send(`* FLAGS (${SYSTEM_FLAGS.join(' ')})`);
+    this.send(`* OK [PERMANENTFLAGS (${readOnly ? '' : `${SYSTEM_FLAGS.join(' ')} \\*`})] Flags permitted`);
+    this.send(`* ${messages.length} EXISTS`);
+    this.send('* 0 RECENT');
+    const unseen = messages.findIndex(entry => !entry.flags.includes('\\Seen'));
+    if (unseen !== -1) {
+      this.send(`* OK [UNSEEN ${unseen + 1}] First unseen message`);
+    }
+    this.send(`* OK [UIDVALIDITY ${folder.uidValidity}] UIDs valid`);
+    this.send(`* OK [UIDNEXT ${folder.uidNext}] Predicted next UID`);
+
+    this.selected = { folder, readOnly, messages };
+    this.state = STATE.SELECTED;
+    this.send(`${tag} OK [${readOnly ? 'READ-ONLY' : 'READ-WRITE'}] ${readOnly ? 'EXAMINE' : 'SELECT'} completed`);
+  }
+
+  async list(tag, args, subscribedOnly) {
+    const reference = decodeMailboxName(asString(args[0]));
+    const pattern = decodeMailboxName(asString(args[1]));
+    const command = subscribedOnly ? 'LSUB' : 'LIST';
+
+    if (pattern === '') {
+      this.send(`* ${command} (\\Noselect) "${Folder.DELIMITER}" ""`);
+      return this.send(`${tag} OK ${command} completed`);
+    }
+
+    const source = (reference + pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/%/g, `[^${Folder.DELIMITER}]*`);
+    const matcher = new RegExp(`^${source}$`);
+    const inboxMatcher = new RegExp(`^${source}$`, 'i');
+
+    const folders = await Folder.getFolders(this.user.address);
+    folders.sort((a, b) => (b.specialUse === Folder.SPECIAL_USE.INBOX) - (a.specialUse === Folder.SPECIAL_USE.INBOX));
+
+    for (const folder of folders) {
+      const isInbox = folder.specialUse === Folder.SPECIAL_USE.INBOX;
+      if (!(isInbox ? inboxMatcher : matcher).test(folder.name) || (subscribedOnly && !folder.subscribed)) {
+        continue;
+      }
+
+      const attributes = [];
+      if (folder.specialUse && !isInbox) {
+        attributes.push(`\\${folder.specialUse[0].toUpperCase()}${folder.specialUse.slice(1)}`);
+      }
+      const prefix = `${folder.name}${Folder.DELIMITER}`;
+      attributes.push(folders.some(other => other.name.startsWith(prefix)) ? '\\HasChildren' : '\\HasNoChildren');
+
+      this.send(`* ${command} (${attributes.join(' ')}) "${Folder.DELIMITER}" ${encode(encodeMailboxName(folder.name))}`);
+    }
+    this.send(`${tag} OK ${command} completed`);
+  }
+
+  async fetch(tag, args, byUid) {
+    if (args.length < 2) {
+      throw imapError('BAD', 'FETCH needs a sequence set and data items');
+    }
+
+    let items = asList(args[1]).map(item => item.toUpperCase().startsWith('BODY') ? item : item.toUpperCase());
+    const macros = {
+      ALL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE'],
+      FAST: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE'],
+      FULL: ['FLAGS', 'INTERNALDATE', 'RFC822.SIZE', 'ENVELOPE', 'BODY']
+    };
+    if (items.length === 1 && macros[items[0]]) {
+      items = macros[items[0]];
+    }
+    if (byUid && !items.includes('UID')) {
+      items.unshift('UID');
+    }
+
+    const targets = await this.loadMessages(this.selectMessages(asString(args[0]), byUid));
+    for (const { seq, entry, message } of targets) {
+      let raw = null;
+      let tree = null;
+      const load = async () => {
+        if (!raw) {
+          raw = await getRawMessage(message);
+          tree = parseMimeTree(raw);
+        }
+      };
+
+      const parts = [];
+      let flagsIndex = -1;
+      let markSeen = false;
+
+      for (const item of items) {
+        const upper = item.toUpperCase();
+        const section = /^BODY(\.PEEK)?\[(.*)\](?:<(\d+)(?:\.(\d+))?>)?$/i.exec(item);
+
+        if (section) {
+          await load();
+          let content = getSection(tree, section[2]) || Buffer.alloc(0);
+          let name = `BODY[${section[2].toUpperCase()}]`;
+          if (section[3] !== undefined) {
+            const origin = parseInt(section[3], 10);
+            const length = section[4] !== undefined ? parseInt(section[4], 10) : content.length;
+            content = content.slice(origin, origin + length);
+            name += `<${origin}>`;
+          }
+          parts.push(Buffer.concat([Buffer.from(`${name} {${content.length}}\r\n`), content]));
+          markSeen = markSeen || !section[1];
+          continue;
+        }
+
+        switch (upper) {
+          case 'UID':
+            parts.push(`UID ${entry.uid}`);
+            break;
+          case 'FLAGS':
+            flagsIndex = parts.length;
+            parts.push('');
+            break;
+          case 'INTERNALDATE':
+            parts.push(`INTERNALDATE "${formatInternalDate(message.createdAt)}"`);
+            break;
+          case 'RFC822.SIZE':
+            if (!message.rawSize) {
+              await load();
+            }
+            parts.push(`RFC822.SIZE ${message.rawSize || raw.length}`);
+            break;
+          case 'ENVELOPE':
+            await load();
+            parts.push(`ENVELOPE ${encode(buildEnvelope(tree))}`);
+            break;
+          case 'BODY':
+          case 'BODYSTRUCTURE':
+            await load();
+            parts.push(`${upper} ${encode(buildBodyStructure(tree, upper === 'BODYSTRUCTURE'))}`);
+            break;
+          case 'RFC822':
+          case 'RFC822.HEADER':
+          case 'RFC822.TEXT': {
+            await load();
+            const content = upper === 'RFC822' ? raw : upper === 'RFC822.HEADER' ? tree.header : tree.body;
+            parts.push(Buffer.concat([Buffer.from(`${upper} {${content.length}}\r\n`), content]));
+            markSeen = markSeen || upper !== 'RFC822.HEADER';
+            break;
+          }
+          default:
+            throw imapError('BAD', `Unsupported FETCH item ${item}`);
+        }
+      }
+
+      // Reading the body sets \Seen
+      if (markSeen && !this.selected.readOnly && !message.read) {
+        await setFlags(message, [...getFlags(message), '\\Seen']);
+        entry.flags = getFlags(message);
+        if (flagsIndex === -1) {
+          flagsIndex = parts.length;
+          parts.push('');
+        }
+      }
+      if (flagsIndex !== -1) {
+        parts[flagsIndex] = `FLAGS (${entry.flags.join(' ')})`;
+      }
+
+      const chunks = [Buffer.from(`* ${seq} FETCH (`)];
+      parts.forEach((part, index) => {
+        if (index > 0) {
+          chunks.push(Buffer.from(' '));
+        }
+        chunks.push(Buffer.isBuffer(part) ? part : Buffer.from(part));
+      });
+      chunks.push(Buffer.from(')\r\n'));
+      this.write(Buffer.concat(chunks));
+    }
+
+    this.send(`${tag} OK ${byUid ? 'UID ' : ''}FETCH completed`);
+  }
+
+  async store(tag, args, byUid) {
+    if (this.selected.readOnly) {
+      throw imapError('NO', 'Folder is read-only');
+    }
+    if (args.length < 3) {
+      throw imapError('BAD', 'STORE needs a sequence set, an action and flags');
+    }
+
+    const action = /^([+-]?)FLAGS(\.SILENT)?$/i.exec(asString(args[1]));
+    if (!action) {
+      throw imapError('BAD', 'Invalid STORE action');
+    }
+    const flags = args.slice(2).flatMap(asList);
+    for (const flag of flags) {
+      if (flag.startsWith('\\') && !SYSTEM_FLAGS.some(system => system.toLowerCase() === flag.toLowerCase())) {
+        throw imapError('BAD', `Invalid flag ${flag}`);
+      }
+    }
+    // Keep the canonical spelling of system flags
+    const normalized = flags.map(flag => SYSTEM_FLAGS.find(system => system.toLowerCase() === flag.toLowerCase()) || flag);
+
+    const targets = await this.loadMessages(this.selectMessages(asString(args[0]), byUid), ['id', 'uid', 'read', 'flags']);
+    for (const { seq, entry, message } of targets) {
+      const current = getFlags(message);
+      let updated;
+      if (action[1] === '+') {
+        updated = [...current, ...normalized];
+      } else if (action[1] === '-') {
+        updated = current.filter(flag => !normalized.some(other => other.toLowerCase() === flag.toLowerCase()));
+      } else {
+        updated = normalized;
+      }
+
+      await setFlags(message, updated);
+      entry.flags = getFlags(message);
+      if (!action[2]) {
+        this.send(`* ${seq} FETCH (${byUid ? `UID ${entry.uid} ` : ''}FLAGS (${entry.flags.join(' ')}))`);
+      }
+    }
+
+    this.send(`${tag} OK ${byUid ? 'UID ' : ''}STORE completed`);
+  }
+
+  async search(tag, args, byUid) {
+    let criteria = args;
+    if (criteria.length > 0 && asString(criteria[0]).toUpperCase() === 'CHARSET') {
+      const charset = asString(criteria[1] || '').toUpperCase();
+      if (!['UTF-8', 'US-ASCII'].includes(charset)) {
+        throw imapError('NO', '[BADCHARSET (UTF-8 US-ASCII)] Unsupported charset');
+      }
+      criteria = criteria.slice(2);
+    }
+
+    const messages = this.selected.messages;
+    const test = compileSearch(criteria, {
+      count: messages.length,
+      largestUid: messages.length > 0 ? messages[messages.length - 1].uid : 0
+    });
+
+    const rows = await getFolderMessages(this.selected.folder, { withBody: true });
+    const byUidMap = new Map(rows.map(row => [row.uid, row]));
+    const matches = [];
+    messages.forEach((entry, index) => {
+      const row = byUidMap.get(entry.uid);
+      if (row && test(row, index + 1)) {
+        matches.push(byUid ? entry.uid : index + 1);
+      }
+    });
+
+    this.send(`* SEARCH${matches.map(value => ` ${value}`).join('')}`);
+    this.send(`${tag} OK ${byUid ? 'UID ' : ''}SEARCH completed`);
+  }
+
+  async copy(tag, args, byUid, move) {
+    if (move && this.selected.readOnly) {
+      throw imapError('NO', 'Folder is read-only');
+    }
+    if (args.length < 2) {
+      throw imapError('BAD', 'Sequence set and folder name required');
+    }
+
+    const target = await this.findFolder(asString(args[1]));
+    const targets = await this.loadMessages(this.selectMessages(asString(args[0]), byUid));
+    const messages = targets.map(({ message }) => message);
+
+    if (move) {
+      await moveMessages(messages, target);
+      this.removeEntries(targets.map(({ entry }) => entry.uid));
+    } else {
+      await copyMessages(messages, target);
+    }
+
+    this.send(`${tag} OK ${byUid ? 'UID ' : ''}${move ? 'MOVE' : 'COPY'} completed`);
+  }
+
+  async idle(tag) {
+    // Nothing may be awaited between the continuation and readLine, or a quick DONE would be missed
+    const config = await EmailConfig.getConfig();
+    this.send('+ idling');
+
+    this.idleTimer = setInterval(() => {
+      this.refresh().catch(error => console.error('Error refreshing IMAP folder:', error.message));
+    }, config.imap.idleInterval * 1000);
+
+    const line = await this.readLine();
+    clearInterval(this.idleTimer);
+    this.idleTimer = null;
+
+    if (line.trim().toUpperCase() !== 'DONE') {
+      throw imapError('BAD', 'Expected DONE');
+    }
+    await this.refresh();
+    this.send(`${tag} OK IDLE terminated`);
+  }
+
+  startTLS(tag) {
+    if (this.secure || !this.server.options.starttls) {
+      throw imapError('BAD', 'TLS not available');
+    }
+
+    this.send(`${tag} OK Begin TLS negotiation now`);
+    this.socket.removeListener('data', this.onData);
+    this.socket.setTimeout(0);
+
+    const secureSocket = new tls.TLSSocket(this.socket, {
+      isServer: true,
+      secureContext: tls.createSecureContext(this.server.secureOptions),
+      SNICallback: this.server.secureOptions.SNICallback
+    });
+    this.socket = secureSocket;
+    this.secure = true;
+    this.buffer = Buffer.alloc(0);
+    this.bindSocket(secureSocket);
+  }
+}
+
+// Commands by name with the states they are allowed in
+const ANY = [STATE.NOT_AUTHENTICATED, STATE.AUTHENTICATED, STATE.SELECTED];
+const AUTHENTICATED = [STATE.AUTHENTICATED, STATE.SELECTED];
+const SELECTED = [STATE.SELECTED];
+
+const COMMANDS = {
+  CAPABILITY: {
+    states: ANY,
+    async handler(tag) {
+      this.send(`* CAPABILITY ${this.capabilities().join(' ')}`);
+      this.send(`${tag} OK CAPABILITY completed`);
+    }
+  },
+
+  NOOP: {
+    states: ANY,
+    async handler(tag) {
+      await this.refresh();
+      this.send(`${tag} OK NOOP completed`);
+    }
+  },
+
+  LOGOUT: {
+    states: ANY,
+    async handler(tag) {
+      this.send('* BYE Logging out');
+      this.send(`${tag} OK LOGOUT completed`);
+      this.state = STATE.LOGOUT;
+      this.socket.end();
+    }
+  },
+
+  STARTTLS: {
+    states: [STATE.NOT_AUTHENTICATED],
+    async handler(tag) {
+      this.startTLS(tag);
+    }
+  },
+
+  LOGIN: {
+    states: [STATE.NOT_AUTHENTICATED],
+    async handler(tag, args) {
+      if (this.loginDisabled()) {
+        throw imapError('NO', '[PRIVACYREQUIRED] Use STARTTLS first');
+      }
+      if (args.length !== 2) {
+        throw imapError('BAD', 'LOGIN needs a user name and password');
+      }
+      await this.login(tag, await Email.authenticate(asString(args[0]), asString(args[1])));
+    }
+  },
+
+  AUTHENTICATE: {
+    states: [STATE.NOT_AUTHENTICATED],
+    async handler(tag, args) {
+      if (this.loginDisabled()) {
+        throw imapError('NO', '[PRIVACYREQUIRED] Use STARTTLS first');
+      }
+      if (!args[0] || asString(args[0]).toUpperCase() !== 'PLAIN') {
+        throw imapError('NO', 'Unsupported authentication mechanism');
+      }
+
+      let response = args[1] !== undefined ? asString(args[1]) : null;
+      if (response === null) {
+        this.send('+ ');
+        response = (await this.readLine()).trim();
+      }
+      if (response === '*') {
+        throw imapError('BAD', 'Authentication cancelled');
+      }
+
+      // authzid NUL authcid NUL password
+      const [, username, password] = Buffer.from(response, 'base64').toString('utf8').split('\0');
+      if (!username || password === undefined) {
+        throw imapError('BAD', 'Invalid PLAIN response');
+      }
+      await this.login(tag, await Email.authenticate(username, password));
+    }
+  },
+
+  SELECT: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      await this.select(tag, args, false);
+    }
+  },
+
+  EXAMINE: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      await this.select(tag, args, true);
+    }
+  },
+
+  CREATE: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      try {
+        await createFolder(this.user.address, decodeMailboxName(asString(args[0])));
+      } catch (error) {
+        throw error.statusCode ? imapError('NO', error.message) : error;
+      }
+      this.send(`${tag} OK CREATE completed`);
+    }
+  },
+
+  DELETE: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const folder = await this.findFolder(asString(args[0]));
+      if (this.selected && this.selected.folder.id === folder.id) {
+        throw imapError('NO', 'Folder is selected');
+      }
+      try {
+        await deleteFolder(folder);
+      } catch (error) {
+        throw error.statusCode ? imapError('NO', error.message) : error;
+      }
+      this.send(`${tag} OK DELETE completed`);
+    }
+  },
+
+  RENAME: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const folder = await this.findFolder(asString(args[0]));
+      try {
+        await renameFolder(folder, decodeMailboxName(asString(args[1])));
+      } catch (error) {
+        throw error.statusCode ? imapError('NO', error.message) : error;
+      }
+      this.send(`${tag} OK RENAME completed`);
+    }
+  },
+
+  SUBSCRIBE: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const folder = await this.findFolder(asString(args[0]));
+      await folder.update({ subscribed: true });
+      this.send(`${tag} OK SUBSCRIBE completed`);
+    }
+  },
+
+  UNSUBSCRIBE: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const folder = await this.findFolder(asString(args[0]));
+      await folder.update({ subscribed: false });
+      this.send(`${tag} OK UNSUBSCRIBE completed`);
+    }
+  },
+
+  LIST: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      await this.list(tag, args, false);
+    }
+  },
+
+  LSUB: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      await this.list(tag, args, true);
+    }
+  },
+
+  STATUS: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const name = asString(args[0]);
+      const folder = await this.findFolder(name);
+      await syncFolder(folder);
+
+      const values = [];
+      for (const item of asList(args[1] || [])) {
+        switch (item.toUpperCase()) {
+          case 'MESSAGES':
+            values.push('MESSAGES', await Message.count({ where: { folderId: folder.id } }));
+            break;
+          case 'RECENT':
+            values.push('RECENT', 0);
+            break;
+          case 'UIDNEXT':
+            values.push('UIDNEXT', folder.uidNext);
+            break;
+          case 'UIDVALIDITY':
+            values.push('UIDVALIDITY', folder.uidValidity);
+            break;
+          case 'UNSEEN':
+            values.push('UNSEEN', await Message.count({ where: { folderId: folder.id, read: false } }));
+            break;
+          default:
+            throw imapError('BAD', `Unknown STATUS item ${item}`);
+        }
+      }
+
+      this.send(`* STATUS ${encode(name)} (${values.join(' ')})`);
+      this.send(`${tag} OK STATUS completed`);
+    }
+  },
+
+  APPEND: {
+    states: AUTHENTICATED,
+    async handler(tag, args) {
+      const folder = await this.findFolder(asString(args[0]));
+      const content = args[args.length - 1];
+      if (!Buffer.isBuffer(content)) {
+        throw imapError('BAD', 'APPEND needs the message as a literal');
+      }
+
+      let flags = [];
+      let internalDate = null;
+      for (const option of args.slice(1, -1)) {
+        if (Array.isArray(option)) {
+          flags = asList(option);
+        } else {
+          internalDate = parseImapDate(asString(option));
+        }
+      }
+
+      await appendMessage(folder, content, { flags, internalDate });
+      this.send(`${tag} OK APPEND completed`);
+    }
+  },
+
+  IDLE: {
+    states: AUTHENTICATED,
+    async handler(tag) {
+      await this.idle(tag);
+    }
+  },
+
+  CHECK: {
+    states: SELECTED,
+    async handler(tag) {
+      await this.refresh();
+      this.send(`${tag} OK CHECK completed`);
+    }
+  },
+
+  CLOSE: {
+    states: SELECTED,
+    async handler(tag) {
+      // Deleted messages are removed without EXPUNGE responses
+      if (!this.selected.readOnly) {
+        await expungeFolder(this.selected.folder);
+      }
+      this.selected = null;
+      this.state = STATE.AUTHENTICATED;
+      this.send(`${tag} OK CLOSE completed`);
+    }
+  },
+
+  UNSELECT: {
+    states: SELECTED,
+    async handler(tag) {
+      this.selected = null;
+      this.state = STATE.AUTHENTICATED;
+      this.send(`${tag} OK UNSELECT completed`);
+    }
+  },
+
+  EXPUNGE: {
+    states: SELECTED,
+    async handler(tag) {
+      if (this.selected.readOnly) {
+        throw imapError('NO', 'Folder is read-only');
+      }
+      this.removeEntries(await expungeFolder(this.selected.folder));
+      this.send(`${tag} OK EXPUNGE completed`);
+    }
+  },
+
+  SEARCH: {
+    states: SELECTED,
+    async handler(tag, args) {
+      await this.search(tag, args, false);
+    }
+  },
+
+  FETCH: {
+    states: SELECTED,
+    async handler(tag, args) {
+      await this.fetch(tag, args, false);
+    }
+  },
+
+  STORE: {
+    states: SELECTED,
+    async handler(tag, args) {
+      await this.store(tag, args, false);
+    }
+  },
+
+  COPY: {
+    states: SELECTED,
+    async handler(tag, args) {
+      await this.copy(tag, args, false, false);
+    }
+  },
+
+  MOVE: {
+    states: SELECTED,
+    async handler(tag, args) {
+      await this.copy(tag, args, false, true);
+    }
+  },
+
+  UID: {
+    states: SELECTED,
+    async handler(tag, args) {
+      const command = asString(args[0] || '').toUpperCase();
+      const rest = args.slice(1);
+      switch (command) {
+        case 'FETCH':
+          return this.fetch(tag, rest, true);
+        case 'STORE':
+          return this.store(tag, rest, true);
+        case 'SEARCH':
+          return this.search(tag, rest, true);
+        case 'COPY':
+          return this.copy(tag, rest, true, false);
+        case 'MOVE':
+          return this.copy(tag, rest, true, true);
+        default:
+          throw imapError('BAD', `Unknown UID command ${command}`);
+      }
+    }
+  }
+};
+
+/**
+ * IMAP listener with the same surface as smtp-server (listen, close, certificate updates)
+ */
+class IMAPServer extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.secureOptions = tlsService.getServerOptions();
+    this.connections = new Set();
+
+    const onConnection = socket => {
+      const connection = new ImapConnection(this, socket);
+      this.connections.add(connection);
+      connection.start();
+    };
+
+    this.server = options.secure
+      ? tls.createServer(this.secureOptions, onConnection)
+      : net.createServer(onConnection);
+    this.server.on('error', error => this.emit('error', error));
+  }
+
+  listen(...args) {
+    return this.server.listen(...args);
+  }
+
+  // Stop accepting connections and log out the connected clients
+  close(callback) {
+    this.server.close(callback);
+    for (const connection of this.connections) {
+      connection.send('* BYE Server shutting down');
+      connection.socket.end();
+    }
+  }
+
+  // Called by the TLS service when the default certificate changes
+  updateSecureContext(options) {
+    this.secureOptions = { ...this.secureOptions, ...options };
+  }
+}
+
+/**
+ * Create IMAP server for mailbox access
+ * @param {Object} [options] - Listener options
+ * @param {boolean} [options.secure=false] - Use implicit TLS instead of STARTTLS
+ * @returns {Promise<IMAPServer>} Configured IMAP server instance
+ */
+async function createIMAPServer({ secure = false } = {}) {
+  const config = await EmailConfig.getConfig();
+  const { useTLS } = config.security;
+
+  const server = new IMAPServer({
+    secure,
+    starttls: useTLS,
+    requireTLS: useTLS && config.security.requireTLS,
+    hostname: config.inbound.hostname,
+    maxLiteralSize: config.limits.maxMessageSize
+  });
+
+  // Follow certificate reloads
+  tlsService.registerServer(server);
+  return server;
+}
+
+module.exports = {
+  createIMAPServer,
+  encodeMailboxName,
+  decodeMailboxName
+};
@@ -0,0 +1,557 @@
+// POP3 server service - POP3 access to the INBOX of a mailbox (RFC 1939, 2449, 2595)
+const net = require('net');
+const tls = require('tls');
+const { Op } = require('sequelize');
+const { EventEmitter } = require('events');
+
+// Import models
+const Email = require('../models/email-model');
+const EmailConfig = require('../models/email-config-model');
+const Folder = require('../models/folder-model');
+const Message = require('../models/message-model');
+
+// Import services
+const tlsService = require('./tls-service');
+const { syncFolder, getFolderMessages, getRawMessage } = require('./folder-service');
+const { releaseMessages } = require('./delivery-service');
+
+// Import helpers
+const { splitEntity } = require('../utils/mime-utils');
+
+// Session states
+const STATE = {
+  AUTHORIZATION: 'authorization',
+  TRANSACTION: 'transaction',
+  UPDATE: 'update'
+};
+
+// Keyword given to messages deleted over POP3 while they are left on the server
+const POP3_DELETED = '$POP3Deleted';
+
+// Longest command line accepted (RFC 2449 allows 255 octets)
+const MAX_LINE_LENGTH = 1024;
+
+// Pipelined commands waiting to run before the connection is dropped
+const MAX_QUEUED_COMMANDS = 100;
+
+// Idle sessions are closed after 10 minutes (RFC 1939 section 3)
+const AUTOLOGOUT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Create an error answered with -ERR
+ * @param {string} message - Response text, may start with a response code
+ * @returns {Error}
+ */
+function popError(message) {
+  const error = new Error(message);
+  error.pop3 = true;
+  return error;
+}
+
+/**
+ * Prepare message text for a multi-line response: CRLF line endings and dot-stuffing
+ * @param {Buffer} data - Message text
+ * @returns {Buffer}
+ */
+function toMultiline(data) {
+  let text = data.toString('binary').replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  if (text.length > 0 && !text.endsWith('\r\n')) {
+    text += '\r\n';
+  }
+  return Buffer.from(`${text}.\r\n`, 'binary');
+}
+
+/**
+ * Parse a message number argument
+ * @param {string} value - Argument
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  return /^\d{1,9}$/.test(value || '') ? parseInt(value, 10) : null;
+}
+
+class Pop3Connection {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.secure = Boolean(server.options.secure);
+    this.remoteAddress = socket.remoteAddress;
+    this.state = STATE.AUTHORIZATION;
+    this.username = null;
+    this.user = null;
+
+    // Messages of the session as { message, size, deleted }, numbered from 1
+    this.entries = [];
+
+    // Commands run one at a time in arrival order (clients may pipeline)
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.processing = false;
+  }
+
+  start() {
+    this.bindSocket(this.socket);
+    this.send(`+OK ${this.server.options.hostname} POP3 server ready`);
+  }
+
+  bindSocket(socket) {
+    this.onData = chunk => this.read(chunk);
+    socket.on('data', this.onData);
+    socket.on('error', error => {
+      if (error.code !== 'ECONNRESET') {
+        console.error(`POP3 connection error from ${this.remoteAddress}:`, error.message);
+      }
+    });
+    socket.on('close', () => this.cleanup());
+    socket.setTimeout(AUTOLOGOUT_TIMEOUT, () => {
+      this.send('-ERR Autologout; idle for too long');
+      socket.end();
+    });
+  }
+
+  // Messages marked as deleted are kept when the session ends without QUIT
+  cleanup() {
+    if (this.user && this.server.locks.get(this.user.address) === this) {
+      this.server.locks.delete(this.user.address);
+    }
+    this.state = STATE.UPDATE;
+    this.server.connections.delete(this);
+  }
+
+  send(line) {
+    this.write(`${line}\r\n`);
+  }
+
+  write(data) {
+    if (this.socket.writable) {
+      this.socket.write(data);
+    }
+  }
+
+  capabilities() {
+    const capabilities = ['TOP', 'UIDL', 'RESP-CODES', 'AUTH-RESP-CODE', 'PIPELINING'];
+    if (!this.loginDisabled()) {
+      capabilities.push('USER');
+    }
+    if (!this.secure && this.server.options.starttls) {
+      capabilities.push('STLS');
+    }
+    capabilities.push('IMPLEMENTATION mail-server');
+    return capabilities;
+  }
+
+  loginDisabled() {
+    return !this.secure && Boolean(this.server.options.requireTLS);
+  }
+
+  read(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let end;
+    while ((end = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, end).toString('utf8').replace(/\r$/, '');
+      this.buffer = this.buffer.slice(end + 1);
+      this.queue.push(line);
+      if (this.queue.length > MAX_QUEUED_COMMANDS) {
+        this.drop('-ERR Too many pipelined commands');
+        return;
+      }
+    }
+
+    if (this.buffer.length > MAX_LINE_LENGTH) {
+      this.drop('-ERR Line too long');
+      return;
+    }
+
+    if (!this.processing) {
+      this.processQueue();
+    }
+  }
+
+  // Close the connection over a client misbehaving, the rest of its input is ignored
+  drop(response) {
+    this.send(response);
+    this.socket.removeListener('data', this.onData);
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.socket.end();
+  }
+
+  async processQueue() {
+    this.processing = true;
+    while (this.queue.length > 0 && this.state !== STATE.UPDATE) {
+      await this.handle(this.queue.shift());
+    }
+    this.processing = false;
+  }
+
+  async handle(line) {
+    try {
+      const [name, ...args] = line.trim().split(/\s+/);
+      const command = COMMANDS[(name || '').toUpperCase()];
+      if (!command) {
+        throw popError(`Unknown command ${name || ''}`.trim());
+      }
+      if (!command.states.includes(this.state)) {
+        throw popError(`${name.toUpperCase()} not allowed now`);
+      }
+
+      await command.handler.call(this, args);
+    } catch (error) {
+      if (error.pop3) {
+        this.send(`-ERR ${error.message}`);
+      } else {
+        console.error('Error handling POP3 command:', error);
+        this.send('-ERR [SYS/TEMP] Internal server error');
+      }
+    }
+  }
+
+  // Authenticate and take the maildrop lock, the INBOX is snapshotted for the session
+  async login(account) {
+    if (!account || !account.active) {
+      throw popError('[AUTH] Authentication failed');
+    }
+    if (this.server.locks.has(account.address)) {
+      throw popError('[IN-USE] Mailbox is locked by another POP3 session');
+    }
+    this.server.locks.set(account.address, this);
+    this.user = account;
+
+    try {
+      await Folder.ensureSystemFolders(account.address);
+      const inbox = await Folder.findBySpecialUse(account.address, Folder.SPECIAL_USE.INBOX);
+      await syncFolder(inbox);
+
+      const messages = await getFolderMessages(inbox);
+      this.entries = messages
+        .filter(message => !(message.flags || []).includes(POP3_DELETED))
+        .map(message => ({ message, size: message.rawChecksum ? message.rawSize : null, deleted: false }));
+    } catch (error) {
+      this.server.locks.delete(account.address);
+      this.user = null;
+      throw error;
+    }
+
+    this.state = STATE.TRANSACTION;
+    this.send(`+OK Logged in, ${this.entries.length} messages`);
+  }
+
+  // Look up a message that has not been marked as deleted
+  getEntry(value) {
+    const number = parseNumber(value);
+    if (number === null) {
+      throw popError('Invalid message number');
+    }
+
+    const entry = this.entries[number - 1];
+    if (!entry || entry.deleted) {
+      throw popError('No such message');
+    }
+    return entry;
+  }
+
+  // Size in octets, messages without a stored raw source are measured once rebuilt
+  async getSize(entry) {
+    if (entry.size === null) {
+      entry.size = (await getRawMessage(entry.message)).length;
+    }
+    return entry.size;
+  }
+
+  // Remove the messages marked as deleted, or hide them from POP3 when they are left on the server
+  async commitDeletions() {
+    const deleted = this.entries.filter(entry => entry.deleted).map(entry => entry.message);
+    if (deleted.length === 0) {
+      return 0;
+    }
+
+    if (this.server.options.leaveOnServer) {
+      for (const message of deleted) {
+        await message.update({ read: true, flags: [...new Set([...(message.flags || []), POP3_DELETED])] });
+      }
+    } else {
+      await Message.destroy({ where: { id: { [Op.in]: deleted.map(message => message.id) } } });
+      await releaseMessages(deleted);
+    }
+    return deleted.length;
+  }
+
+  startTLS() {
+    if (this.secure || !this.server.options.starttls) {
+      throw popError('TLS not available');
+    }
+
+    this.send('+OK Begin TLS negotiation now');
+    this.socket.removeListener('data', this.onData);
+    this.socket.setTimeout(0);
+
+    const secureSocket = new tls.TLSSocket(this.socket, {
+      isServer: true,
+      secureContext: tls.createSecureContext(this.server.secureOptions),
+      SNICallback: this.server.secureOptions.SNICallback
+    });
+    this.socket = secureSocket;
+    this.secure = true;
+    this.buffer = Buffer.alloc(0);
+    this.queue = [];
+    this.bindSocket(secureSocket);
+  }
+}
+
+// Commands by name with the states they are allowed in
+const AUTHORIZATION = [STATE.AUTHORIZATION];
+const TRANSACTION = [STATE.TRANSACTION];
+const ANY = [STATE.AUTHORIZATION, STATE.TRANSACTION];
+
+const COMMANDS = {
+  CAPA: {
+    states: ANY,
+    async handler() {
+      this.write(`+OK Capability list follows\r\n${this.capabilities().join('\r\n')}\r\n.\r\n`);
+    }
+  },
+
+  NOOP: {
+    states: TRANSACTION,
+    async handler() {
+      this.send('+OK');
+    }
+  },
+
+  QUIT: {
+    states: ANY,
+    async handler() {
+      if (this.state === STATE.AUTHORIZATION) {
+        this.state = STATE.UPDATE;
+        this.send(`+OK ${this.server.options.hostname} POP3 server signing off`);
+        this.socket.end();
+        return;
+      }
+
+      this.state = STATE.UPDATE;
+      try {
+        await this.commitDeletions();
+        const left = this.entries.filter(entry => !entry.deleted).length;
+        this.send(`+OK ${this.server.options.hostname} POP3 server signing off (${left} messages left)`);
+      } catch (error) {
+        console.error('Error removing POP3 deleted messages:', error);
+        this.send('-ERR [SYS/TEMP] Some deleted messages not removed');
+      }
+      this.socket.end();
+    }
+  },
+
+  STLS: {
+    states: AUTHORIZATION,
+    async handler() {
+      if (this.username) {
+        throw popError('STLS not allowed after USER');
+      }
+      this.startTLS();
+    }
+  },
+
+  USER: {
+    states: AUTHORIZATION,
+    async handler(args) {
+      if (this.loginDisabled()) {
+        throw popError('[SYS/PERM] Use STLS first');
+      }
+      if (args.length !== 1) {
+        throw popError('USER needs a mailbox address');
+      }
+      this.username = args[0];
+      this.send('+OK Send your password');
+    }
+  },
+
+  PASS: {
+    states: AUTHORIZATION,
+    async handler(args) {
+      if (!this.username) {
+        throw popError('Send USER first');
+      }
+
+      // Passwords may contain spaces
+      const username = this.username;
+      this.username = null;
+      await this.login(await Email.authenticate(username, args.join(' ')));
+    }
+  },
+
+  STAT: {
+    states: TRANSACTION,
+    async handler() {
+      const entries = this.entries.filter(entry => !entry.deleted);
+      let total = 0;
+      for (const entry of entries) {
+        total += await this.getSize(entry);
+      }
+      this.send(`+OK ${entries.length} ${total}`);
+    }
+  },
+
+  LIST: {
+    states: TRANSACTION,
+    async handler(args) {
+      if (args.length > 0) {
+        const entry = this.getEntry(args[0]);
+        this.send(`+OK ${args[0]} ${await this.getSize(entry)}`);
+        return;
+      }
+
+      const lines = ['+OK Scan listing follows'];
+      for (const [index, entry] of this.entries.entries()) {
+        if (!entry.deleted) {
+          lines.push(`${index + 1} ${await this.getSize(entry)}`);
+        }
+      }
+      this.write(`${lines.join('\r\n')}\r\n.\r\n`);
+    }
+  },
+
+  UIDL: {
+    states: TRANSACTION,
+    async handler(args) {
+      // Message IDs are unique and never reused, as RFC 1939 requires
+      if (args.length > 0) {
+        const entry = this.getEntry(args[0]);
+        this.send(`+OK ${args[0]} ${entry.message.id}`);
+        return;
+      }
+
+      const lines = ['+OK Unique-id listing follows'];
+      this.entries.forEach((entry, index) => {
+        if (!entry.deleted) {
+          lines.push(`${index + 1} ${entry.message.id}`);
+        }
+      });
+      this.write(`${lines.join('\r\n')}\r\n.\r\n`);
+    }
+  },
+
+  RETR: {
+    states: TRANSACTION,
+    async handler(args) {
+      const entry = this.getEntry(args[0]);
+      const raw = await getRawMessage(entry.message);
+
+      this.write(`+OK ${await this.getSize(entry)} octets\r\n`);
+      this.write(toMultiline(raw));
+
+      if (!entry.message.read) {
+        await entry.message.update({ read: true });
+      }
+    }
+  },
+
+  TOP: {
+    states: TRANSACTION,
+    async handler(args) {
+      const entry = this.getEntry(args[0]);
+      const lineCount = parseNumber(args[1]);
+      if (lineCount === null) {
+        throw popError('TOP needs a message number and a line count');
+      }
+
+      const { header, body } = splitEntity(await getRawMessage(entry.message));
+      const lines = body.toString('binary').split(/\r?\n/);
+      const text = lines.slice(0, lineCount).join('\r\n');
+
+      this.send('+OK Top of message follows');
+      this.write(toMultiline(Buffer.concat([header, Buffer.from(text, 'binary')])));
+    }
+  },
+
+  DELE: {
+    states: TRANSACTION,
+    async handler(args) {
+      const entry = this.getEntry(args[0]);
+      entry.deleted = true;
+      this.send(`+OK Message ${args[0]} deleted`);
+    }
+  },
+
+  RSET: {
+    states: TRANSACTION,
+    async handler() {
+      for (const entry of this.entries) {
+        entry.deleted = false;
+      }
+      this.send(`+OK ${this.entries.length} messages`);
+    }
+  }
+};
+
+/**
+ * POP3 listener with the same surface as smtp-server (listen, close, certificate updates)
+ */
+class POP3Server extends EventEmitter {
+  constructor(options) {
+    super();
+    this.options = options;
+    this.secureOptions = tlsService.getServerOptions();
+    this.connections = new Set();
+
+    // Sessions holding the maildrop lock, by mailbox address
+    this.locks = new Map();
+
+    const onConnection = socket => {
+      const connection = new Pop3Connection(this, socket);
+      this.connections.add(connection);
+      connection.start();
+    };
+
+    this.server = options.secure
+      ? tls.createServer(this.secureOptions, onConnection)
+      : net.createServer(onConnection);
+    this.server.on('error', error => this.emit('error', error));
+  }
+
+  listen(...args) {
+    return this.server.listen(...args);
+  }
+
+  // Stop accepting connections and close the open sessions without deleting anything
+  close(callback) {
+    this.server.close(callback);
+    for (const connection of this.connections) {
+      connection.send('-ERR [SYS/TEMP] Server shutting down');
+      connection.socket.end();
+    }
+  }
+
+  // Called by the TLS service when the default certificate changes
+  updateSecureContext(options) {
+    this.secureOptions = { ...this.secureOptions, ...options };
+  }
+}
+
+/**
+ * Create POP3 server for mailbox access
+ * @param {Object} [options] - Listener options
+ * @param {boolean} [options.secure=false] - Use implicit TLS instead of STLS
+ * @returns {Promise<POP3Server>} Configured POP3 server instance
+ */
+async function createPOP3Server({ secure = false } = {}) {
+  const config = await EmailConfig.getConfig();
+  const { useTLS } = config.security;
+
+  const server = new POP3Server({
+    secure,
+    starttls: useTLS,
+    requireTLS: useTLS && config.security.requireTLS,
+    hostname: config.inbound.hostname,
+    leaveOnServer: config.pop3.leaveOnServer
+  });
+
+  // Follow certificate reloads
+  tlsService.registerServer(server);
+  return server;
+}
+
+module.exports = {
+  createPOP3Server,
+  POP3_DELETED
+};
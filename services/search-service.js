@@ -0,0 +1,504 @@
+// Search service - query language and inverted index for searching the messages of a mailbox
+// Queries combine free text with operators, e.g. `from:bob subject:"weekly report" has:attachment invoice`
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Import models
+const Message = require('../models/message-model');
+const MessageBody = require('../models/message-body-model');
+const Folder = require('../models/folder-model');
+const SearchTerm = require('../models/search-term-model');
+const EmailConfig = require('../models/email-config-model');
+
+// Import services
+const { syncFolder } = require('./folder-service');
+
+// Words shorter than this are not indexed, nor searched for
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 64;
+
+// Characters of body text indexed per message
+const MAX_INDEXED_TEXT = 256 * 1024;
+
+// Messages indexed per batch, in one transaction
+const INDEX_BATCH_SIZE = 100;
+
+// Batches indexed for a mailbox right before it is searched, older mail is left to the background indexer
+const SEARCH_INDEX_BATCHES = 1;
+
+// Batches indexed per run of the background indexer
+const INDEXER_BATCHES = 20;
+
+// Length of result snippets in characters
+const SNIPPET_LENGTH = 160;
+
+// Words, combining marks included so decomposed letters stay in their word
+const WORD_REGEX = /[\p{L}\p{M}\p{N}]+/gu;
+
+// Query tokens: optional operator, then a quoted or bare value
+const QUERY_TOKEN_REGEX = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// Background indexer timer, and whether a run is in progress
+let indexTimer = null;
+let indexing = false;
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Lower case text and remove diacritics, so "Café" matches "cafe"
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function foldText(text) {
+  return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into distinct index terms
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const terms = new Set();
+  for (const [word] of foldText(text || '').matchAll(WORD_REGEX)) {
+    if (word.length >= MIN_TERM_LENGTH && word.length <= MAX_TERM_LENGTH) {
+      terms.add(word);
+    }
+  }
+  return [...terms];
+}
+
+/**
+ * Plain text of an HTML body, for messages that only have HTML
+ * @param {string} html - HTML content
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/gi, '&');
+}
+
+/**
+ * Body text of a message loaded with its body
+ * @param {Message} message - Stored message
+ * @returns {string}
+ */
+function messageText(message) {
+  const body = message.body;
+  if (!body) {
+    return '';
+  }
+  return body.textContent || (body.htmlContent ? htmlToText(body.htmlContent) : '');
+}
+
+/**
+ * Escape LIKE wildcards in a value
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Parse a date operand (YYYY-MM-DD or YYYY/MM/DD, UTC)
+ * @param {string} value - Operand
+ * @returns {Date}
+ * @throws {Error} When the date is invalid
+ */
+function parseDate(value) {
+  const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+  if (!date || date.getUTCMonth() !== Number(match[2]) - 1) {
+    throw httpError(400, `Invalid date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a search query
+ * Operators: from:, to:, subject:, has:attachment, is:unread, is:read, before:, after:, folder: (or in:)
+ * Other words are free text over subject and body, a trailing * matches words starting with it
+ * @param {string} query - Search query
+ * @returns {Object} Search criteria
+ * @throws {Error} When an operator has an invalid value
+ */
+function parseQuery(query) {
+  const criteria = {
+    terms: [],
+    from: [],
+    to: [],
+    subject: [],
+    hasAttachment: false,
+    unread: null,
+    before: null,
+    after: null,
+    folder: null
+  };
+
+  const addText = (value) => {
+    const terms = tokenize(value);
+    terms.forEach((term, index) => {
+      criteria.terms.push({ term, prefix: index === terms.length - 1 && value.endsWith('*') });
+    });
+  };
+
+  for (const match of (query || '').matchAll(QUERY_TOKEN_REGEX)) {
+    const operator = match[1] ? match[1].toLowerCase() : null;
+    const value = (match[2] !== undefined ? match[2] : match[3] || '').trim();
+
+    switch (operator) {
+      case 'from':
+      case 'to':
+      case 'subject':
+        if (value) {
+          criteria[operator].push(value);
+        }
+        break;
+      case 'has':
+        if (!['attachment', 'attachments'].includes(value.toLowerCase())) {
+          throw httpError(400, `Unknown search operator has:${value}`);
+        }
+        criteria.hasAttachment = true;
+        break;
+      case 'is':
+        if (!['unread', 'read'].includes(value.toLowerCase())) {
+          throw httpError(400, `Unknown search operator is:${value}`);
+        }
+        criteria.unread = value.toLowerCase() === 'unread';
+        break;
+      case 'before':
+      case 'after':
+        criteria[operator] = parseDate(value);
+        break;
+      case 'folder':
+      case 'in':
+        criteria.folder = value;
+        break;
+      case null:
+        addText(value);
+        break;
+      default:
+        // Not an operator, e.g. a URL
+        addText(match[0]);
+    }
+  }
+
+  return criteria;
+}
+
+/**
+ * Index the next batch of messages that are not in the search index yet, newest first
+ * @param {Object} [where] - Condition selecting the messages, all messages when omitted
+ * @returns {Promise<number>} Number of messages indexed
+ */
+async function indexBatch(where = {}) {
+  const messages = await Message.findAll({
+    where: { ...where, searchIndexed: false },
+    attributes: ['id', 'subject'],
+    include: [{
+      model: MessageBody,
+      as: 'body',
+      attributes: ['textContent', 'htmlContent'],
+      required: false
+    }],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit: INDEX_BATCH_SIZE
+  });
+  if (messages.length === 0) {
+    return 0;
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    for (const message of messages) {
+      const terms = tokenize(`${message.subject || ''}\n${messageText(message).slice(0, MAX_INDEXED_TEXT)}`);
+      await SearchTerm.indexMessage(message.id, terms, { transaction });
+    }
+    await Message.update({ searchIndexed: true }, {
+      where: { id: { [Op.in]: messages.map(message => message.id) } },
+      transaction
+    });
+  });
+  return messages.length;
+}
+
+/**
+ * Add the messages of a mailbox that are not in the search index yet, a bounded number of batches at a time
+ * @param {string} address - Mailbox address
+ * @param {number} [maxBatches] - Batches to index at most, the background indexer catches up with the rest
+ * @returns {Promise<number>} Number of messages indexed
+ */
+async function syncSearchIndex(address, maxBatches = SEARCH_INDEX_BATCHES) {
+  const where = Message.storedFor(address);
+
+  let indexed = 0;
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const count = await indexBatch(where);
+    indexed += count;
+    if (count < INDEX_BATCH_SIZE) {
+      break;
+    }
+  }
+  return indexed;
+}
+
+/**
+ * Index the messages of every mailbox that are not in the search index yet, a bounded number of batches per run
+ * @returns {Promise<number>} Number of messages indexed
+ */
+async function indexPendingMessages() {
+  if (indexing) {
+    return 0;
+  }
+
+  indexing = true;
+  try {
+    let indexed = 0;
+    for (let batch = 0; batch < INDEXER_BATCHES; batch++) {
+      const count = await indexBatch();
+      indexed += count;
+      if (count < INDEX_BATCH_SIZE) {
+        break;
+      }
+    }
+    return indexed;
+  } finally {
+    indexing = false;
+  }
+}
+
+/**
+ * Start the background indexer
+ * @returns {Promise<void>}
+ */
+async function startIndexer() {
+  stopIndexer();
+
+  const config = await EmailConfig.getConfig();
+  const interval = config.search.indexInterval * 1000;
+
+  indexTimer = setInterval(() => {
+    indexPendingMessages().catch(error => {
+      console.error('Error indexing messages for search:', error.message);
+    });
+  }, interval);
+  indexTimer.unref();
+}
+
+/**
+ * Stop the background indexer
+ */
+function stopIndexer() {
+  if (indexTimer) {
+    clearInterval(indexTimer);
+    indexTimer = null;
+  }
+}
+
+/**
+ * Ranges of the words in text that match search terms
+ * @param {string} text - Text
+ * @param {Array<Object>} terms - Terms as { term, prefix }
+ * @returns {Array<Array<number>>} [start, end] pairs
+ */
+function findMatches(text, terms) {
+  const ranges = [];
+  for (const match of text.matchAll(WORD_REGEX)) {
+    const word = foldText(match[0]);
+    if (terms.some(({ term, prefix }) => (prefix ? word.startsWith(term) : word === term))) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML for a part of text with matches wrapped in <mark>
+ * @param {string} text - Text
+ * @param {Array<Array<number>>} ranges - Matches from findMatches
+ * @param {number} start - Start of the part
+ * @param {number} end - End of the part
+ * @returns {string}
+ */
+function markMatches(text, ranges, start, end) {
+  let html = '';
+  let position = start;
+  for (const [from, to] of ranges) {
+    if (from < start || to > end) {
+      continue;
+    }
+    html += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+    position = to;
+  }
+  return html + escapeHtml(text.slice(position, end));
+}
+
+/**
+ * Highlighted excerpt of a text around its first match
+ * @param {string} text - Text
+ * @param {Array<Object>} terms - Terms as { term, prefix }
+ * @returns {string} HTML
+ */
+function buildSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const ranges = findMatches(flat, terms);
+
+  // Start a little before the first match, on a word boundary
+  let start = ranges.length > 0 ? Math.max(ranges[0][0] - 40, 0) : 0;
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    start = space !== -1 && space < ranges[0][0] ? space + 1 : ranges[0][0];
+  }
+
+  let end = Math.min(start + SNIPPET_LENGTH, flat.length);
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${markMatches(flat, ranges, start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Search the messages of a mailbox, newest first
+ * @param {string} address - Mailbox address
+ * @param {string} query - Search query
+ * @param {Object} [options] - { limit, offset, folder }
+ * @returns {Promise<Object>} { count, rows } with messages and their highlights as rows
+ * @throws {Error} When the query is empty or invalid, or the folder does not exist
+ */
+async function searchMessages(address, query, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+  const criteria = parseQuery(query);
+  const folderName = criteria.folder || options.folder || null;
+
+  // Conversations by default, any folder of the mailbox when one is named
+  const conditions = [folderName ? Message.storedFor(address) : Message.forMailbox(address)];
+
+  if (folderName) {
+    let folder = await Folder.findByName(address, folderName);
+    if (!folder) {
+      await Folder.ensureSystemFolders(address);
+      folder = await Folder.findByName(address, folderName);
+    }
+    if (!folder) {
+      throw httpError(404, 'Folder not found');
+    }
+    await syncFolder(folder);
+    conditions.push({ folderId: folder.id });
+  }
+
+  for (const { term, prefix } of criteria.terms) {
+    const match = prefix
+      ? `LIKE ${sequelize.escape(`${escapeLike(term)}%`)}`
+      : `= ${sequelize.escape(term)}`;
+    conditions.push({
+      id: { [Op.in]: sequelize.literal(`(SELECT \`message_id\` FROM \`search_terms\` WHERE \`term\` ${match})`) }
+    });
+  }
+  for (const value of criteria.from) {
+    conditions.push({ fromEmail: { [Op.like]: `%${escapeLike(value)}%` } });
+  }
+  for (const value of criteria.to) {
+    conditions.push({ toEmail: { [Op.like]: `%${escapeLike(value)}%` } });
+  }
+  for (const value of criteria.subject) {
+    conditions.push({ subject: { [Op.like]: `%${escapeLike(value)}%` } });
+  }
+  if (criteria.hasAttachment) {
+    conditions.push({ hasAttachments: true });
+  }
+  if (criteria.unread !== null) {
+    conditions.push({ read: !criteria.unread });
+  }
+  if (criteria.after) {
+    conditions.push({ createdAt: { [Op.gte]: criteria.after } });
+  }
+  if (criteria.before) {
+    conditions.push({ createdAt: { [Op.lt]: criteria.before } });
+  }
+
+  if (conditions.length === 1) {
+    throw httpError(400, 'Search query is empty');
+  }
+
+  // Recent mail is indexed first, the background indexer may still be catching up with older mail
+  if (criteria.terms.length > 0) {
+    await syncSearchIndex(address);
+  }
+
+  const { count, rows } = await Message.findAndCountAll({
+    where: { [Op.and]: conditions },
+    include: [{
+      model: MessageBody,
+      as: 'body',
+      attributes: ['textContent', 'htmlContent'],
+      required: false
+    }],
+    order: [['createdAt', 'DESC'], ['id', 'DESC']],
+    limit,
+    offset,
+    distinct: true
+  });
+
+  // Subject operands are substrings, highlight the words starting with them
+  const highlightTerms = [
+    ...criteria.terms,
+    ...criteria.subject.flatMap(value => tokenize(value).map(term => ({ term, prefix: true })))
+  ];
+
+  return {
+    count,
+    rows: rows.map(message => {
+      const subject = message.subject || '';
+      return {
+        ...message.toJSON(),
+        highlights: {
+          subject: markMatches(subject, findMatches(subject, highlightTerms), 0, subject.length),
+          snippet: buildSnippet(messageText(message), highlightTerms)
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  tokenize,
+  parseQuery,
+  syncSearchIndex,
+  indexPendingMessages,
+  searchMessages,
+  startIndexer,
+  stopIndexer
+};
@@ -6,61 +6,360 @@ const { simpleParser } = require('mailparser');
 const Message = require('../models/message-model');
 const Email = require('../models/email-model');
 const EmailConfig = require('../models/email-config-model');
+const Suppression = require('../models/suppression-model');
+
+// Import services
+const emailService = require('./email-service');
+const tlsService = require('./tls-service');
+const { resolveRecipient, deliverInbound } = require('./delivery-service');
+const { isReport, handleInboundBounce, handleInboundComplaint } = require('./bounce-service');
+const { getBlobStore, spoolStream, readSpooled, prependSpooled, putSpooled, discardSpooled } = require('./blob-service');
+const { checkSpf, receivedSpfHeader } = require('./spf-service');
+const { verifyDkim } = require('./dkim-service');
+const { checkDmarc, recordDmarcResult, authenticationResultsHeader } = require('./dmarc-service');
+
+// Import helpers
+const { removeHeaderFields } = require('../utils/mime-utils');
+
+/**
+ * Create an error carrying an SMTP response code
+ * @param {number} responseCode - SMTP response code
+ * @param {string} message - Response text
+ * @returns {Error}
+ */
+function smtpError(responseCode, message) {
+  const error = new Error(message);
+  error.responseCode = responseCode;
+  return error;
+}
+
+/**
+ * Check an authenticated user's sending limits
+ * @param {Object} session - SMTP session
+ * @param {Object} limits - EmailConfig limits ({ maxRecipients, rateLimit })
+ * @param {number} recipients - Recipients the current transaction would have
+ * @returns {Promise<Error|null>} SMTP error when a limit is exceeded
+ */
+async function checkSendingLimits(session, limits, recipients) {
+  if (limits.maxRecipients && recipients > limits.maxRecipients) {
+    return smtpError(452, `Too many recipients (maximum ${limits.maxRecipients})`);
+  }
+
+  if (limits.rateLimit) {
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+    const sentLastHour = await Message.countSentSince(session.user.address, since);
+    if (sentLastHour + recipients > limits.rateLimit) {
+      return smtpError(450, `Sending rate limit exceeded (${limits.rateLimit} per hour)`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Evaluate SPF for mail from an unauthenticated client, the verdict is kept on the session
+ * @param {Object} address - MAIL FROM address from smtp-server
+ * @param {Object} session - SMTP session
+ * @param {Object} spamProtection - EmailConfig spamProtection ({ spfCheck, rejectSpfFail })
+ * @returns {Promise<Error|null>} SMTP error when the sender is refused
+ */
+async function checkSenderPolicy(address, session, spamProtection) {
+  session.spf = null;
+  if (!spamProtection.spfCheck) {
+    return null;
+  }
+
+  session.spf = await checkSpf({
+    ip: session.remoteAddress,
+    sender: address.address,
+    helo: session.hostNameAppearsAs
+  });
+
+  if (session.spf.result === 'fail' && spamProtection.rejectSpfFail) {
+    const { domain, clientIp } = session.spf;
+    return smtpError(550, `5.7.23 SPF validation failed: ${domain} does not designate ${clientIp} as permitted sender`);
+  }
+  return null;
+}
+
+/**
+ * Verify the DKIM signatures of a received message
+ * @param {Object} spooled - Spooled raw message
+ * @param {Object} spamProtection - EmailConfig spamProtection ({ dkimCheck })
+ * @returns {Promise<Object|null>} Verdict from verifyDkim, null when not checked
+ */
+async function checkSignatures(spooled, spamProtection) {
+  if (!spamProtection.dkimCheck) {
+    return null;
+  }
+
+  try {
+    return await verifyDkim(readSpooled(spooled));
+  } catch (err) {
+    // An unexpected failure only loses the verdict, the message is still accepted
+    console.error('Error verifying DKIM signatures:', err);
+    return null;
+  }
+}
+
+/**
+ * Evaluate the author domain's DMARC policy for a message from an unauthenticated client
+ * The verdict is recorded for aggregate reports
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {Object} session - SMTP session
+ * @param {Object} results - { spf, dkim } verdicts
+ * @param {Object} spamProtection - EmailConfig spamProtection ({ dmarcCheck })
+ * @returns {Promise<Object|null>} Verdict from checkDmarc, null when not checked
+ */
+async function checkAuthorPolicy(parsedMail, session, results, spamProtection) {
+  if (!spamProtection.dmarcCheck) {
+    return null;
+  }
+
+  let dmarc;
+  try {
+    dmarc = await checkDmarc(parsedMail, results);
+  } catch (err) {
+    console.error('Error evaluating DMARC policy:', err);
+    return null;
+  }
+
+  try {
+    await recordDmarcResult(dmarc, {
+      ...results,
+      sourceIp: session.remoteAddress,
+      envelopeFrom: session.envelope.mailFrom ? session.envelope.mailFrom.address : null,
+      messageId: parsedMail.messageId
+    });
+  } catch (err) {
+    console.error('Error recording DMARC result:', err);
+  }
+  return dmarc;
+}
+
+/**
+ * Build the trace headers recording how a message was authenticated
+ * @param {string} receiver - Host name of this server
+ * @param {Object} results - { spf, dkim, dmarc } verdicts
+ * @returns {string} Header lines, empty when nothing was checked
+ */
+function traceHeaders(receiver, { spf, dkim, dmarc }) {
+  if (!spf && !dkim && !dmarc) {
+    return '';
+  }
+  return authenticationResultsHeader(receiver, { spf, dkim, dmarc }) +
+    (spf ? receivedSpfHeader(spf, receiver) : '');
+}
+
+/**
+ * Add trace headers to a parsed message, as if they had been parsed with it
+ * Copies of the same headers supplied by the sender are dropped
+ * @param {Object} parsedMail - Mail parsed by mailparser
+ * @param {string} trace - Header lines from traceHeaders
+ */
+function addTraceHeaders(parsedMail, trace) {
+  const entries = trace.split(/\r\n(?![ \t])/).filter(Boolean).map(line => {
+    const colon = line.indexOf(':');
+    return [line.slice(0, colon).toLowerCase(), line.slice(colon + 1).replace(/\r\n[ \t]/g, ' ').trim()];
+  });
+  const keys = new Set(entries.map(([key]) => key));
+  parsedMail.headers = new Map([...entries, ...[...parsedMail.headers].filter(([key]) => !keys.has(key))]);
+}
+
+/**
+ * Verify SMTP AUTH credentials against Email accounts
+ * @param {Object} auth - Credentials from smtp-server ({ method, username, password })
+ * @param {Object} session - SMTP session
+ * @param {Function} callback - smtp-server callback
+ */
+function onAuth(auth, session, callback) {
+  if (!['PLAIN', 'LOGIN'].includes(auth.method)) {
+    return callback(smtpError(504, 'Unrecognized authentication type'));
+  }
+
+  Email.authenticate(auth.username, auth.password)
+    .then(account => {
+      // Temporary inboxes are receive-only
+      if (!account || !account.active || account.temporary) {
+        return callback(smtpError(535, 'Authentication credentials invalid'));
+      }
+      callback(null, { user: account });
+    })
+    .catch(err => {
+      console.error('Error during SMTP authentication:', err);
+      callback(smtpError(454, 'Temporary authentication failure'));
+    });
+}
+
+/**
+ * Only let authenticated users send as their own address and within their limits,
+ * check the sending host of everyone else against the sender domain's SPF policy
+ */
+function onMailFrom(address, session, callback) {
+  if (this.options.requireTLS && !session.secure) {
+    return callback(smtpError(530, 'Must issue a STARTTLS command first'));
+  }
+  if (!session.user) {
+    return checkSenderPolicy(address, session, this.options.spamProtection)
+      .then(error => callback(error))
+      .catch(err => {
+        // An unexpected failure only loses the verdict, the message is still accepted
+        console.error('Error checking SPF:', err);
+        session.spf = null;
+        callback();
+      });
+  }
+  if (address.address.toLowerCase() !== session.user.address.toLowerCase()) {
+    return callback(smtpError(553, `Sender address rejected: not owned by ${session.user.address}`));
+  }
+
+  checkSendingLimits(session, this.options.limits, 0)
+    .then(error => callback(error))
+    .catch(err => {
+      console.error('Error checking sending limits:', err);
+      callback(smtpError(451, 'Temporary failure checking sending limits'));
+    });
+}
+
+/**
+ * Accept local recipients from anyone and remote recipients only from authenticated users
+ */
+function onRcptTo(address, session, callback) {
+  const limits = this.options.limits;
+
+  resolveRecipient(address.address)
+    .then(async target => {
+      if (target.reject) {
+        return callback(smtpError(550, `Mailbox unavailable: ${address.address}`));
+      }
+      if (!target.local && !session.user) {
+        return callback(smtpError(554, `Relay access denied: ${address.address}`));
+      }
+      if (session.user) {
+        const error = await checkSendingLimits(session, limits, session.envelope.rcptTo.length + 1);
+        if (error) {
+          return callback(error);
+        }
+
+        // Never send to addresses that bounced or complained
+        const senderDomain = session.envelope.mailFrom.address.split('@')[1];
+        const [entry] = await Suppression.findSuppressed(senderDomain, [address.address]);
+        if (entry) {
+          return callback(smtpError(550, `Recipient ${address.address} is on the suppression list (${entry.reason})`));
+        }
+      }
+      callback();
+    })
+    .catch(err => {
+      console.error('Error checking recipient:', err);
+      callback(smtpError(451, 'Temporary failure checking recipient'));
+    });
+}
 
 /**
  * Create SMTP server for receiving emails
+ * @param {Object} [options] - Listener options
+ * @param {boolean} [options.secure=false] - Use implicit TLS instead of STARTTLS
+ * @param {boolean} [options.submission=false] - Message submission listener (AUTH and TLS required)
  * @returns {Promise<SMTPServer>} Configured SMTP server instance
  */
-async function createSMTPServer() {
+async function createSMTPServer({ secure = false, submission = false } = {}) {
   try {
     // Get email server configuration
     const config = await EmailConfig.getConfig();
+    const { useTLS } = config.security;
+    const requireTLS = submission || (useTLS && config.security.requireTLS);
     
-    return new SMTPServer({
-      secure: false,
-      authOptional: true,
-      disabledCommands: ['STARTTLS'],
+    const server = new SMTPServer({
+      ...tlsService.getServerOptions(),
+      secure,
+      requireTLS,
+      limits: config.limits,
+      spamProtection: config.spamProtection,
+      authOptional: !submission && !config.inbound.requireAuth,
+      authMethods: ['PLAIN', 'LOGIN'],
+      allowInsecureAuth: !requireTLS,
+      disabledCommands: useTLS || submission ? [] : ['STARTTLS'],
       size: config.limits.maxMessageSize,
+      onAuth,
+      onMailFrom,
+      onRcptTo,
       onData(stream, session, callback) {
-        let mailData = '';
-        stream.on('data', chunk => {
-          mailData += chunk.toString();
-        });
-
-        stream.on('end', async () => {
-          try {
-            // Parse the email
-            const parsedMail = await simpleParser(mailData);
-            // Extract recipient email
-            const to = parsedMail.to.value[0].address;
-            console.log('Received email for:', to);
-            
-            // Prepare message data 
-            const messageData = {
-              messageId: parsedMail.messageId,
-              fromEmail: parsedMail.from.value[0].address,
-              toEmail: to,
-              subject: parsedMail.subject || '',
-              textContent: parsedMail.text || '',
-              htmlContent: parsedMail.html || '',
-              sent: false,
-              read: false,
-              status: 'received',
-              headers: parsedMail.headers,
-              hasAttachments: parsedMail.attachments && parsedMail.attachments.length > 0
-            };
-
-            // Save message to database whether recipient exists or not
-            await Message.create(messageData);
-            
+        // Stream the message to disk instead of buffering it, binary content is kept as is
+        const { spamProtection } = config;
+        spoolStream(stream, { maxSize: config.limits.maxMessageSize })
+          .then(async spooled => {
+            if (stream.sizeExceeded || spooled.sizeExceeded) {
+              await discardSpooled(spooled);
+              return callback(smtpError(552, 'Error: message exceeds fixed maximum message size'));
+            }
+
+            // Parse and authenticate the spooled copy, the sender's policy decides whether it is kept
+            let parsedMail, spf, dkim, dmarc;
+            try {
+              parsedMail = await simpleParser(readSpooled(spooled));
+              spf = session.user ? null : session.spf;
+              dkim = await checkSignatures(spooled, spamProtection);
+              dmarc = session.user ? null : await checkAuthorPolicy(parsedMail, session, { spf, dkim }, spamProtection);
+            } catch (err) {
+              await discardSpooled(spooled);
+              throw err;
+            }
+
+            const enforced = dmarc && spamProtection.enforceDmarcPolicy ? dmarc.disposition : 'none';
+            if (enforced === 'reject') {
+              await discardSpooled(spooled);
+              return callback(smtpError(550, `5.7.1 Message rejected per DMARC policy for ${dmarc.domain}`));
+            }
+
+            // Mail from other servers carries the results as trace headers on top of the message
+            // Results the sender wrote itself cannot be told apart from ours and are removed (RFC 8601 section 5)
+            const trace = session.user ? '' : traceHeaders(config.inbound.hostname, { spf, dkim, dmarc });
+            if (trace) {
+              addTraceHeaders(parsedMail, trace);
+            }
+            const blob = await putSpooled(trace
+              ? await prependSpooled(spooled, trace, removeHeaderFields(['Authentication-Results']))
+              : spooled);
+            const store = getBlobStore();
+
+            // Complaints and bounces for mail we sent are linked to the original message
+            // Reports are small, only those are read back into memory
+            const reportRaw = !session.user && isReport(parsedMail) ? await store.get(blob.key) : null;
+            const bounced = reportRaw
+              ? await handleInboundComplaint(parsedMail, reportRaw, session.envelope) ||
+                await handleInboundBounce(parsedMail, reportRaw, session.envelope)
+              : null;
+
+            const messages = await deliverInbound(parsedMail, session.envelope, {
+              source: { rawChecksum: blob.checksum, rawSize: blob.size },
+              bouncedMessageId: bounced ? bounced.id : null,
+              spf,
+              dkim,
+              dmarc,
+              quarantine: enforced === 'quarantine'
+            });
+            console.log(`Delivered email to ${messages.length} mailbox(es)`);
+
+            // Authenticated users may also send to remote recipients
+            if (session.user) {
+              await emailService.submitMessage(parsedMail, session.envelope, {
+                source: { rawChecksum: blob.checksum, rawSize: blob.size }
+              });
+            }
+
             callback();
-          } catch (err) {
+          })
+          .catch(err => {
             console.error('Error processing incoming email:', err);
             callback(new Error('Error processing email'));
-          }
-        });
+          });
       }
     });
+
+    // Follow certificate reloads
+    tlsService.registerServer(server);
+    return server;
   } catch (error) {
     console.error('Error creating SMTP server:', error);
     // Fallback configuration if we can't get from database
@@ -0,0 +1,558 @@
+// SPF service - evaluates the Sender Policy Framework policy of a sending domain (RFC 7208)
+const dns = require('dns');
+const net = require('net');
+
+// DNS resolver used for policy lookups (replaceable for tests)
+let resolver = dns.promises;
+
+/**
+ * Replace the DNS resolver used for SPF lookups
+ * @param {Object} options - { resolver } with resolveTxt, resolve4, resolve6, resolveMx and reverse
+ */
+function configureSpf(options = {}) {
+  if (options.resolver) resolver = options.resolver;
+}
+
+// Results of check_host() (RFC 7208 section 2.6)
+const RESULTS = ['none', 'neutral', 'pass', 'fail', 'softfail', 'temperror', 'permerror'];
+
+// Result of a matching mechanism by qualifier
+const QUALIFIERS = { '+': 'pass', '-': 'fail', '~': 'softfail', '?': 'neutral' };
+
+// Terms that query DNS, at most 10 per evaluation (RFC 7208 section 4.6.4)
+const MAX_DNS_LOOKUPS = 10;
+
+// Lookups answered with no records, at most 2 per evaluation
+const MAX_VOID_LOOKUPS = 2;
+
+// Names looked at by a single mx or ptr mechanism
+const MAX_NAME_LOOKUPS = 10;
+
+const MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+
+/**
+ * Create an error that ends the evaluation with temperror or permerror
+ * @param {string} result - temperror or permerror
+ * @param {string} message - Problem description
+ * @returns {Error}
+ */
+function spfError(result, message) {
+  const error = new Error(message);
+  error.spfResult = result;
+  return error;
+}
+
+/**
+ * Numeric value of an IPv4 address
+ * @param {string} address - Dotted quad
+ * @returns {bigint}
+ */
+function ipv4Value(address) {
+  return address.split('.').reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+}
+
+/**
+ * Numeric value of an IPv6 address
+ * @param {string} address - IPv6 address, an embedded IPv4 tail is allowed
+ * @returns {bigint}
+ */
+function ipv6Value(address) {
+  let text = address.split('%')[0];
+  const tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (tail) {
+    const value = ipv4Value(tail[1]);
+    text = `${text.slice(0, -tail[1].length)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, rest] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const restParts = rest ? rest.split(':') : [];
+  const parts = rest === undefined
+    ? headParts
+    : [...headParts, ...Array(8 - headParts.length - restParts.length).fill('0'), ...restParts];
+  return parts.reduce((value, part) => (value << 16n) + BigInt(parseInt(part, 16)), 0n);
+}
+
+/**
+ * Parse an IP address
+ * @param {string} address - IP address
+ * @param {boolean} [unmap=true] - Treat IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) as IPv4
+ * @returns {Object|null} { address, family, value, bits }
+ */
+function parseIp(address, unmap = true) {
+  let ip = String(address || '');
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (unmap && mapped) {
+    ip = mapped[1];
+  }
+
+  if (net.isIPv4(ip)) {
+    return { address: ip, family: 4, value: ipv4Value(ip), bits: 32 };
+  }
+  if (net.isIPv6(ip)) {
+    return { address: ip, family: 6, value: ipv6Value(ip), bits: 128 };
+  }
+  return null;
+}
+
+/**
+ * Check whether an address is within a network
+ * @param {Object} ip - Address from parseIp
+ * @param {string} network - Network address
+ * @param {number} prefix - Prefix length
+ * @returns {boolean}
+ */
+function inNetwork(ip, network, prefix) {
+  const range = parseIp(network, false);
+  if (!range || range.family !== ip.family) {
+    return false;
+  }
+  const shift = BigInt(ip.bits - prefix);
+  return (ip.value >> shift) === (range.value >> shift);
+}
+
+/**
+ * Check that a name is a usable domain (RFC 7208 section 4.3)
+ * @param {string} domain - Domain name
+ * @returns {boolean}
+ */
+function isValidDomain(domain) {
+  const labels = (domain || '').replace(/\.$/, '').split('.');
+  return labels.length > 1 &&
+    domain.length <= 253 &&
+    labels.every(label => label.length > 0 && label.length <= 63);
+}
+
+/**
+ * Value of a macro letter (RFC 7208 section 7.3)
+ * @param {string} letter - Macro letter in lower case
+ * @param {Object} context - Evaluation context
+ * @returns {string}
+ */
+function macroValue(letter, context) {
+  const { ip } = context;
+  switch (letter) {
+    case 's':
+      return context.sender;
+    case 'l':
+      return context.sender.slice(0, context.sender.lastIndexOf('@'));
+    case 'o':
+      return context.sender.slice(context.sender.lastIndexOf('@') + 1);
+    case 'd':
+      return context.domain;
+    case 'i':
+      return ip.family === 4
+        ? ip.address
+        : ip.value.toString(16).padStart(32, '0').split('').join('.');
+    case 'p':
+      // Validating the client's name costs lookups the RFC advises against, "unknown" is allowed
+      return 'unknown';
+    case 'v':
+      return ip.family === 4 ? 'in-addr' : 'ip6';
+    case 'h':
+      return context.helo || 'unknown';
+    case 'c':
+      return ip.address;
+    case 'r':
+      return context.receiver || 'unknown';
+    case 't':
+      return String(Math.floor(Date.now() / 1000));
+    default:
+      throw spfError('permerror', `Unknown macro letter ${letter}`);
+  }
+}
+
+/**
+ * Expand the macros of a domain-spec (RFC 7208 section 7)
+ * @param {string} spec - Text with macros
+ * @param {Object} context - Evaluation context
+ * @returns {string}
+ */
+function expandMacros(spec, context) {
+  let output = '';
+  for (let i = 0; i < spec.length; i++) {
+    if (spec[i] !== '%') {
+      output += spec[i];
+      continue;
+    }
+
+    const next = spec[i + 1];
+    if (next === '%' || next === '_' || next === '-') {
+      output += { '%': '%', '_': ' ', '-': '%20' }[next];
+      i++;
+      continue;
+    }
+
+    const end = spec.indexOf('}', i);
+    const macro = next === '{' && end !== -1
+      ? /^([slodiphcrtv])(\d*)(r?)([.\-+,/_=]*)$/i.exec(spec.slice(i + 2, end))
+      : null;
+    if (!macro || 'crt'.includes(macro[1].toLowerCase())) {
+      throw spfError('permerror', `Invalid macro in ${spec}`);
+    }
+
+    const delimiters = macro[4] || '.';
+    let parts = macroValue(macro[1].toLowerCase(), context)
+      .split(new RegExp(`[${delimiters.replace(/[-\]\\/]/g, '\\$&')}]`));
+    if (macro[3]) {
+      parts.reverse();
+    }
+    if (macro[2]) {
+      const count = parseInt(macro[2], 10);
+      if (count === 0) {
+        throw spfError('permerror', `Invalid macro in ${spec}`);
+      }
+      parts = parts.slice(-count);
+    }
+
+    // Upper case macros are URL-escaped
+    const value = parts.join('.');
+    output += macro[1] === macro[1].toUpperCase() ? encodeURIComponent(value) : value;
+    i = end;
+  }
+
+  // Over-long results lose labels from the left
+  let domain = output.replace(/\.$/, '');
+  while (domain.length > 253 && domain.includes('.')) {
+    domain = domain.slice(domain.indexOf('.') + 1);
+  }
+  return domain;
+}
+
+/**
+ * Parse the terms of an SPF record
+ * @param {string} record - Record text starting with v=spf1
+ * @returns {Object} { mechanisms, redirect }
+ * @throws {Error} permerror on syntax errors
+ */
+function parseRecord(record) {
+  const mechanisms = [];
+  const modifiers = {};
+
+  for (const term of record.split(' ').slice(1).filter(Boolean)) {
+    const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(term);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if ((name === 'redirect' || name === 'exp') && name in modifiers) {
+        throw spfError('permerror', `Duplicate ${name} modifier`);
+      }
+      modifiers[name] = modifier[2];
+      continue;
+    }
+
+    const mechanism = /^([+\-~?]?)([a-z][a-z0-9_.-]*)(?::([^/]*|.*?))?((?:\/\d+)?(?:\/\/\d+)?)$/i.exec(term);
+    const name = mechanism ? mechanism[2].toLowerCase() : null;
+    if (!mechanism || !MECHANISMS.includes(name)) {
+      throw spfError('permerror', `Unknown mechanism ${term}`);
+    }
+
+    const [, cidr4, cidr6] = /^(?:\/(\d+))?(?:\/\/(\d+))?$/.exec(mechanism[4]);
+    const entry = {
+      term,
+      qualifier: QUALIFIERS[mechanism[1] || '+'],
+      name,
+      argument: mechanism[3],
+      cidr4: cidr4 !== undefined ? parseInt(cidr4, 10) : 32,
+      cidr6: cidr6 !== undefined ? parseInt(cidr6, 10) : 128
+    };
+
+    // ip6 takes its prefix after a single slash
+    if (name === 'ip6') {
+      entry.cidr6 = cidr4 !== undefined ? parseInt(cidr4, 10) : 128;
+    }
+
+    const needsArgument = ['include', 'exists', 'ip4', 'ip6'].includes(name);
+    if ((needsArgument && !entry.argument) || (name === 'all' && (entry.argument !== undefined || mechanism[4]))) {
+      throw spfError('permerror', `Invalid mechanism ${term}`);
+    }
+    if (entry.cidr4 > 32 || entry.cidr6 > 128 || (name === 'ip6' && cidr6 !== undefined)) {
+      throw spfError('permerror', `Invalid prefix length in ${term}`);
+    }
+    if ((name === 'ip4' && !net.isIPv4(entry.argument)) || (name === 'ip6' && !net.isIPv6(entry.argument))) {
+      throw spfError('permerror', `Invalid address in ${term}`);
+    }
+    mechanisms.push(entry);
+  }
+
+  return { mechanisms, redirect: modifiers.redirect || null };
+}
+
+/**
+ * Count a term that queries DNS
+ * @param {Object} state - Evaluation state
+ */
+function countLookup(state) {
+  state.lookups++;
+  if (state.lookups > MAX_DNS_LOOKUPS) {
+    throw spfError('permerror', `More than ${MAX_DNS_LOOKUPS} DNS lookups`);
+  }
+}
+
+/**
+ * Query DNS, missing names and record types give no records
+ * @param {Object} state - Evaluation state
+ * @param {string} method - Resolver method (resolve4, resolve6, resolveMx, resolveTxt)
+ * @param {string} name - Name to query
+ * @param {boolean} [countVoid=true] - Count an empty answer against the void lookup limit
+ * @returns {Promise<Array>}
+ */
+async function query(state, method, name, countVoid = true) {
+  let records;
+  try {
+    records = await resolver[method](name);
+  } catch (error) {
+    if (error.code !== dns.NOTFOUND && error.code !== dns.NODATA) {
+      throw spfError('temperror', `DNS error looking up ${name}: ${error.code || error.message}`);
+    }
+    records = [];
+  }
+
+  if (records.length === 0 && countVoid) {
+    state.voidLookups++;
+    if (state.voidLookups > MAX_VOID_LOOKUPS) {
+      throw spfError('permerror', `More than ${MAX_VOID_LOOKUPS} void DNS lookups`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Check whether one of a host's addresses is the client address
+ * @param {Object} state - Evaluation state
+ * @param {Object} context - Evaluation context
+ * @param {string} host - Host name
+ * @param {Object} mechanism - Parsed mechanism with its prefix lengths
+ * @param {boolean} countVoid - Count an empty answer against the void lookup limit
+ * @returns {Promise<boolean>}
+ */
+async function hostMatches(state, context, host, mechanism, countVoid) {
+  const { ip } = context;
+  const addresses = await query(state, ip.family === 4 ? 'resolve4' : 'resolve6', host, countVoid);
+  const prefix = ip.family === 4 ? mechanism.cidr4 : mechanism.cidr6;
+  return addresses.some(address => inNetwork(ip, address, prefix));
+}
+
+/**
+ * Evaluate one mechanism
+ * @param {Object} mechanism - Parsed mechanism
+ * @param {Object} context - Evaluation context
+ * @param {Object} state - Evaluation state
+ * @returns {Promise<boolean>} Whether the mechanism matches
+ */
+async function matchMechanism(mechanism, context, state) {
+  const { ip } = context;
+  const target = mechanism.argument ? expandMacros(mechanism.argument, context) : context.domain;
+
+  switch (mechanism.name) {
+    case 'all':
+      return true;
+
+    case 'ip4':
+      return ip.family === 4 && inNetwork(ip, mechanism.argument, mechanism.cidr4);
+
+    case 'ip6':
+      return ip.family === 6 && inNetwork(ip, mechanism.argument, mechanism.cidr6);
+
+    case 'a':
+      countLookup(state);
+      return hostMatches(state, context, target, mechanism, true);
+
+    case 'mx': {
+      countLookup(state);
+      const exchanges = await query(state, 'resolveMx', target);
+      if (exchanges.length > MAX_NAME_LOOKUPS) {
+        throw spfError('permerror', `More than ${MAX_NAME_LOOKUPS} MX records for ${target}`);
+      }
+      for (const { exchange } of exchanges) {
+        if (await hostMatches(state, context, exchange, mechanism, false)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    case 'ptr': {
+      countLookup(state);
+      let names;
+      try {
+        names = await resolver.reverse(ip.address);
+      } catch (error) {
+        return false;
+      }
+
+      // Only names that resolve back to the client count
+      for (const name of names.slice(0, MAX_NAME_LOOKUPS)) {
+        const host = name.replace(/\.$/, '').toLowerCase();
+        if ((host === target.toLowerCase() || host.endsWith(`.${target.toLowerCase()}`)) &&
+            await hostMatches(state, context, host, { cidr4: 32, cidr6: 128 }, false)) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    case 'exists':
+      countLookup(state);
+      return (await query(state, 'resolve4', target)).length > 0;
+
+    case 'include': {
+      countLookup(state);
+      const included = await checkHost({ ...context, domain: target }, state);
+      if (included.result === 'none') {
+        throw spfError('permerror', `Included domain ${target} has no SPF record`);
+      }
+      return included.result === 'pass';
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * The check_host() function (RFC 7208 section 4)
+ * temperror and permerror are thrown, other results returned
+ * @param {Object} context - { ip, sender, domain, helo, receiver }
+ * @param {Object} state - { lookups, voidLookups } shared by nested evaluations
+ * @returns {Promise<Object>} { result, mechanism }
+ */
+async function checkHost(context, state) {
+  if (!isValidDomain(context.domain)) {
+    return { result: 'none', mechanism: null };
+  }
+
+  let records;
+  try {
+    records = await resolver.resolveTxt(context.domain);
+  } catch (error) {
+    if (error.code !== dns.NOTFOUND && error.code !== dns.NODATA) {
+      throw spfError('temperror', `DNS error looking up ${context.domain}: ${error.code || error.message}`);
+    }
+    records = [];
+  }
+
+  const policies = records
+    .map(chunks => [].concat(chunks).join(''))
+    .filter(record => /^v=spf1( |$)/i.test(record));
+  if (policies.length === 0) {
+    return { result: 'none', mechanism: null };
+  }
+  if (policies.length > 1) {
+    throw spfError('permerror', `Multiple SPF records for ${context.domain}`);
+  }
+
+  const { mechanisms, redirect } = parseRecord(policies[0]);
+  for (const mechanism of mechanisms) {
+    if (await matchMechanism(mechanism, context, state)) {
+      return { result: mechanism.qualifier, mechanism: mechanism.term };
+    }
+  }
+
+  if (redirect) {
+    countLookup(state);
+    const target = expandMacros(redirect, context);
+    const redirected = await checkHost({ ...context, domain: target }, state);
+    if (redirected.result === 'none') {
+      throw spfError('permerror', `Redirect domain ${target} has no SPF record`);
+    }
+    return redirected;
+  }
+
+  return { result: 'neutral', mechanism: 'default' };
+}
+
+/**
+ * Evaluate SPF for a client sending mail
+ * The MAIL FROM identity is checked, or postmaster@HELO when MAIL FROM is empty (RFC 7208 section 2.4)
+ * @param {Object} params - { ip, sender, helo, receiver }
+ * @returns {Promise<Object>} { result, domain, identity, clientIp, sender, helo, mechanism, problem }
+ */
+async function checkSpf({ ip, sender, helo, receiver }) {
+  const client = parseIp(ip);
+  const identity = sender ? 'mailfrom' : 'helo';
+  const heloName = (helo || '').replace(/^\[|\]$/g, '');
+
+  let address = sender || `postmaster@${heloName}`;
+  if (!address.includes('@')) {
+    address = `postmaster@${address}`;
+  } else if (address.startsWith('@')) {
+    address = `postmaster${address}`;
+  }
+  const domain = address.slice(address.lastIndexOf('@') + 1).toLowerCase();
+
+  const verdict = {
+    result: 'none',
+    domain,
+    identity,
+    clientIp: client ? client.address : String(ip || ''),
+    sender: address,
+    helo: helo || null,
+    mechanism: null,
+    problem: null
+  };
+  if (!client) {
+    return verdict;
+  }
+
+  try {
+    const state = { lookups: 0, voidLookups: 0 };
+    const { result, mechanism } = await checkHost({ ip: client, sender: address, domain, helo: heloName, receiver }, state);
+    return { ...verdict, result, mechanism };
+  } catch (error) {
+    if (!error.spfResult) {
+      throw error;
+    }
+    return { ...verdict, result: error.spfResult, problem: error.message };
+  }
+}
+
+/**
+ * Quote a Received-SPF key value when it is not a dot-atom
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function headerValue(value) {
+  return /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/i.test(value)
+    ? value
+    : `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Build the Received-SPF header for a result (RFC 7208 section 9.1)
+ * @param {Object} verdict - Result of checkSpf
+ * @param {string} receiver - Host name of this server
+ * @returns {string} Header line ending in CRLF
+ */
+function receivedSpfHeader(verdict, receiver) {
+  const { result, domain, clientIp } = verdict;
+  const comments = {
+    pass: `domain of ${domain} designates ${clientIp} as permitted sender`,
+    fail: `domain of ${domain} does not designate ${clientIp} as permitted sender`,
+    softfail: `domain of transitioning ${domain} does not designate ${clientIp} as permitted sender`,
+    neutral: `${clientIp} is neither permitted nor denied by domain of ${domain}`,
+    none: `domain of ${domain} does not designate permitted sender hosts`,
+    temperror: `error in processing during lookup of ${domain}`,
+    permerror: `permanent error in processing domain of ${domain}`
+  };
+
+  const keys = [
+    `client-ip=${clientIp}`,
+    `envelope-from=${headerValue(verdict.sender)}`,
+    ...(verdict.helo ? [`helo=${headerValue(verdict.helo)}`] : []),
+    ...(verdict.problem ? [`problem=${headerValue(verdict.problem)}`] : []),
+    ...(verdict.mechanism ? [`mechanism=${headerValue(verdict.mechanism)}`] : []),
+    `receiver=${headerValue(receiver)}`,
+    `identity=${verdict.identity}`
+  ];
+
+  return `Received-SPF: ${result} (${receiver}: ${comments[result]})\r\n\t${keys.join(';\r\n\t')};\r\n`;
+}
+
+module.exports = {
+  RESULTS,
+  configureSpf,
+  checkSpf,
+  receivedSpfHeader,
+  parseIp,
+  inNetwork
+};
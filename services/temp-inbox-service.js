@@ -0,0 +1,231 @@
+// Temporary inbox service - creates disposable mailboxes and purges them on expiry
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Import models
+const Domain = require('../models/domain-model');
+const DomainConfig = require('../models/domain-config-model');
+const Email = require('../models/email-model');
+const Message = require('../models/message-model');
+const Folder = require('../models/folder-model');
+const MessageBody = require('../models/message-body-model');
+const EmailConfig = require('../models/email-config-model');
+
+// Import services
+const { signAccessToken } = require('./auth-service');
+const { releaseBlobs, releaseMessages } = require('./delivery-service');
+
+// Background sweeper timer
+let sweepTimer = null;
+
+// Allowed characters for a chosen local part
+const LOCAL_PART_REGEX = /^[a-z0-9](?:[a-z0-9._+-]{0,62}[a-z0-9])?$/i;
+
+// Role addresses nobody may claim as a temporary inbox (RFC 2142 and common administrative names)
+const RESERVED_LOCAL_PARTS = [
+  'abuse', 'admin', 'administrator', 'dmarc', 'hostmaster', 'info', 'mailer-daemon', 'no-reply',
+  'noc', 'noreply', 'postmaster', 'root', 'security', 'support', 'webmaster'
+];
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Generate a random local part for a disposable address
+ * @returns {string}
+ */
+function generateLocalPart() {
+  return crypto.randomBytes(5).toString('hex');
+}
+
+/**
+ * Check whether a local part is reserved, subaddresses of reserved names included (postmaster+x)
+ * @param {string} localPart - Local part
+ * @returns {boolean}
+ */
+function isReservedLocalPart(localPart) {
+  return RESERVED_LOCAL_PARTS.includes(localPart.toLowerCase().split('+')[0]);
+}
+
+/**
+ * Find the active domains that offer temporary inboxes
+ * @param {Object} [where] - Extra conditions on the domain
+ * @returns {Promise<Array<Domain>>}
+ */
+async function findTempInboxDomains(where = {}) {
+  return Domain.findAll({
+    where: { ...where, active: true },
+    include: [{
+      model: DomainConfig,
+      as: 'config',
+      attributes: [],
+      where: { tempInboxes: true }
+    }],
+    order: [['name', 'ASC']]
+  });
+}
+
+/**
+ * Create a receive-only temporary inbox on a domain that offers them
+ * @param {Object} options - Inbox options
+ * @param {string} options.domain - Domain name
+ * @param {string} [options.localPart] - Chosen local part (random if omitted)
+ * @param {number} [options.ttl] - Lifetime in seconds
+ * @returns {Promise<Object>} Inbox details and access token
+ */
+async function createTempInbox({ domain: domainName, localPart, ttl } = {}) {
+  const config = await EmailConfig.getConfig();
+  const settings = config.tempInboxes;
+
+  if (!settings.enabled) {
+    throw httpError(403, 'Temporary inboxes are disabled');
+  }
+
+  if (!domainName) {
+    throw httpError(400, 'Domain is required');
+  }
+
+  const [domain] = await findTempInboxDomains({ name: domainName });
+  if (!domain) {
+    throw httpError(400, 'Domain does not offer temporary inboxes');
+  }
+
+  // Validate lifetime
+  const lifetime = ttl === undefined ? settings.defaultTtl : parseInt(ttl, 10);
+  if (!Number.isInteger(lifetime) || lifetime <= 0) {
+    throw httpError(400, 'TTL must be a positive number of seconds');
+  }
+  if (lifetime > settings.maxTtl) {
+    throw httpError(400, `TTL cannot exceed ${settings.maxTtl} seconds`);
+  }
+
+  // Validate or generate the address
+  if (localPart !== undefined && !LOCAL_PART_REGEX.test(localPart)) {
+    throw httpError(400, 'Invalid local part');
+  }
+  if (localPart !== undefined && isReservedLocalPart(localPart)) {
+    throw httpError(400, 'Local part is reserved');
+  }
+  const address = `${(localPart || generateLocalPart()).toLowerCase()}@${domain.name}`;
+
+  const existing = await Email.findOne({ where: { address } });
+  if (existing) {
+    throw httpError(409, 'Address is already in use');
+  }
+
+  // The inbox is only read through its access token, the password is never handed out
+  const password = crypto.randomBytes(24).toString('hex');
+  const expiresAt = new Date(Date.now() + lifetime * 1000);
+
+  const email = await Email.create({
+    address,
+    password,
+    name: '',
+    domainId: domain.id,
+    temporary: true,
+    expiresAt
+  });
+
+  const account = email.safeReturn();
+
+  return {
+    inbox: account,
+    expiresAt,
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(account, lifetime),
+    expiresIn: lifetime
+  };
+}
+
+/**
+ * Delete an inbox with its received and sent messages, its folders and the content nothing else uses
+ * @param {Object} email - Email instance
+ * @returns {Promise<void>}
+ */
+async function purgeInbox(email) {
+  const where = Message.storedFor(email.address, { includeQuarantined: true });
+  const messages = await Message.findAll({ where, attributes: ['id', 'bodyId', 'rawChecksum'] });
+
+  await sequelize.transaction(async (transaction) => {
+    await Message.destroy({ where, transaction });
+    await Folder.destroy({ where: { emailAddress: email.address }, transaction });
+    await email.destroy({ transaction });
+  });
+  await releaseMessages(messages);
+}
+
+/**
+ * Purge every temporary inbox whose TTL has ended
+ * @returns {Promise<number>} Number of inboxes purged
+ */
+async function purgeExpiredInboxes() {
+  const expired = await Email.findAll({
+    where: {
+      temporary: true,
+      expiresAt: { [Op.lte]: new Date() }
+    }
+  });
+
+  for (const email of expired) {
+    try {
+      await purgeInbox(email);
+      console.log(`Purged expired temporary inbox: ${email.address}`);
+    } catch (error) {
+      console.error(`Error purging temporary inbox ${email.address}:`, error.message);
+    }
+  }
+
+  // Remove bodies no longer shared by any message
+  if (expired.length > 0) {
+    await releaseBlobs(await MessageBody.purgeOrphans());
+  }
+
+  return expired.length;
+}
+
+/**
+ * Start the background sweeper
+ * @returns {Promise<void>}
+ */
+async function startSweeper() {
+  stopSweeper();
+
+  const config = await EmailConfig.getConfig();
+  const interval = config.tempInboxes.sweepInterval * 1000;
+
+  sweepTimer = setInterval(() => {
+    purgeExpiredInboxes().catch(error => {
+      console.error('Error sweeping temporary inboxes:', error.message);
+    });
+  }, interval);
+  sweepTimer.unref();
+}
+
+/**
+ * Stop the background sweeper
+ */
+function stopSweeper() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  findTempInboxDomains,
+  createTempInbox,
+  purgeInbox,
+  purgeExpiredInboxes,
+  startSweeper,
+  stopSweeper
+};
@@ -0,0 +1,314 @@
+// Thread service - groups the messages of a mailbox into conversations
+// Messages are linked by Message-ID, In-Reply-To and References, replies whose parent is
+// unknown fall back to a recent conversation with the same subject
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Import models
+const Message = require('../models/message-model');
+
+// Replies without usable references join a conversation with the same subject this recent
+const SUBJECT_MATCH_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+// Recent messages looked at per base subject for replies without usable references
+const SUBJECT_CANDIDATES = 20;
+
+// Unthreaded messages placed per batch
+const THREAD_BATCH_SIZE = 200;
+
+// Reply and forward prefixes, including common localized ones
+const SUBJECT_PREFIX_REGEX = /^\s*((re|fw|fwd|aw|wg|sv|vs|tr|rif|antw)(\[\d+\])?:|\[[^\]]*\])\s*/i;
+
+/**
+ * Strip reply and forward prefixes from a subject
+ * @param {string} subject - Message subject
+ * @returns {Object} { subject, isReply } with the base subject in lower case
+ */
+function normalizeSubject(subject) {
+  let base = (subject || '').trim();
+  let isReply = false;
+
+  let match;
+  while ((match = SUBJECT_PREFIX_REGEX.exec(base)) && match[0].length < base.length) {
+    base = base.slice(match[0].length);
+    isReply = true;
+  }
+
+  return { subject: base.replace(/\s+/g, ' ').toLowerCase(), isReply };
+}
+
+/**
+ * Message-IDs a message refers to, from its In-Reply-To and References headers
+ * @param {Message} message - Stored message
+ * @returns {Array<string>}
+ */
+function getReferences(message) {
+  const headers = message.headers || {};
+  const ids = [];
+  for (const value of [headers.references, headers['in-reply-to']]) {
+    for (const entry of [].concat(value || [])) {
+      ids.push(...(String(entry).match(/<[^<>\s]+>/g) || []));
+    }
+  }
+  return [...new Set(ids)];
+}
+
+/**
+ * Conversations of the already threaded messages of a mailbox with the given Message-IDs
+ * @param {string} address - Mailbox address
+ * @param {Array<string>} ids - Message-IDs
+ * @returns {Promise<Map>} Message-ID -> thread ID of its most recent message
+ */
+async function findThreadsByMessageId(address, ids) {
+  const threads = new Map();
+  if (ids.length === 0) {
+    return threads;
+  }
+
+  const related = await Message.findAll({
+    where: {
+      [Op.and]: [Message.forMailbox(address)],
+      messageId: { [Op.in]: ids },
+      threadId: { [Op.ne]: null }
+    },
+    attributes: ['messageId', 'threadId'],
+    order: [['createdAt', 'ASC']]
+  });
+  for (const message of related) {
+    threads.set(message.messageId, message.threadId);
+  }
+  return threads;
+}
+
+/**
+ * Already threaded messages of a mailbox whose subject ends with one of the given base subjects
+ * @param {string} address - Mailbox address
+ * @param {Array<string>} subjects - Base subjects as returned by normalizeSubject
+ * @param {Date} since - Oldest message to consider
+ * @returns {Promise<Array<Object>>} { threadId, subject, createdAt } with the base subject, most recent first
+ */
+async function findSubjectCandidates(address, subjects, since) {
+  if (subjects.length === 0) {
+    return [];
+  }
+
+  const messages = await Message.findAll({
+    where: {
+      [Op.and]: [Message.forMailbox(address)],
+      [Op.or]: subjects.map(subject => ({ subject: { [Op.like]: `%${subject.replace(/[\\%_]/g, '\\$&')}` } })),
+      threadId: { [Op.ne]: null },
+      createdAt: { [Op.gte]: since }
+    },
+    attributes: ['threadId', 'subject', 'createdAt'],
+    order: [['createdAt', 'DESC']],
+    limit: SUBJECT_CANDIDATES * subjects.length
+  });
+  return messages.map(message => ({
+    threadId: message.threadId,
+    subject: normalizeSubject(message.subject).subject,
+    createdAt: message.createdAt
+  }));
+}
+
+/**
+ * Find the conversation a message belongs to
+ * @param {Message} message - Message to place
+ * @param {Map} threadsByMessageId - Message-ID -> thread ID of the threaded messages it may refer to
+ * @param {Array<Object>} candidates - Threaded messages with the same base subject, most recent first
+ * @returns {string|null} Thread ID, null when the message starts a conversation
+ */
+function findThread(message, threadsByMessageId, candidates) {
+  // Copies of the same message and messages it refers to
+  for (const id of [message.messageId, ...getReferences(message)]) {
+    if (id && threadsByMessageId.has(id)) {
+      return threadsByMessageId.get(id);
+    }
+  }
+
+  // Replies whose parent is unknown (clients that drop the headers)
+  const { subject, isReply } = normalizeSubject(message.subject);
+  if (!isReply || !subject) {
+    return null;
+  }
+
+  const since = message.createdAt.getTime() - SUBJECT_MATCH_WINDOW;
+  const match = candidates.find(candidate => candidate.subject === subject && candidate.createdAt.getTime() >= since);
+  return match ? match.threadId : null;
+}
+
+/**
+ * Place a batch of unthreaded messages, with one lookup of the messages they refer to for the whole batch
+ * @param {string} address - Mailbox address
+ * @param {Array<Message>} messages - Unthreaded messages in arrival order
+ * @returns {Promise<void>}
+ */
+async function threadBatch(address, messages) {
+  const ids = new Set();
+  const subjects = new Set();
+  for (const message of messages) {
+    for (const id of [message.messageId, ...getReferences(message)]) {
+      if (id) {
+        ids.add(id);
+      }
+    }
+    const { subject, isReply } = normalizeSubject(message.subject);
+    if (isReply && subject) {
+      subjects.add(subject);
+    }
+  }
+
+  const threadsByMessageId = await findThreadsByMessageId(address, [...ids]);
+  const candidates = await findSubjectCandidates(address, [...subjects],
+    new Date(messages[0].createdAt.getTime() - SUBJECT_MATCH_WINDOW));
+
+  // Later messages of the batch may belong to the conversations of earlier ones
+  const assigned = new Map();
+  for (const message of messages) {
+    const threadId = findThread(message, threadsByMessageId, candidates) || crypto.randomUUID();
+    assigned.set(message.id, threadId);
+    if (message.messageId) {
+      threadsByMessageId.set(message.messageId, threadId);
+    }
+    candidates.unshift({
+      threadId,
+      subject: normalizeSubject(message.subject).subject,
+      createdAt: message.createdAt
+    });
+  }
+
+  const cases = [...assigned]
+    .map(([id, threadId]) => `WHEN ${sequelize.escape(id)} THEN ${sequelize.escape(threadId)}`)
+    .join(' ');
+  await Message.update({ threadId: sequelize.literal(`CASE \`id\` ${cases} END`) }, {
+    where: { id: { [Op.in]: [...assigned.keys()] }, threadId: null }
+  });
+}
+
+/**
+ * Place the messages of a mailbox that are not in a conversation yet, in arrival order
+ * @param {string} address - Mailbox address
+ * @returns {Promise<number>} Number of messages placed
+ */
+async function syncThreads(address) {
+  const where = { [Op.and]: [Message.forMailbox(address)], threadId: null };
+
+  // Cheap check first, the common case is that nothing arrived
+  const pending = await Message.count({ where });
+  if (pending === 0) {
+    return 0;
+  }
+
+  let placed = 0;
+  for (;;) {
+    const messages = await Message.findAll({
+      where,
+      attributes: ['id', 'messageId', 'subject', 'headers', 'createdAt'],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit: THREAD_BATCH_SIZE
+    });
+    if (messages.length === 0) {
+      return placed;
+    }
+
+    await threadBatch(address, messages);
+    placed += messages.length;
+  }
+}
+
+/**
+ * Summarize conversations from their messages
+ * @param {Array<Message>} messages - Messages of one conversation, oldest first
+ * @returns {Object} { subject, participants, messageCount, unread, lastMessage }
+ */
+function summarize(messages) {
+  const participants = new Set();
+  for (const message of messages) {
+    for (const address of [message.fromEmail, ...(message.toEmail || '').split(',')]) {
+      if (address && address.trim()) {
+        participants.add(address.trim().toLowerCase());
+      }
+    }
+  }
+
+  const last = messages[messages.length - 1];
+  return {
+    subject: messages[0].subject,
+    participants: [...participants],
+    messageCount: messages.length,
+    unread: messages.filter(message => !message.sent && !message.read).length,
+    lastMessage: {
+      id: last.id,
+      fromEmail: last.fromEmail,
+      toEmail: last.toEmail,
+      subject: last.subject,
+      sent: last.sent,
+      read: last.read,
+      createdAt: last.createdAt
+    }
+  };
+}
+
+/**
+ * List the conversations of a mailbox, most recently active first
+ * @param {string} address - Mailbox address
+ * @param {Object} [options] - { limit, offset }
+ * @returns {Promise<Object>} { count, rows } with thread summaries as rows
+ */
+async function listThreads(address, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+
+  await syncThreads(address);
+
+  const where = Message.forMailbox(address);
+  const count = await Message.count({ where, distinct: true, col: 'threadId' });
+  const groups = await Message.findAll({
+    attributes: [
+      'threadId',
+      [sequelize.fn('MAX', sequelize.col('created_at')), 'lastMessageAt']
+    ],
+    where,
+    group: ['threadId'],
+    order: [[sequelize.literal('lastMessageAt'), 'DESC']],
+    limit,
+    offset,
+    raw: true
+  });
+
+  const messages = await Message.findAll({
+    where: { [Op.and]: [where], threadId: { [Op.in]: groups.map(group => group.threadId) } },
+    attributes: ['id', 'threadId', 'fromEmail', 'toEmail', 'subject', 'sent', 'read', 'createdAt'],
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+
+  const rows = groups.map(group => ({
+    threadId: group.threadId,
+    ...summarize(messages.filter(message => message.threadId === group.threadId))
+  }));
+
+  return { count, rows };
+}
+
+/**
+ * Get a conversation of a mailbox with its messages, oldest first
+ * @param {string} address - Mailbox address
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object|null>} { threadId, subject, participants, messageCount, unread, lastMessage, messages }
+ */
+async function getThread(address, threadId) {
+  await syncThreads(address);
+
+  const messages = await Message.getThreadMessages(address, threadId);
+  if (messages.length === 0) {
+    return null;
+  }
+
+  return { threadId, ...summarize(messages), messages };
+}
+
+module.exports = {
+  normalizeSubject,
+  syncThreads,
+  listThreads,
+  getThread
+};
@@ -0,0 +1,229 @@
+// TLS service - certificate loading, SNI and hot reloading for the mail listeners
+const tls = require('tls');
+const fs = require('fs');
+const crypto = require('crypto');
+const selfsigned = require('selfsigned');
+
+// Import models
+const TlsCertificate = require('../models/tls-certificate-model');
+const EmailConfig = require('../models/email-config-model');
+
+// Secure contexts by hostname
+const contexts = new Map();
+let defaultHostname = 'localhost';
+let defaultPem = null;
+
+// Servers to refresh after a reload and files being watched
+const servers = new Set();
+const watchedFiles = new Set();
+let reloadTimer = null;
+
+/**
+ * Generate a self-signed certificate for a hostname
+ * @param {string} hostname - Certificate common name
+ * @returns {Object} PEM encoded certificate and key with expiry
+ */
+function generateSelfSigned(hostname) {
+  const days = 365;
+  const pems = selfsigned.generate([{ name: 'commonName', value: hostname }], {
+    days,
+    keySize: 2048,
+    algorithm: 'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames: [{ type: 2, value: hostname }] }
+    ]
+  });
+
+  return {
+    certPem: pems.cert,
+    keyPem: pems.private,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Read the expiry date of a PEM certificate
+ * @param {string} certPem - PEM encoded certificate
+ * @returns {Date|null}
+ */
+function getExpiry(certPem) {
+  try {
+    return new Date(new crypto.X509Certificate(certPem).validTo);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate that a certificate and key can be used together
+ * @param {Object} pem - { cert, key }
+ * @throws {Error} When the pair is unusable
+ */
+function validatePem(pem) {
+  tls.createSecureContext({ cert: pem.cert, key: pem.key });
+}
+
+/**
+ * Create or replace the self-signed certificate for a hostname
+ * @param {string} hostname - Server name
+ * @returns {Promise<TlsCertificate>}
+ */
+async function createSelfSigned(hostname) {
+  const generated = generateSelfSigned(hostname);
+  const [certificate] = await TlsCertificate.upsert({
+    hostname,
+    certPath: null,
+    keyPath: null,
+    ...generated,
+    selfSigned: true
+  });
+  return certificate;
+}
+
+/**
+ * Schedule a reload, collapsing bursts of file change events
+ */
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    reload().catch(error => {
+      console.error('Error reloading TLS certificates:', error.message);
+    });
+  }, 1000);
+  reloadTimer.unref();
+}
+
+/**
+ * Watch certificate files so renewed certificates are picked up
+ * @param {Array<string>} paths - Files to watch
+ */
+function watchFiles(paths) {
+  for (const file of watchedFiles) {
+    if (!paths.includes(file)) {
+      fs.unwatchFile(file);
+      watchedFiles.delete(file);
+    }
+  }
+
+  for (const file of paths) {
+    if (!watchedFiles.has(file)) {
+      fs.watchFile(file, { interval: 5000, persistent: false }, scheduleReload);
+      watchedFiles.add(file);
+    }
+  }
+}
+
+/**
+ * Load all certificates from the database and refresh registered servers
+ * @returns {Promise<void>}
+ */
+async function reload() {
+  const certificates = await TlsCertificate.findAll();
+  const paths = [];
+
+  contexts.clear();
+  for (const certificate of certificates) {
+    if (certificate.certPath) paths.push(certificate.certPath);
+    if (certificate.keyPath) paths.push(certificate.keyPath);
+
+    try {
+      const pem = certificate.loadPem();
+      contexts.set(certificate.hostname.toLowerCase(), {
+        pem,
+        secureContext: tls.createSecureContext(pem)
+      });
+    } catch (error) {
+      console.error(`Error loading TLS certificate for ${certificate.hostname}:`, error.message);
+    }
+  }
+
+  watchFiles(paths);
+
+  const fallback = contexts.get(defaultHostname) || contexts.values().next().value;
+  defaultPem = fallback ? fallback.pem : null;
+
+  // Swap the default context on running servers
+  if (defaultPem) {
+    for (const server of servers) {
+      server.updateSecureContext({ key: defaultPem.key, cert: defaultPem.cert });
+
+      // Implicit TLS listeners also need the context for clients without SNI
+      if (server.options.secure && typeof server.server.setSecureContext === 'function') {
+        server.server.setSecureContext({ key: defaultPem.key, cert: defaultPem.cert });
+      }
+    }
+  }
+
+  console.log(`Loaded ${contexts.size} TLS certificate(s)`);
+}
+
+/**
+ * Load certificates, generating a self-signed one for the default hostname on first boot
+ * @returns {Promise<void>}
+ */
+async function init() {
+  const config = await EmailConfig.getConfig();
+  defaultHostname = (config.inbound.hostname || 'localhost').toLowerCase();
+
+  const existing = await TlsCertificate.findOne({ where: { hostname: defaultHostname } });
+  if (!existing) {
+    await createSelfSigned(defaultHostname);
+    console.log(`Generated self-signed TLS certificate for ${defaultHostname}`);
+  }
+
+  await reload();
+}
+
+/**
+ * Pick the secure context for a server name (exact, then wildcard, then default)
+ */
+function SNICallback(servername, callback) {
+  const name = (servername || '').toLowerCase();
+  const wildcard = `*.${name.split('.').slice(1).join('.')}`;
+  const entry = contexts.get(name) || contexts.get(wildcard) || contexts.get(defaultHostname);
+
+  callback(null, entry ? entry.secureContext : undefined);
+}
+
+/**
+ * Get TLS options for a new server
+ * @returns {Object} key, cert and SNICallback
+ */
+function getServerOptions() {
+  return {
+    ...(defaultPem ? { key: defaultPem.key, cert: defaultPem.cert } : {}),
+    SNICallback
+  };
+}
+
+/**
+ * Register a server whose default certificate should follow reloads
+ * @param {SMTPServer} server - smtp-server instance
+ */
+function registerServer(server) {
+  servers.add(server);
+}
+
+/**
+ * Stop watching certificate files
+ */
+function stop() {
+  clearTimeout(reloadTimer);
+  watchFiles([]);
+  servers.clear();
+}
+
+module.exports = {
+  init,
+  reload,
+  stop,
+  createSelfSigned,
+  validatePem,
+  getExpiry,
+  getServerOptions,
+  registerServer,
+  SNICallback
+};
@@ -0,0 +1,84 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  LocalBlobStore,
+  setBlobStore,
+  putContent,
+  releaseContent,
+  sweepReleased,
+  RELEASE_GRACE_PERIOD
+} = require('../services/blob-service');
+
+describe('blob-service', () => {
+  let root;
+  let store;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'));
+    store = new LocalBlobStore(root);
+    setBlobStore(store);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const later = () => Date.now() + RELEASE_GRACE_PERIOD;
+  const unreferenced = async () => false;
+
+  describe('putContent', () => {
+    it('stores identical content once under its checksum', async () => {
+      const first = await putContent(Buffer.from('same content'));
+      const second = await putContent(Buffer.from('same content'));
+      assert.strictEqual(first.key, second.key);
+      assert.strictEqual((await store.get(first.key)).toString(), 'same content');
+    });
+  });
+
+  describe('sweepReleased', () => {
+    it('deletes unreferenced content once the grace period passed', async () => {
+      const blob = await putContent(Buffer.from('released'));
+      releaseContent([blob.checksum]);
+
+      assert.deepStrictEqual(await sweepReleased(unreferenced), { deleted: 0, pending: 1 });
+      assert.ok(await store.exists(blob.key));
+
+      assert.deepStrictEqual(await sweepReleased(unreferenced, later()), { deleted: 1, pending: 0 });
+      assert.ok(!await store.exists(blob.key));
+    });
+
+    it('keeps content that is referenced again', async () => {
+      const blob = await putContent(Buffer.from('referenced'));
+      releaseContent([blob.checksum]);
+
+      assert.strictEqual((await sweepReleased(async () => true, later())).deleted, 0);
+      assert.ok(await store.exists(blob.key));
+    });
+
+    it('keeps content stored again while the references are counted', async () => {
+      const blob = await putContent(Buffer.from('stored again'));
+      releaseContent([blob.checksum]);
+
+      // A delivery reuses the content, its reference is not committed yet
+      const sweep = await sweepReleased(async () => {
+        await putContent(Buffer.from('stored again'));
+        return false;
+      }, later());
+      assert.strictEqual(sweep.deleted, 0);
+      assert.ok(await store.exists(blob.key));
+    });
+
+    it('writes released content again when it is stored', async () => {
+      const blob = await putContent(Buffer.from('rewritten'));
+      releaseContent([blob.checksum]);
+      await store.delete(blob.key);
+
+      await putContent(Buffer.from('rewritten'));
+      assert.ok(await store.exists(blob.key));
+    });
+  });
+});
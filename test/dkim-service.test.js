@@ -0,0 +1,207 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const nodemailer = require('nodemailer');
+
+const { configureDkim, verifyDkim } = require('../services/dkim-service');
+const { createZone } = require('./helpers/fixture-zone');
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const shortRsa = crypto.generateKeyPairSync('rsa', { modulusLength: 512 });
+const ed25519 = crypto.generateKeyPairSync('ed25519');
+
+const spki = key => key.export({ type: 'spki', format: 'der' });
+
+const zone = createZone({
+  'rsa._domainkey.ex.com': { TXT: [['v=DKIM1; k=rsa; p=', spki(rsa.publicKey).toString('base64')]] },
+  // Ed25519 keys are published as the bare 32 byte key (RFC 8463)
+  'ed._domainkey.ex.com': { TXT: [['v=DKIM1; k=ed25519; p=' + spki(ed25519.publicKey).slice(12).toString('base64')]] },
+  'short._domainkey.ex.com': { TXT: [['v=DKIM1; k=rsa; p=' + spki(shortRsa.publicKey).toString('base64')]] },
+  'revoked._domainkey.ex.com': { TXT: [['v=DKIM1; p=']] },
+  'broken._domainkey.ex.com': 'ETIMEOUT'
+});
+
+const MESSAGE = 'From: Alice <alice@ex.com>\r\n' +
+  'To: bob@example.org\r\n' +
+  'Subject:  Quarterly   report\r\n' +
+  '\tfolded\r\n' +
+  '\r\n' +
+  'First line  \r\n' +
+  'Second \t line\r\n' +
+  '\r\n' +
+  '\r\n';
+
+/**
+ * Canonicalize a header field (RFC 6376 section 3.4.1 and 3.4.2)
+ */
+function canonicalHeader(field, mode) {
+  if (mode === 'simple') {
+    return field;
+  }
+  const colon = field.indexOf(':');
+  return field.slice(0, colon).trim().toLowerCase() + ':' +
+    field.slice(colon + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+}
+
+/**
+ * Canonicalize a body (RFC 6376 section 3.4.3 and 3.4.4)
+ */
+function canonicalBody(body, mode) {
+  let lines = body.split('\r\n');
+  if (mode === 'relaxed') {
+    lines = lines.map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+  }
+  const text = lines.join('\r\n').replace(/(\r\n)+$/, '');
+  return text || mode === 'simple' ? `${text}\r\n` : '';
+}
+
+/**
+ * Sign a message with a DKIM-Signature over its From and Subject fields
+ * @param {string} message - Message with CRLF line ends
+ * @param {Object} options - { algorithm, canonicalization, selector, privateKey }
+ * @returns {Buffer}
+ */
+function sign(message, { algorithm, canonicalization, selector, privateKey }) {
+  const [headerMode, bodyMode] = canonicalization.split('/');
+  const separator = message.indexOf('\r\n\r\n');
+  const fields = message.slice(0, separator + 2).split(/\r\n(?![ \t])/).filter(Boolean);
+  const body = message.slice(separator + 4);
+
+  const bodyHash = crypto.createHash('sha256').update(canonicalBody(body, bodyMode)).digest('base64');
+  const signature = `DKIM-Signature: v=1; a=${algorithm}; c=${canonicalization}; d=ex.com; s=${selector};\r\n` +
+    `\th=from:subject; bh=${bodyHash}; b=`;
+
+  const signed = ['from', 'subject']
+    .map(name => fields.find(field => field.toLowerCase().startsWith(`${name}:`)))
+    .map(field => `${canonicalHeader(field, headerMode)}\r\n`)
+    .join('') + canonicalHeader(signature, headerMode);
+
+  const value = algorithm === 'ed25519-sha256'
+    ? crypto.sign(null, crypto.createHash('sha256').update(signed).digest(), privateKey)
+    : crypto.sign('sha256', Buffer.from(signed), privateKey);
+  return Buffer.from(`${signature}${value.toString('base64')}\r\n${message}`);
+}
+
+/**
+ * Verify a message fed in small chunks, as it arrives over SMTP
+ */
+function verify(raw, chunkSize = 7) {
+  const chunks = [];
+  for (let i = 0; i < raw.length; i += chunkSize) {
+    chunks.push(raw.slice(i, i + chunkSize));
+  }
+  return verifyDkim(Readable.from(chunks));
+}
+
+describe('dkim-service', () => {
+  before(() => {
+    configureDkim({ resolver: zone });
+  });
+
+  describe('rsa-sha256', () => {
+    for (const canonicalization of ['relaxed/relaxed', 'simple/simple', 'relaxed/simple', 'simple/relaxed']) {
+      it(`verifies ${canonicalization} signatures`, async () => {
+        const raw = sign(MESSAGE, { algorithm: 'rsa-sha256', canonicalization, selector: 'rsa', privateKey: rsa.privateKey });
+        const verdict = await verify(raw);
+        assert.strictEqual(verdict.result, 'pass');
+        assert.deepStrictEqual(
+          verdict.signatures.map(({ result, domain, selector, algorithm }) => ({ result, domain, selector, algorithm })),
+          [{ result: 'pass', domain: 'ex.com', selector: 'rsa', algorithm: 'rsa-sha256' }]
+        );
+      });
+    }
+
+    it('verifies messages signed by nodemailer', async () => {
+      const { message } = await nodemailer.createTransport({ streamTransport: true, buffer: true, newline: '\r\n' }).sendMail({
+        from: 'alice@ex.com',
+        to: 'bob@example.org',
+        subject: 'Signed',
+        text: 'Hello  there  \r\n\r\n',
+        dkim: { domainName: 'ex.com', keySelector: 'rsa', privateKey: rsa.privateKey.export({ type: 'pkcs8', format: 'pem' }) }
+      });
+      assert.strictEqual((await verify(message, 64 * 1024)).result, 'pass');
+    });
+
+    it('accepts whitespace changes under relaxed body canonicalization only', async () => {
+      const changed = raw => Buffer.from(raw.toString().replace('Second \t line', 'Second line'));
+      const relaxed = sign(MESSAGE, { algorithm: 'rsa-sha256', canonicalization: 'relaxed/relaxed', selector: 'rsa', privateKey: rsa.privateKey });
+      const simple = sign(MESSAGE, { algorithm: 'rsa-sha256', canonicalization: 'simple/simple', selector: 'rsa', privateKey: rsa.privateKey });
+      assert.strictEqual((await verify(changed(relaxed))).result, 'pass');
+      assert.strictEqual((await verify(changed(simple))).signatures[0].reason, 'Body hash did not verify');
+    });
+
+    it('fails modified bodies and signed headers', async () => {
+      const raw = sign(MESSAGE, { algorithm: 'rsa-sha256', canonicalization: 'relaxed/relaxed', selector: 'rsa', privateKey: rsa.privateKey }).toString();
+      const body = await verify(Buffer.from(raw.replace('First line', 'First lime')));
+      assert.strictEqual(body.signatures[0].result, 'fail');
+      assert.strictEqual(body.signatures[0].reason, 'Body hash did not verify');
+
+      const header = await verify(Buffer.from(raw.replace('Quarterly', 'Annual')));
+      assert.strictEqual(header.signatures[0].result, 'fail');
+      assert.strictEqual(header.signatures[0].reason, 'Signature did not verify');
+    });
+  });
+
+  describe('ed25519-sha256', () => {
+    for (const canonicalization of ['relaxed/relaxed', 'simple/simple']) {
+      it(`verifies ${canonicalization} signatures`, async () => {
+        const raw = sign(MESSAGE, { algorithm: 'ed25519-sha256', canonicalization, selector: 'ed', privateKey: ed25519.privateKey });
+        const verdict = await verify(raw);
+        assert.strictEqual(verdict.result, 'pass');
+        assert.strictEqual(verdict.signatures[0].algorithm, 'ed25519-sha256');
+      });
+    }
+
+    it('fails modified bodies', async () => {
+      const raw = sign(MESSAGE, { algorithm: 'ed25519-sha256', canonicalization: 'relaxed/relaxed', selector: 'ed', privateKey: ed25519.privateKey });
+      const verdict = await verify(Buffer.from(raw.toString().replace('First', 'Last')));
+      assert.strictEqual(verdict.signatures[0].result, 'fail');
+    });
+
+    it('rejects a key of another type', async () => {
+      const raw = sign(MESSAGE, { algorithm: 'ed25519-sha256', canonicalization: 'relaxed/relaxed', selector: 'rsa', privateKey: ed25519.privateKey });
+      assert.strictEqual((await verify(raw)).signatures[0].result, 'permerror');
+    });
+  });
+
+  describe('keys', () => {
+    const signWith = selector => sign(MESSAGE, {
+      algorithm: 'rsa-sha256',
+      canonicalization: 'relaxed/relaxed',
+      selector,
+      privateKey: selector === 'short' ? shortRsa.privateKey : rsa.privateKey
+    });
+
+    it('rejects RSA keys shorter than 1024 bits', async () => {
+      const [signature] = (await verify(signWith('short'))).signatures;
+      assert.strictEqual(signature.result, 'permerror');
+      assert.match(signature.reason, /shorter than 1024 bits/);
+    });
+
+    it('rejects revoked and missing keys', async () => {
+      assert.strictEqual((await verify(signWith('revoked'))).signatures[0].reason, 'Key revoked');
+      assert.strictEqual((await verify(signWith('missing'))).signatures[0].result, 'permerror');
+    });
+
+    it('reports DNS failures as temperror', async () => {
+      assert.strictEqual((await verify(signWith('broken'))).signatures[0].result, 'temperror');
+    });
+  });
+
+  describe('verifyDkim', () => {
+    it('returns none for unsigned messages', async () => {
+      const verdict = await verify(Buffer.from(MESSAGE));
+      assert.strictEqual(verdict.result, 'none');
+      assert.deepStrictEqual(verdict.signatures, []);
+    });
+
+    it('reports each signature of a message', async () => {
+      const signed = sign(MESSAGE, { algorithm: 'ed25519-sha256', canonicalization: 'relaxed/relaxed', selector: 'ed', privateKey: ed25519.privateKey });
+      const raw = Buffer.concat([Buffer.from('DKIM-Signature: v=1; a=rsa-sha1; d=other.org; s=x; h=from; bh=x; b=y\r\n'), signed]);
+      const verdict = await verify(raw);
+      assert.strictEqual(verdict.result, 'pass');
+      assert.deepStrictEqual(verdict.signatures.map(signature => signature.result).sort(), ['pass', 'permerror']);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  configureDmarc,
+  organizationalDomain,
+  checkDmarc,
+  authenticationResultsHeader
+} = require('../services/dmarc-service');
+const { createZone } = require('./helpers/fixture-zone');
+
+const zone = createZone({
+  '_dmarc.ex.com': { TXT: [['v=DMARC1; p=reject; sp=quarantine; rua=mailto:dmarc@ex.com']] },
+  '_dmarc.strict.com': { TXT: [['v=DMARC1; p=reject; adkim=s; aspf=s']] },
+  '_dmarc.sampled.com': { TXT: [['v=DMARC1; p=reject; pct=20']] },
+  '_dmarc.monitor.com': { TXT: [['v=DMARC1; rua=mailto:reports@monitor.com']] },
+  '_dmarc.two.com': { TXT: [['v=DMARC1; p=reject'], ['v=DMARC1; p=none']] },
+  '_dmarc.broken.com': 'ESERVFAIL',
+  '_dmarc.example.co.uk': { TXT: [['v=DMARC1; p=quarantine']] }
+});
+
+// Parsed mail with the given From addresses
+const mail = (...addresses) => ({ from: { value: addresses.map(address => ({ address, name: '' })) } });
+
+// Verdicts as returned by checkSpf and verifyDkim
+const spfPass = domain => ({ result: 'pass', domain, identity: 'mailfrom', sender: `bounce@${domain}` });
+const dkimPass = domain => ({ result: 'pass', signatures: [{ result: 'pass', domain, selector: 's' }] });
+const dkimFail = domain => ({ result: 'fail', signatures: [{ result: 'fail', domain, selector: 's' }] });
+
+describe('dmarc-service', () => {
+  before(() => {
+    configureDmarc({ resolver: zone });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('organizationalDomain', () => {
+    it('keeps the registered name', () => {
+      assert.strictEqual(organizationalDomain('mail.news.ex.com'), 'ex.com');
+      assert.strictEqual(organizationalDomain('Ex.Com.'), 'ex.com');
+      assert.strictEqual(organizationalDomain('mail.example.co.uk'), 'example.co.uk');
+    });
+  });
+
+  describe('alignment', () => {
+    it('passes with an aligned SPF or DKIM domain', async () => {
+      const spf = await checkDmarc(mail('a@ex.com'), { spf: spfPass('ex.com') });
+      assert.strictEqual(spf.result, 'pass');
+      assert.strictEqual(spf.spfAligned, true);
+
+      const dkim = await checkDmarc(mail('a@ex.com'), { dkim: dkimPass('ex.com') });
+      assert.strictEqual(dkim.result, 'pass');
+      assert.strictEqual(dkim.dkimAligned, true);
+    });
+
+    it('aligns subdomains of the organizational domain in relaxed mode', async () => {
+      const verdict = await checkDmarc(mail('a@ex.com'), { spf: spfPass('bounces.ex.com'), dkim: dkimPass('mail.ex.com') });
+      assert.strictEqual(verdict.result, 'pass');
+      assert.strictEqual(verdict.spfAligned, true);
+      assert.strictEqual(verdict.dkimAligned, true);
+    });
+
+    it('requires the exact domain in strict mode', async () => {
+      const verdict = await checkDmarc(mail('a@strict.com'), { spf: spfPass('mail.strict.com'), dkim: dkimPass('mail.strict.com') });
+      assert.strictEqual(verdict.result, 'fail');
+      assert.strictEqual(verdict.disposition, 'reject');
+
+      const exact = await checkDmarc(mail('a@strict.com'), { dkim: dkimPass('strict.com') });
+      assert.strictEqual(exact.result, 'pass');
+    });
+
+    it('ignores other and failing domains', async () => {
+      const verdict = await checkDmarc(mail('a@ex.com'), { spf: spfPass('other.org'), dkim: dkimFail('ex.com') });
+      assert.strictEqual(verdict.result, 'fail');
+      assert.strictEqual(verdict.policy, 'reject');
+      assert.strictEqual(verdict.disposition, 'reject');
+    });
+  });
+
+  describe('policy', () => {
+    it('applies the subdomain policy of the organizational domain', async () => {
+      const verdict = await checkDmarc(mail('a@news.ex.com'), { spf: spfPass('other.org') });
+      assert.strictEqual(verdict.policyDomain, 'ex.com');
+      assert.strictEqual(verdict.policy, 'quarantine');
+      assert.strictEqual(verdict.disposition, 'quarantine');
+    });
+
+    it('treats a record without a policy but with reports as p=none', async () => {
+      const verdict = await checkDmarc(mail('a@monitor.com'), {});
+      assert.strictEqual(verdict.result, 'fail');
+      assert.strictEqual(verdict.policy, 'none');
+      assert.strictEqual(verdict.disposition, 'none');
+    });
+
+    it('returns none without a single usable record', async () => {
+      assert.strictEqual((await checkDmarc(mail('a@nothing.org'), {})).result, 'none');
+      assert.strictEqual((await checkDmarc(mail('a@two.com'), {})).result, 'none');
+    });
+
+    it('reports DNS failures as temperror', async () => {
+      assert.strictEqual((await checkDmarc(mail('a@broken.com'), {})).result, 'temperror');
+    });
+
+    it('rejects authors from more than one domain', async () => {
+      assert.strictEqual((await checkDmarc(mail('a@ex.com', 'b@other.org'), {})).result, 'permerror');
+    });
+  });
+
+  describe('pct', () => {
+    it('applies the policy to messages inside the sample', async () => {
+      mock.method(Math, 'random', () => 0.1);
+      const verdict = await checkDmarc(mail('a@sampled.com'), {});
+      assert.strictEqual(verdict.disposition, 'reject');
+    });
+
+    it('applies the next less strict policy outside the sample', async () => {
+      mock.method(Math, 'random', () => 0.5);
+      const verdict = await checkDmarc(mail('a@sampled.com'), {});
+      assert.strictEqual(verdict.policy, 'reject');
+      assert.strictEqual(verdict.disposition, 'quarantine');
+    });
+  });
+
+  describe('authenticationResultsHeader', () => {
+    it('lists the result of every method', async () => {
+      const spf = spfPass('ex.com');
+      const dkim = dkimPass('ex.com');
+      const dmarc = await checkDmarc(mail('a@ex.com'), { spf, dkim });
+      assert.strictEqual(
+        authenticationResultsHeader('mx.test', { spf, dkim, dmarc }),
+        'Authentication-Results: mx.test;\r\n' +
+        '\tspf=pass smtp.mailfrom=bounce@ex.com;\r\n' +
+        '\tdkim=pass header.d=ex.com header.s=s;\r\n' +
+        '\tdmarc=pass (p=reject dis=none) header.from=ex.com\r\n'
+      );
+    });
+
+    it('reports none when nothing was checked', () => {
+      assert.strictEqual(authenticationResultsHeader('mx.test', {}), 'Authentication-Results: mx.test; none\r\n');
+    });
+  });
+});
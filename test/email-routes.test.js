@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+
+let models;
+let refreshToken;
+let issueTokens;
+
+/**
+ * Response recording the status and JSON body the handler answers with
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Run the refresh handler with the refresh token of an account
+async function refresh(email) {
+  const res = createResponse();
+  const { refreshToken: token } = issueTokens(email.safeReturn());
+  await refreshToken({ body: { refreshToken: token } }, res, error => {
+    throw error;
+  });
+  return res;
+}
+
+describe('email-routes', () => {
+  let domain;
+
+  before(async () => {
+    models = await setupDatabase();
+    ({ refreshToken } = require('../routes/email-routes'));
+    ({ issueTokens } = require('../services/auth-service'));
+    domain = await models.Domain.create({ name: 'auth.test' });
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  const createEmail = (address, fields = {}) => models.Email.create({
+    address,
+    password: 'secret-password',
+    domainId: domain.id,
+    ...fields
+  });
+
+  describe('refreshToken', () => {
+    it('issues a new token pair for an active account', async () => {
+      const res = await refresh(await createEmail('active@auth.test'));
+      assert.strictEqual(res.statusCode, 200);
+      assert.ok(res.body.accessToken);
+      assert.ok(res.body.refreshToken);
+    });
+
+    it('refuses disabled and expired accounts', async () => {
+      const disabled = await refresh(await createEmail('disabled@auth.test', { active: false }));
+      assert.strictEqual(disabled.statusCode, 401);
+
+      const expired = await refresh(await createEmail('expired@auth.test', {
+        temporary: true,
+        expiresAt: new Date(Date.now() - 1000)
+      }));
+      assert.strictEqual(expired.statusCode, 401);
+    });
+  });
+});
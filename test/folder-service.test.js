@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { simpleParser } = require('mailparser');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+
+const ADDRESS = 'owner@folders.test';
+
+let Message;
+let Folder;
+let folderService;
+let deliverInbound;
+
+/**
+ * Deliver a message to the mailbox over the inbound path
+ */
+async function deliver(subject, options = {}) {
+  const raw = Buffer.from(`From: alice@ex.com\r\nTo: ${ADDRESS}\r\nSubject: ${subject}\r\n\r\n${subject}\r\n`);
+  const [message] = await deliverInbound(await simpleParser(raw), {
+    mailFrom: { address: 'alice@ex.com' },
+    rcptTo: [{ address: ADDRESS }]
+  }, { raw, ...options });
+  return message;
+}
+
+// Subjects and UIDs of a folder in UID order
+async function contents(folder) {
+  const messages = await folderService.getFolderMessages(folder);
+  return messages.map(message => [message.subject, message.uid]);
+}
+
+describe('folder-service', () => {
+  const folder = specialUse => Folder.findBySpecialUse(ADDRESS, specialUse);
+
+  before(async () => {
+    const models = await setupDatabase();
+    ({ Message, Folder } = models);
+    folderService = require('../services/folder-service');
+    ({ deliverInbound } = require('../services/delivery-service'));
+
+    const domain = await models.Domain.create({ name: 'folders.test' });
+    await models.Email.create({ address: ADDRESS, password: 'secret-password', domainId: domain.id });
+    await Folder.ensureSystemFolders(ADDRESS);
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  describe('syncFolder', () => {
+    it('places received mail in the INBOX and quarantined mail in Spam, in arrival order', async () => {
+      await deliver('First');
+      await deliver('Suspicious', { quarantine: true });
+      await deliver('Second');
+
+      const inbox = await folder(Folder.SPECIAL_USE.INBOX);
+      const junk = await folder(Folder.SPECIAL_USE.JUNK);
+      assert.strictEqual(await folderService.syncFolder(inbox), 2);
+      assert.strictEqual(await folderService.syncFolder(junk), 1);
+      assert.strictEqual(await folderService.syncFolder(inbox), 0);
+
+      assert.deepStrictEqual(await contents(inbox), [['First', 1], ['Second', 2]]);
+      assert.deepStrictEqual(await contents(junk), [['Suspicious', 1]]);
+    });
+  });
+
+  describe('copyMessages and moveMessages', () => {
+    it('give the messages the next UIDs of the target folder', async () => {
+      const inbox = await folder(Folder.SPECIAL_USE.INBOX);
+      const archive = await folder(Folder.SPECIAL_USE.ARCHIVE);
+      const [first, second] = await folderService.getFolderMessages(inbox);
+
+      await folderService.copyMessages([first], archive);
+      await folderService.moveMessages([second], archive);
+
+      assert.deepStrictEqual(await contents(inbox), [['First', 1]]);
+      assert.deepStrictEqual(await contents(archive), [['First', 1], ['Second', 2]]);
+    });
+  });
+
+  describe('expungeFolder', () => {
+    it('removes the messages flagged \\Deleted', async () => {
+      const archive = await folder(Folder.SPECIAL_USE.ARCHIVE);
+      const [copy] = await folderService.getFolderMessages(archive);
+      await copy.update({ flags: ['\\Deleted'] });
+
+      assert.deepStrictEqual(await folderService.expungeFolder(archive), [1]);
+      assert.deepStrictEqual(await contents(archive), [['Second', 2]]);
+
+      // The original keeps the body the copy shared
+      const [original] = await folderService.getFolderMessages(await folder(Folder.SPECIAL_USE.INBOX), { withBody: true });
+      assert.strictEqual(original.body.textContent.trim(), 'First');
+    });
+  });
+
+  describe('deleteFolder', () => {
+    it('refuses system folders', async () => {
+      await assert.rejects(folderService.deleteFolder(await folder(Folder.SPECIAL_USE.TRASH)), { statusCode: 400 });
+    });
+
+    it('deletes a folder with its messages', async () => {
+      const projects = await folderService.createFolder(ADDRESS, 'Projects');
+      const archive = await folder(Folder.SPECIAL_USE.ARCHIVE);
+      await folderService.moveMessages(await folderService.getFolderMessages(archive), projects);
+
+      await folderService.deleteFolder(projects);
+      assert.strictEqual(await Folder.findByName(ADDRESS, 'Projects'), null);
+      assert.strictEqual(await Message.count({ where: { subject: 'Second' } }), 0);
+    });
+  });
+});
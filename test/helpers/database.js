@@ -0,0 +1,47 @@
+// Test database - runs the models on an in-memory SQLite database
+// Required before anything that loads config/database
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BLOB_STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'));
+
+const { sequelize, initDatabase } = require('../../config/database');
+
+let models = null;
+
+/**
+ * Create the tables, once per test file
+ * @returns {Promise<Object>} Models by name
+ */
+async function setupDatabase() {
+  if (!models) {
+    // initDatabase reports its progress on the console
+    const log = console.log;
+    console.log = () => {};
+    try {
+      models = await initDatabase();
+    } finally {
+      console.log = log;
+    }
+  }
+  return models;
+}
+
+/**
+ * Close the database and remove the blob store
+ * @returns {Promise<void>}
+ */
+async function closeDatabase() {
+  await sequelize.close();
+  fs.rmSync(process.env.BLOB_STORE_PATH, { recursive: true, force: true });
+}
+
+module.exports = {
+  setupDatabase,
+  closeDatabase
+};
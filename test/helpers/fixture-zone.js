@@ -0,0 +1,53 @@
+// Fixture DNS zone - answers resolver queries from a fixed set of records
+const dns = require('dns');
+
+/**
+ * Create a DNS error like the ones of dns.promises
+ * @param {string} code - Error code (e.g. ENOTFOUND, ESERVFAIL)
+ * @param {string} name - Name that was queried
+ * @returns {Error}
+ */
+function dnsError(code, name) {
+  const error = new Error(`query ${code} ${name}`);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Create a resolver answering from a zone
+ * Records are given per name: { TXT: [['chunk', ...]], A: [], AAAA: [], MX: [{ exchange, priority }], PTR: [] }
+ * with PTR records under the IP address. A string instead of records fails every query of the name with that code
+ * @param {Object} records - Records by name
+ * @returns {Object} Resolver with resolveTxt, resolve4, resolve6, resolveMx and reverse, and the queries it answered
+ */
+function createZone(records) {
+  const queries = [];
+
+  const lookup = type => async (name) => {
+    queries.push(`${type} ${name}`);
+    const entry = records[name.toLowerCase()];
+    if (typeof entry === 'string') {
+      throw dnsError(entry, name);
+    }
+    if (!entry) {
+      throw dnsError(dns.NOTFOUND, name);
+    }
+    if (!entry[type]) {
+      throw dnsError(dns.NODATA, name);
+    }
+    return entry[type];
+  };
+
+  return {
+    queries,
+    resolveTxt: lookup('TXT'),
+    resolve4: lookup('A'),
+    resolve6: lookup('AAAA'),
+    resolveMx: lookup('MX'),
+    reverse: lookup('PTR')
+  };
+}
+
+module.exports = {
+  createZone
+};
@@ -0,0 +1,148 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { simpleParser } = require('mailparser');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+
+const ADDRESS = 'owner@listing.test';
+
+let Message;
+let Folder;
+let folderService;
+let deliverInbound;
+
+/**
+ * Raw message with CRLF line ends
+ */
+function rawMessage(subject, { from = 'alice@ex.com', to = ADDRESS } = {}) {
+  return Buffer.from(
+    `From: ${from}\r\nTo: ${to}\r\nSubject: ${subject}\r\n` +
+    `Message-ID: <${subject.replace(/\W+/g, '-')}@ex.com>\r\n\r\n${subject} body\r\n`
+  );
+}
+
+/**
+ * Deliver a message to the mailbox over the inbound path
+ */
+async function deliver(subject, options = {}) {
+  const raw = rawMessage(subject);
+  const [message] = await deliverInbound(await simpleParser(raw), {
+    mailFrom: { address: 'alice@ex.com' },
+    rcptTo: [{ address: ADDRESS }]
+  }, { raw, ...options });
+  return message;
+}
+
+// Subjects of the default listing
+async function inboxSubjects() {
+  const { rows } = await Message.getMessagesForEmail(ADDRESS, { limit: 100 });
+  return rows.map(message => message.subject).sort();
+}
+
+describe('message listing', () => {
+  before(async () => {
+    const models = await setupDatabase();
+    ({ Message, Folder } = models);
+    folderService = require('../services/folder-service');
+    ({ deliverInbound } = require('../services/delivery-service'));
+
+    const domain = await models.Domain.create({ name: 'listing.test' });
+    await models.Email.create({ address: ADDRESS, password: 'secret-password', domainId: domain.id });
+    await Folder.ensureSystemFolders(ADDRESS);
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  const folder = specialUse => Folder.findBySpecialUse(ADDRESS, specialUse);
+
+  it('lists received mail whether it is placed in the INBOX or not', async () => {
+    await deliver('Unplaced');
+    await deliver('Placed');
+    await folderService.syncFolder(await folder(Folder.SPECIAL_USE.INBOX));
+    await deliver('Arrived later');
+
+    assert.deepStrictEqual(await inboxSubjects(), ['Arrived later', 'Placed', 'Unplaced']);
+  });
+
+  it('lists a copied message once', async () => {
+    const message = await deliver('Copied');
+    await folderService.syncFolder(await folder(Folder.SPECIAL_USE.INBOX));
+    const archive = await folder(Folder.SPECIAL_USE.ARCHIVE);
+    await folderService.copyMessages([await message.reload()], archive);
+
+    const subjects = await inboxSubjects();
+    assert.strictEqual(subjects.filter(subject => subject === 'Copied').length, 1);
+
+    const { rows } = await Message.getMessagesForEmail(ADDRESS, { folderId: archive.id });
+    assert.deepStrictEqual(rows.map(row => row.subject), ['Copied']);
+  });
+
+  it('leaves out messages moved to Trash or Archive', async () => {
+    const trashed = await deliver('Trashed');
+    const archived = await deliver('Archived');
+    await folderService.moveMessages([trashed], await folder(Folder.SPECIAL_USE.TRASH));
+    await folderService.moveMessages([archived], await folder(Folder.SPECIAL_USE.ARCHIVE));
+
+    const subjects = await inboxSubjects();
+    assert.ok(!subjects.includes('Trashed'));
+    assert.ok(!subjects.includes('Archived'));
+
+    // Still reachable by id, e.g. to move them back or delete them
+    assert.ok(await Message.getMessageForEmailById(ADDRESS, trashed.id));
+    assert.ok(await Message.getMessageForEmailById(ADDRESS, archived.id));
+  });
+
+  it('leaves out messages appended to Drafts or a custom folder', async () => {
+    const custom = await folderService.createFolder(ADDRESS, 'Projects');
+    await folderService.appendMessage(await folder(Folder.SPECIAL_USE.DRAFTS), rawMessage('Draft', { from: ADDRESS, to: 'bob@ex.com' }));
+    await folderService.appendMessage(custom, rawMessage('Filed'));
+    await folderService.appendMessage(await folder(Folder.SPECIAL_USE.INBOX), rawMessage('Appended to INBOX'));
+
+    const subjects = await inboxSubjects();
+    assert.ok(!subjects.includes('Draft'));
+    assert.ok(!subjects.includes('Filed'));
+    assert.ok(subjects.includes('Appended to INBOX'));
+
+    const { rows } = await Message.getMessagesForEmail(ADDRESS, { folderId: custom.id });
+    assert.deepStrictEqual(rows.map(row => row.subject), ['Filed']);
+  });
+
+  it('keeps conversations to the INBOX and Sent folders', async () => {
+    const conversation = await Message.findAll({ where: Message.forMailbox(ADDRESS) });
+    const subjects = conversation.map(message => message.subject);
+    assert.strictEqual(subjects.filter(subject => subject === 'Copied').length, 1);
+    for (const subject of ['Trashed', 'Archived', 'Draft', 'Filed']) {
+      assert.ok(!subjects.includes(subject), subject);
+    }
+  });
+
+  it('searches any folder of the mailbox when one is named', async () => {
+    const { searchMessages } = require('../services/search-service');
+    const all = await searchMessages(ADDRESS, 'body');
+    assert.ok(!all.rows.some(row => row.subject === 'Trashed'));
+
+    const trash = await searchMessages(ADDRESS, 'body', { folder: 'Trash' });
+    assert.deepStrictEqual(trash.rows.map(row => row.subject), ['Trashed']);
+  });
+
+  it('keeps quarantined mail out of the INBOX, conversations and search', async () => {
+    const { listThreads } = require('../services/thread-service');
+    const { searchMessages } = require('../services/search-service');
+    const message = await deliver('Quarantined', { quarantine: true });
+
+    assert.ok(!(await inboxSubjects()).includes('Quarantined'));
+    const threads = await listThreads(ADDRESS, { limit: 100 });
+    assert.ok(!threads.rows.some(thread => thread.subject === 'Quarantined'));
+    assert.strictEqual((await searchMessages(ADDRESS, 'quarantined')).count, 0);
+    assert.strictEqual(await Message.getMessageForEmailById(ADDRESS, message.id), null);
+
+    // Only reachable in Spam
+    const junk = await folder(Folder.SPECIAL_USE.JUNK);
+    await folderService.syncFolder(junk);
+    assert.ok(await Message.getMessageForEmailById(ADDRESS, message.id));
+    assert.strictEqual((await searchMessages(ADDRESS, 'quarantined', { folder: junk.name })).count, 1);
+    assert.ok(!(await inboxSubjects()).includes('Quarantined'));
+  });
+});
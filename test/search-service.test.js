@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { simpleParser } = require('mailparser');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+
+const ADDRESS = 'owner@search.test';
+
+let models;
+let searchService;
+let folderService;
+let deliverInbound;
+
+/**
+ * Deliver a message to the mailbox over the inbound path
+ */
+async function deliver(subject, text) {
+  const raw = Buffer.from(`From: alice@ex.com\r\nTo: ${ADDRESS}\r\nSubject: ${subject}\r\n\r\n${text}\r\n`);
+  const [message] = await deliverInbound(await simpleParser(raw), {
+    mailFrom: { address: 'alice@ex.com' },
+    rcptTo: [{ address: ADDRESS }]
+  }, { raw });
+  return message;
+}
+
+// Search terms stored for a message
+const termsOf = message => models.SearchTerm.count({ where: { messageId: message.id } });
+
+describe('search-service', () => {
+  before(async () => {
+    models = await setupDatabase();
+    searchService = require('../services/search-service');
+    folderService = require('../services/folder-service');
+    ({ deliverInbound } = require('../services/delivery-service'));
+
+    const domain = await models.Domain.create({ name: 'search.test' });
+    await models.Email.create({ address: ADDRESS, password: 'secret-password', domainId: domain.id });
+    await models.Folder.ensureSystemFolders(ADDRESS);
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  describe('indexPendingMessages', () => {
+    it('indexes delivered mail in the background', async () => {
+      const message = await deliver('Invoice', 'Payment due');
+      assert.strictEqual(await termsOf(message), 0);
+
+      assert.strictEqual(await searchService.indexPendingMessages(), 1);
+      assert.ok(await termsOf(message) > 0);
+      assert.strictEqual((await message.reload()).searchIndexed, true);
+      assert.strictEqual(await searchService.indexPendingMessages(), 0);
+    });
+  });
+
+  describe('syncSearchIndex', () => {
+    it('indexes no more than the given number of batches', async () => {
+      const message = await deliver('Pending', 'Left for later');
+      assert.strictEqual(await searchService.syncSearchIndex(ADDRESS, 0), 0);
+      assert.strictEqual(await termsOf(message), 0);
+
+      assert.strictEqual(await searchService.syncSearchIndex(ADDRESS), 1);
+      assert.strictEqual((await searchService.searchMessages(ADDRESS, 'later')).count, 1);
+    });
+  });
+
+  describe('deleted messages', () => {
+    it('lose their search terms when they are expunged', async () => {
+      const message = await deliver('Expunged', 'Nothing to keep');
+      await searchService.syncSearchIndex(ADDRESS);
+      assert.ok(await termsOf(message) > 0);
+
+      const inbox = await models.Folder.findBySpecialUse(ADDRESS, models.Folder.SPECIAL_USE.INBOX);
+      await folderService.syncFolder(inbox);
+      await (await message.reload()).update({ flags: ['\\Deleted'] });
+      await folderService.expungeFolder(inbox);
+
+      assert.strictEqual(await termsOf(message), 0);
+      assert.strictEqual((await searchService.searchMessages(ADDRESS, 'expunged')).count, 0);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+
+const { configureSpf, checkSpf, receivedSpfHeader } = require('../services/spf-service');
+const { createZone } = require('./helpers/fixture-zone');
+
+const zone = createZone({
+  'ex.com': {
+    TXT: [['v=spf1 ip4:192.0.2.0/24 include:inc.com a:host.ex.com mx -all']],
+    MX: [{ exchange: 'mail.ex.com', priority: 10 }]
+  },
+  'inc.com': { TXT: [['v=spf1 ip6:2001:db8::/32 ', 'exists:%{i}.ok.inc.com ~all']] },
+  '203.0.113.9.ok.inc.com': { A: ['127.0.0.2'] },
+  'host.ex.com': { A: ['198.51.100.7'] },
+  'mail.ex.com': { A: ['198.51.100.25'] },
+  'redirect.com': { TXT: [['v=spf1 redirect=ex.com']] },
+  'redirect-none.com': { TXT: [['v=spf1 redirect=nothing.com']] },
+  'include-none.com': { TXT: [['v=spf1 include:nothing.com -all']] },
+  'loop.com': { TXT: [['v=spf1 include:loop.com']] },
+  'many.com': {
+    TXT: [['v=spf1 ' + Array.from({ length: 11 }, (_, i) => `a:h${i}.many.com`).join(' ') + ' -all']]
+  },
+  ...Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`h${i}.many.com`, { A: ['192.0.2.1'] }])),
+  'void.com': { TXT: [['v=spf1 a:x1.void.com a:x2.void.com a:x3.void.com -all']] },
+  'two.com': { TXT: [['v=spf1 -all'], ['v=spf1 +all']] },
+  'unknown.com': { TXT: [['v=spf1 foo:bar -all']] },
+  'tmp.com': { TXT: [['v=spf1 a:broken.tmp.com -all']] },
+  'broken.tmp.com': 'ESERVFAIL',
+  'neutral.com': { TXT: [['v=spf1 ip4:10.0.0.1']] },
+  'soft.com': { TXT: [['v=spf1 ~all']] },
+  'ptr.com': { TXT: [['v=spf1 ptr -all']] },
+  'host.ptr.com': { A: ['192.0.2.200'] },
+  '192.0.2.200': { PTR: ['host.ptr.com'] },
+  '192.0.2.201': { PTR: ['host.ptr.com'] },
+  'helo.net': { TXT: [['v=spf1 a -all']], A: ['192.0.2.55'] }
+});
+
+describe('spf-service', () => {
+  before(() => {
+    configureSpf({ resolver: zone });
+  });
+
+  const check = (ip, sender, helo = 'client.test') => checkSpf({ ip, sender, helo, receiver: 'mx.test' });
+
+  describe('mechanisms', () => {
+    it('matches ip4 networks, IPv4-mapped client addresses included', async () => {
+      assert.strictEqual((await check('192.0.2.10', 'a@ex.com')).result, 'pass');
+      assert.strictEqual((await check('::ffff:192.0.2.10', 'a@ex.com')).result, 'pass');
+    });
+
+    it('matches a and mx hosts', async () => {
+      assert.strictEqual((await check('198.51.100.7', 'a@ex.com')).mechanism, 'a:host.ex.com');
+      assert.strictEqual((await check('198.51.100.25', 'a@ex.com')).mechanism, 'mx');
+    });
+
+    it('uses the qualifier of the matching mechanism', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@ex.com')).result, 'fail');
+      assert.strictEqual((await check('203.0.113.1', 'a@soft.com')).result, 'softfail');
+      assert.strictEqual((await check('203.0.113.1', 'a@neutral.com')).result, 'neutral');
+    });
+
+    it('accepts ptr names that resolve back to the client', async () => {
+      assert.strictEqual((await check('192.0.2.200', 'a@ptr.com')).result, 'pass');
+      assert.strictEqual((await check('192.0.2.201', 'a@ptr.com')).result, 'fail');
+    });
+  });
+
+  describe('include', () => {
+    it('passes when the included policy passes', async () => {
+      assert.strictEqual((await check('2001:db8::5', 'a@ex.com')).result, 'pass');
+    });
+
+    it('expands macros of the included policy', async () => {
+      const verdict = await check('203.0.113.9', 'a@ex.com');
+      assert.strictEqual(verdict.result, 'pass');
+      assert.ok(zone.queries.includes('A 203.0.113.9.ok.inc.com'));
+    });
+
+    it('fails with permerror when the included domain has no policy', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@include-none.com')).result, 'permerror');
+    });
+  });
+
+  describe('redirect', () => {
+    it('evaluates the policy of the target domain', async () => {
+      assert.strictEqual((await check('192.0.2.1', 'a@redirect.com')).result, 'pass');
+      assert.strictEqual((await check('203.0.113.1', 'a@redirect.com')).result, 'fail');
+    });
+
+    it('fails with permerror when the target has no policy', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@redirect-none.com')).result, 'permerror');
+    });
+  });
+
+  describe('limits', () => {
+    it('stops after 10 DNS lookups', async () => {
+      const verdict = await check('203.0.113.1', 'a@many.com');
+      assert.strictEqual(verdict.result, 'permerror');
+      assert.match(verdict.problem, /More than 10 DNS lookups/);
+    });
+
+    it('stops after 2 void lookups', async () => {
+      const verdict = await check('203.0.113.1', 'a@void.com');
+      assert.strictEqual(verdict.result, 'permerror');
+      assert.match(verdict.problem, /void/);
+    });
+
+    it('ends include loops', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@loop.com')).result, 'permerror');
+    });
+  });
+
+  describe('errors', () => {
+    it('rejects more than one policy and unknown mechanisms', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@two.com')).result, 'permerror');
+      assert.strictEqual((await check('203.0.113.1', 'a@unknown.com')).result, 'permerror');
+    });
+
+    it('reports DNS failures as temperror', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@tmp.com')).result, 'temperror');
+    });
+
+    it('returns none for domains without a policy', async () => {
+      assert.strictEqual((await check('203.0.113.1', 'a@nothing.org')).result, 'none');
+    });
+  });
+
+  describe('checkSpf', () => {
+    it('checks postmaster@HELO for an empty return path', async () => {
+      const verdict = await check('192.0.2.55', '', 'helo.net');
+      assert.strictEqual(verdict.result, 'pass');
+      assert.strictEqual(verdict.identity, 'helo');
+      assert.strictEqual(verdict.sender, 'postmaster@helo.net');
+    });
+  });
+
+  describe('receivedSpfHeader', () => {
+    it('describes the verdict with its key-value pairs', async () => {
+      const header = receivedSpfHeader(await check('::ffff:203.0.113.1', 'bob@ex.com', '[203.0.113.1]'), 'mx.test');
+      assert.ok(header.startsWith('Received-SPF: fail (mx.test: domain of ex.com does not designate 203.0.113.1 as permitted sender)\r\n'));
+      assert.match(header, /\tclient-ip=203\.0\.113\.1;\r\n/);
+      assert.match(header, /\tenvelope-from="?bob@ex\.com"?;\r\n/);
+      assert.match(header, /\tidentity=mailfrom;\r\n$/);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { simpleParser } = require('mailparser');
+
+const { setupDatabase, closeDatabase } = require('./helpers/database');
+
+const ADDRESS = 'owner@threads.test';
+
+let Message;
+let threadService;
+let deliverInbound;
+
+/**
+ * Deliver a message to the mailbox over the inbound path
+ */
+async function deliver(subject, messageId, headers = '') {
+  const raw = Buffer.from(
+    `From: alice@ex.com\r\nTo: ${ADDRESS}\r\nSubject: ${subject}\r\nMessage-ID: ${messageId}\r\n${headers}\r\nHello\r\n`
+  );
+  const [message] = await deliverInbound(await simpleParser(raw), {
+    mailFrom: { address: 'alice@ex.com' },
+    rcptTo: [{ address: ADDRESS }]
+  }, { raw });
+  return message;
+}
+
+// Thread ID of a message after syncing
+const threadOf = async message => (await message.reload()).threadId;
+
+describe('thread-service', () => {
+  before(async () => {
+    const models = await setupDatabase();
+    ({ Message } = models);
+    threadService = require('../services/thread-service');
+    ({ deliverInbound } = require('../services/delivery-service'));
+
+    const domain = await models.Domain.create({ name: 'threads.test' });
+    await models.Email.create({ address: ADDRESS, password: 'secret-password', domainId: domain.id });
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  describe('syncThreads', () => {
+    it('links replies to messages placed in the same run', async () => {
+      const original = await deliver('Budget', '<budget@ex.com>');
+      const reply = await deliver('Re: Budget', '<budget-reply@ex.com>', 'In-Reply-To: <budget@ex.com>\r\n');
+      const other = await deliver('Lunch', '<lunch@ex.com>');
+
+      assert.strictEqual(await threadService.syncThreads(ADDRESS), 3);
+      assert.strictEqual(await threadOf(reply), await threadOf(original));
+      assert.notStrictEqual(await threadOf(other), await threadOf(original));
+    });
+
+    it('links later replies by their references or subject', async () => {
+      const original = await Message.findOne({ where: { messageId: '<budget@ex.com>' } });
+      const referenced = await deliver('Budget v2', '<budget-2@ex.com>', 'References: <x@ex.com> <budget@ex.com>\r\n');
+      const bySubject = await deliver('RE: Fwd: budget', '<budget-3@ex.com>');
+      const unrelated = await deliver('Re: Holidays', '<holidays@ex.com>');
+
+      assert.strictEqual(await threadService.syncThreads(ADDRESS), 3);
+      assert.strictEqual(await threadOf(referenced), original.threadId);
+      assert.strictEqual(await threadOf(bySubject), original.threadId);
+      assert.notStrictEqual(await threadOf(unrelated), original.threadId);
+    });
+
+    it('looks the related messages up once per batch', async () => {
+      for (let i = 0; i < 30; i++) {
+        await deliver(`Re: Report ${i}`, `<report-${i}@ex.com>`, `In-Reply-To: <report-${i - 1}@ex.com>\r\n`);
+      }
+
+      let queries = 0;
+      const count = () => { queries++; };
+      Message.addHook('beforeFind', 'count', count);
+      Message.addHook('beforeCount', 'count', count);
+      try {
+        assert.strictEqual(await threadService.syncThreads(ADDRESS), 30);
+      } finally {
+        Message.removeHook('beforeFind', 'count');
+        Message.removeHook('beforeCount', 'count');
+      }
+      assert.ok(queries <= 6, `${queries} queries`);
+
+      const threads = await Message.count({
+        where: { messageId: Array.from({ length: 30 }, (_, i) => `<report-${i}@ex.com>`) },
+        distinct: true,
+        col: 'threadId'
+      });
+      assert.strictEqual(threads, 1);
+    });
+  });
+});
@@ -0,0 +1,315 @@
+// MIME utilities - split raw messages into their parts without decoding them
+// Header text is handled as binary strings so every byte of the source is kept
+const { Transform } = require('stream');
+
+// Largest header block removeHeaderFields holds back, longer ones pass unchanged
+const MAX_FILTERED_HEADER_SIZE = 256 * 1024;
+
+/**
+ * Split a raw entity into its header block (including the empty line) and body
+ * @param {Buffer} raw - Raw entity
+ * @returns {Object} { header, body }
+ */
+function splitEntity(raw) {
+  if (raw[0] === 0x0a || (raw[0] === 0x0d && raw[1] === 0x0a)) {
+    const length = raw[0] === 0x0a ? 1 : 2;
+    return { header: raw.slice(0, length), body: raw.slice(length) };
+  }
+
+  let index = raw.indexOf('\r\n\r\n');
+  let separator = 4;
+  const bare = raw.indexOf('\n\n');
+  if (bare !== -1 && (index === -1 || bare < index)) {
+    index = bare;
+    separator = 2;
+  }
+
+  if (index === -1) {
+    return { header: raw, body: Buffer.alloc(0) };
+  }
+  return { header: raw.slice(0, index + separator), body: raw.slice(index + separator) };
+}
+
+/**
+ * Split a header block into fields, folded lines are kept as they are
+ * @param {Buffer} header - Header block
+ * @returns {Array<Object>} Fields as { key, line } with key in lower case
+ */
+function parseHeaderLines(header) {
+  const lines = [];
+  for (const line of header.toString('binary').split(/\r?\n/)) {
+    if (!line) {
+      continue;
+    }
+    if (/^[ \t]/.test(line) && lines.length > 0) {
+      lines[lines.length - 1].line += `\r\n${line}`;
+    } else {
+      lines.push({ line });
+    }
+  }
+
+  return lines.map(({ line }) => ({
+    key: line.slice(0, Math.max(line.indexOf(':'), 0)).trim().toLowerCase(),
+    line
+  }));
+}
+
+/**
+ * Stream a message without some of its header fields, everything else is passed on byte for byte
+ * @param {Array<string>} keys - Names of the fields to remove
+ * @returns {Transform}
+ */
+function removeHeaderFields(keys) {
+  const removed = keys.map(key => key.toLowerCase());
+  let pending = Buffer.alloc(0);
+  let done = false;
+
+  // Drop the listed fields from a complete header block, folded lines go with their field
+  const filter = header => Buffer.from(header.toString('binary')
+    .split(/(?<=\n)(?![ \t])/)
+    .filter(field => !removed.includes(field.slice(0, Math.max(field.indexOf(':'), 0)).trim().toLowerCase()))
+    .join(''), 'binary');
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (done) {
+        return callback(null, chunk);
+      }
+
+      pending = Buffer.concat([pending, chunk]);
+      const { header, body } = splitEntity(pending);
+      const complete = body.length > 0 || /(^|\n)\r?\n$/.test(header.slice(-4).toString('binary'));
+      if (!complete && pending.length <= MAX_FILTERED_HEADER_SIZE) {
+        return callback();
+      }
+
+      const output = complete ? Buffer.concat([filter(header), body]) : pending;
+      done = true;
+      pending = null;
+      callback(null, output);
+    },
+    flush(callback) {
+      callback(null, done ? null : filter(pending));
+    }
+  });
+}
+
+/**
+ * Get the unfolded value of the first header field with the given name
+ * @param {Array<Object>} headers - Fields from parseHeaderLines
+ * @param {string} key - Field name
+ * @returns {string|null}
+ */
+function getHeader(headers, key) {
+  const field = headers.find(header => header.key === key.toLowerCase());
+  if (!field) {
+    return null;
+  }
+
+  const value = field.line.slice(field.line.indexOf(':') + 1).replace(/\r\n/g, '').trim();
+  return Buffer.from(value, 'binary').toString('utf8');
+}
+
+/**
+ * Parse a structured header value such as Content-Type
+ * @param {string} header - Header value
+ * @returns {Object} { value, params } with value and parameter names in lower case
+ */
+function parseHeaderValue(header) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < header.length; i++) {
+    const char = header[i];
+    if (char === '"' && header[i - 1] !== '\\') {
+      quoted = !quoted;
+    }
+    if (char === ';' && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  const params = {};
+  for (const part of parts.slice(1)) {
+    const separator = part.indexOf('=');
+    if (separator === -1) {
+      continue;
+    }
+    let value = part.slice(separator + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    params[part.slice(0, separator).trim().toLowerCase()] = value;
+  }
+
+  return { value: parts[0].trim().toLowerCase(), params };
+}
+
+/**
+ * Split the body of a multipart entity into its parts
+ * @param {Buffer} body - Multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {Array<Buffer>}
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`, 'binary');
+
+  // Delimiters only count at the start of a line
+  const positions = [];
+  let index = 0;
+  while ((index = body.indexOf(delimiter, index)) !== -1) {
+    if (index === 0 || body[index - 1] === 0x0a) {
+      positions.push(index);
+    }
+    index += delimiter.length;
+  }
+
+  const parts = [];
+  for (let i = 0; i < positions.length; i++) {
+    const start = positions[i] + delimiter.length;
+    if (body[start] === 0x2d && body[start + 1] === 0x2d) {
+      break;
+    }
+
+    const lineEnd = body.indexOf('\n', start);
+    if (lineEnd === -1) {
+      break;
+    }
+
+    // The line break before the next delimiter belongs to the delimiter
+    let end = i + 1 < positions.length ? positions[i + 1] : body.length;
+    if (i + 1 < positions.length) {
+      if (body[end - 1] === 0x0a) end--;
+      if (body[end - 1] === 0x0d) end--;
+    }
+    parts.push(body.slice(lineEnd + 1, Math.max(end, lineEnd + 1)));
+  }
+  return parts;
+}
+
+/**
+ * Parse a raw message into a tree of MIME nodes
+ * @param {Buffer} raw - Raw RFC 822 message or entity
+ * @param {string} [defaultType] - Content type when none is given
+ * @returns {Object} Node as { header, body, headers, contentType, childNodes, message }
+ */
+function parseMimeTree(raw, defaultType = 'text/plain') {
+  const { header, body } = splitEntity(raw);
+  const headers = parseHeaderLines(header);
+
+  let contentType = parseHeaderValue(getHeader(headers, 'content-type') || defaultType);
+  if (!contentType.value.includes('/')) {
+    contentType = parseHeaderValue(defaultType);
+  }
+
+  const node = { header, body, headers, contentType, childNodes: [], message: null };
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    // Parts of a digest are messages unless they say otherwise
+    const partType = contentType.value === 'multipart/digest' ? 'message/rfc822' : 'text/plain';
+    node.childNodes = splitMultipart(body, contentType.params.boundary)
+      .map(part => parseMimeTree(part, partType));
+  } else if (contentType.value === 'message/rfc822') {
+    const encoding = (getHeader(headers, 'content-transfer-encoding') || '7bit').toLowerCase();
+    if (['7bit', '8bit', 'binary'].includes(encoding)) {
+      node.message = parseMimeTree(body);
+    }
+  }
+
+  return node;
+}
+
+/**
+ * Find a part by its number path ([] for the message itself, [1, 2] for part 1.2)
+ * @param {Object} root - Message node from parseMimeTree
+ * @param {Array<number>} path - Part numbers
+ * @returns {Object|null}
+ */
+function getPart(root, path) {
+  let node = root;
+  for (const index of path) {
+    // Parts of an attached message are numbered within that message
+    if (node !== root && node.message) {
+      node = node.message;
+    }
+
+    if (node.childNodes.length > 0) {
+      node = node.childNodes[index - 1];
+    } else if (index !== 1) {
+      return null;
+    }
+
+    if (!node) {
+      return null;
+    }
+  }
+  return node;
+}
+
+// Section specifiers, e.g. "1.2.MIME" or "HEADER.FIELDS (FROM TO)"
+const SECTION_REGEX = /^((?:\d+\.)*\d+)?\.?(HEADER\.FIELDS\.NOT|HEADER\.FIELDS|HEADER|TEXT|MIME)?\s*(?:\((.*)\))?$/i;
+
+/**
+ * Get the content of a body section as used by IMAP BODY[section]
+ * @param {Object} root - Message node from parseMimeTree
+ * @param {string} section - Section specifier
+ * @returns {Buffer|null} Null for sections the message does not have
+ */
+function getSection(root, section) {
+  const match = SECTION_REGEX.exec(section.trim());
+  if (!match) {
+    return null;
+  }
+
+  const path = match[1] ? match[1].split('.').map(Number) : [];
+  const specifier = (match[2] || '').toUpperCase();
+  const node = getPart(root, path);
+  if (!node) {
+    return null;
+  }
+
+  if (!specifier) {
+    return path.length > 0 ? node.body : Buffer.concat([root.header, root.body]);
+  }
+  if (specifier === 'MIME') {
+    return path.length > 0 ? node.header : null;
+  }
+
+  // HEADER and TEXT apply to the message itself or to attached messages
+  const message = path.length > 0 ? node.message : root;
+  if (!message) {
+    return null;
+  }
+
+  switch (specifier) {
+    case 'HEADER':
+      return message.header;
+    case 'TEXT':
+      return message.body;
+    default: {
+      const fields = (match[3] || '').split(/\s+/).filter(Boolean)
+        .map(field => field.replace(/^"|"$/g, '').toLowerCase());
+      const exclude = specifier === 'HEADER.FIELDS.NOT';
+      const lines = message.headers
+        .filter(header => fields.includes(header.key) !== exclude)
+        .map(header => `${header.line}\r\n`);
+      return Buffer.from(`${lines.join('')}\r\n`, 'binary');
+    }
+  }
+}
+
+module.exports = {
+  splitEntity,
+  parseHeaderLines,
+  removeHeaderFields,
+  getHeader,
+  parseHeaderValue,
+  parseMimeTree,
+  getPart,
+  getSection
+};